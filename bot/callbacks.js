@@ -7,7 +7,17 @@ const { Markup } = require('telegraf')
 const menus = require('./menus')
 const ui = require('./ui')
 const commands = require('./commands')
-const { WaveScheduleScraper } = require('../lib/wave-scraper-final')
+const { ALERT_TYPES, filterSessions, matchProfile } = require('../lib/matching')
+const ScheduleRepository = require('../services/scheduleRepository')
+const WatchlistService = require('../services/watchlistService')
+const AlertRuleService = require('../services/alertRuleService')
+const BotSessionStore = require('../services/botSessionStore')
+const { LEVEL_KEYS } = require('../lib/session-levels')
+const { isSessionKey, fromSessionRow } = require('../lib/session-record')
+const { listVenues, venueIdsFor } = require('../lib/venues')
+const { EXAMPLES, PRESET_TIME_WINDOWS, TIME_WINDOW_DAYS } = require('../lib/time-window-parser')
+const { today } = require('../utils/time')
+const { toHTML } = require('../utils/telegram-helpers')
 // checkRateLimit was removed as it was unused
 // BotHandler methods will be passed as parameters to avoid circular dependency
 
@@ -20,9 +30,11 @@ async function getUserProfile(supabase, telegramId) {
       user_levels (level),
       user_sides (side),
       user_days (day_of_week),
-      user_time_windows (start_time, end_time),
+      user_time_windows (start_time, end_time, day_of_week),
       user_digest_filters (timing),
-      user_digest_preferences (digest_type)
+      user_digest_preferences (digest_type),
+      user_venues (venue),
+      alert_rules (id, name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
     `)
     .eq('telegram_id', telegramId)
     .single()
@@ -58,38 +70,63 @@ async function safeEditMarkup(ctx, markup) {
   }
 }
 
-// Helper function to generate time window buttons
-function generateTimeWindowButtons(currentTimes, saveCallbackData, backCallbackData) {
-  const hasAnyTime = currentTimes.length === 0
+// Helper function to generate time window buttons. `day` (0 = Monday) edits the windows of
+// that weekday only (pref_time_toggle_[index]_[day]); null edits the every-day windows.
+function generateTimeWindowButtons(currentTimes, saveCallbackData, backCallbackData, day = null) {
   const timeButtons = []
+  const dayWindows = currentTimes.filter(ct => (ct.day_of_week ?? null) === day)
+  const suffix = day === null ? '' : `_${day}`
   
-  // "Any time" option
-  timeButtons.push([{ text: `${hasAnyTime ? '✅ ' : ''}🌊 Any Time`, callback_data: 'pref_time_toggle_any' }])
+  // Which days the toggles below apply to; days with their own windows are marked
+  const dayButton = (index) => {
+    const hasOwn = currentTimes.some(ct => ct.day_of_week === index)
+    const label = `${index === day ? '✏️ ' : hasOwn ? '• ' : ''}${TIME_WINDOW_DAYS[index]}`
+    return { text: label, callback_data: `pref_time_day_${index}` }
+  }
+  timeButtons.push([{ text: `${day === null ? '✏️ ' : ''}🗓 Every Day`, callback_data: 'pref_time_day_all' }])
+  timeButtons.push([0, 1, 2, 3].map(dayButton))
+  timeButtons.push([4, 5, 6].map(dayButton))
   
-  // Specific time windows
-  const timeWindows = [
-    { start: '06:00', end: '09:00', desc: '🌅 Early (6-9 AM)' },
-    { start: '09:00', end: '12:00', desc: '🌞 Morning (9-12 PM)' },
-    { start: '12:00', end: '15:00', desc: '☀️ Midday (12-3 PM)' },
-    { start: '15:00', end: '18:00', desc: '🌤️ Afternoon (3-6 PM)' },
-    { start: '18:00', end: '21:00', desc: '🌅 Evening (6-9 PM)' }
-  ]
+  // "Any time" option - clears just the windows of the screen's scope (every day or one weekday)
+  const hasAnyTime = dayWindows.length === 0
+  const anyLabel = day === null ? '🌊 Any Time' : `🌊 No ${TIME_WINDOW_DAYS[day]} windows`
+  timeButtons.push([{ text: `${hasAnyTime ? '✅ ' : ''}${anyLabel}`, callback_data: `pref_time_toggle_any${suffix}` }])
   
-  timeWindows.forEach((time, index) => {
-    const isSelected = currentTimes.some(ct => 
-      (ct.start_time === time.start || ct.start_time === time.start + ':00') && 
-      (ct.end_time === time.end || ct.end_time === time.end + ':00')
-    )
+  // Specific time windows
+  const isPreset = (ct, time) =>
+    (ct.start_time === time.start || ct.start_time === time.start + ':00') && 
+    (ct.end_time === time.end || ct.end_time === time.end + ':00')
+  PRESET_TIME_WINDOWS.forEach((time, index) => {
+    const isSelected = dayWindows.some(ct => isPreset(ct, time))
     const text = `${isSelected ? '✅ ' : ''}${time.desc}`
-    timeButtons.push([{ text, callback_data: `pref_time_toggle_${index}` }])
+    timeButtons.push([{ text, callback_data: `pref_time_toggle_${index}${suffix}` }])
   })
   
+  // Typed windows (pref_time_remove_[HHMMHHMM]) - tapping one removes it
+  dayWindows
+    .filter(ct => !PRESET_TIME_WINDOWS.some(time => isPreset(ct, time)))
+    .forEach(ct => {
+      const start = ct.start_time.slice(0, 5)
+      const end = ct.end_time.slice(0, 5)
+      const times = `${start.replace(':', '')}${end.replace(':', '')}`
+      timeButtons.push([{ text: `✅ ✍️ ${start}–${end}`, callback_data: `pref_time_remove_${times}${suffix}` }])
+    })
+  timeButtons.push([{ text: '✍️ Type a Time Window', callback_data: `pref_time_custom${suffix}` }])
+  
   timeButtons.push([{ text: '💾 Save Changes', callback_data: saveCallbackData }])
   timeButtons.push([{ text: '🔙 Back', callback_data: backCallbackData }])
   
   return timeButtons
 }
 
+// Text above generateTimeWindowButtons
+function timeWindowsText(day = null) {
+  const scope = day === null
+    ? '🗓 <b>Every Day</b> windows apply to all your surf days. Pick a day to give it its own windows as well.'
+    : `✏️ Editing <b>${TIME_WINDOW_DAYS[day]}</b> only - these apply on top of your every-day windows. Days with no windows at all match any time.`
+  return '🕐 <b>Select Time Windows</b>\n\nWhen do you prefer to surf?\n\n🌊 <b>Any Time</b>: Match all session times\n🕐 <b>Specific Times</b>: Only match selected time windows\n\n' + scope
+}
+
 async function createUserProfile(supabase, telegramId, username = null) {
   const { data, error } = await supabase
     .from('profiles')
@@ -136,35 +173,25 @@ const callbacks = {
           let tomorrowCount = null
           
           try {
-            const scraper = new WaveScheduleScraper()
+            const schedule = new ScheduleRepository(supabase)
             
             if (mainUserProfile) {
-              // Get user preferences for filtering
-              const userLevels = mainUserProfile.user_levels?.map(ul => ul.level) || []
-              const userSides = mainUserProfile.user_sides?.map(us => 
-                us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any'
-              ) || []
-              const userDays = mainUserProfile.user_days?.map(ud => ud.day_of_week) || []
-              const userTimeWindows = mainUserProfile.user_time_windows || []
+              const venues = venueIdsFor(mainUserProfile)
               
               // Get today's sessions
-              const todaySessions = await scraper.getTodaysFutureSessions()
-              const todayFiltered = scraper.filterSessionsForUser(
-                todaySessions, userLevels, userSides, userDays, true, userTimeWindows
-              ).filter(s => (s.spots_available || 0) >= mainUserProfile.min_spots)
+              const { sessions: todaySessions } = await schedule.getTodaysFutureSessions({ venues })
+              const todayFiltered = filterSessions(todaySessions, mainUserProfile)
               
               // Get tomorrow's sessions
-              const tomorrowSessions = await scraper.getTomorrowsSessions()
-              const tomorrowFiltered = scraper.filterSessionsForUser(
-                tomorrowSessions, userLevels, userSides, userDays, true, userTimeWindows
-              ).filter(s => (s.spots_available || 0) >= mainUserProfile.min_spots)
+              const { sessions: tomorrowSessions } = await schedule.getTomorrowsSessions({ venues })
+              const tomorrowFiltered = filterSessions(tomorrowSessions, mainUserProfile)
               
               todayCount = todayFiltered.length
               tomorrowCount = tomorrowFiltered.length
             } else {
               // No user profile, show all available sessions
-              const todaySessions = await scraper.getTodaysFutureSessions()
-              const tomorrowSessions = await scraper.getTomorrowsSessions()
+              const { sessions: todaySessions } = await schedule.getTodaysFutureSessions()
+              const { sessions: tomorrowSessions } = await schedule.getTomorrowsSessions()
               
               todayCount = todaySessions.filter(s => (s.spots_available || 0) > 0).length
               tomorrowCount = tomorrowSessions.filter(s => (s.spots_available || 0) > 0).length
@@ -206,23 +233,27 @@ const callbacks = {
           return commands.preferences(supabase, ctx)
           
         // Preference menu handlers - call the existing logic directly
+        case 'pref_venues': {
+          const currentVenues = userProfile.user_venues?.map(uv => uv.venue) || []
+          
+          return ctx.editMessageText(
+            '📍 <b>Select Your Venues</b>\n\nWhich wave pools do you want sessions from?\n\n<i>Leave all unticked to hear about every venue.</i>',
+            {
+              parse_mode: 'HTML',
+              reply_markup: menus.preferenceVenueMenu(currentVenues).reply_markup
+            }
+          )
+        }
+          
         case 'pref_levels':
         case 'levels': {
           const currentLevels = userProfile.user_levels?.map(ul => ul.level) || []
-          const levels = ['beginner', 'improver', 'intermediate', 'advanced', 'expert']
-          const levelButtons = levels.map(level => {
-            const isSelected = currentLevels.includes(level)
-            const text = `${isSelected ? '✅ ' : ''}${level.charAt(0).toUpperCase() + level.slice(1)}`
-            return [{ text, callback_data: `pref_level_toggle_${level}` }]
-          })
-          levelButtons.push([{ text: '💾 Save Changes', callback_data: 'pref_level_save' }])
-          levelButtons.push([{ text: '🔙 Back', callback_data: 'prefs' }])
-          
           return ctx.editMessageText(
-            '🎯 <b>Select Your Skill Levels</b>\n\nChoose all levels you\'re comfortable surfing:',
+            '🎯 <b>Select Your Skill Levels</b>\n\nChoose all levels you\'re comfortable surfing.\n\n' +
+            '<i>"(all)" covers every session in that family - or pick just the ones you want, e.g. Expert Barrels without Expert Turns.</i>',
             {
               parse_mode: 'HTML',
-              reply_markup: { inline_keyboard: levelButtons }
+              reply_markup: menus.preferenceLevelMenu(currentLevels).reply_markup
             }
           )
         }
@@ -274,7 +305,7 @@ const callbacks = {
           const timeButtons = generateTimeWindowButtons(currentTimes, 'pref_time_save', 'prefs')
           
           return ctx.editMessageText(
-            '🕐 <b>Select Time Windows</b>\n\nWhen do you prefer to surf?\n\n🌊 <b>Any Time</b>: Match all session times\n🕐 <b>Specific Times</b>: Only match selected time windows',
+            timeWindowsText(),
             {
               parse_mode: 'HTML',
               reply_markup: { inline_keyboard: timeButtons }
@@ -314,7 +345,8 @@ const callbacks = {
           const currentDigests = userProfile.user_digest_preferences?.map(udp => udp.digest_type) || []
           const digestOptions = [
             { key: 'morning', desc: '🌅 Morning Digest (8 AM)' },
-            { key: 'evening', desc: '🌇 Evening Digest (6 PM)' }
+            { key: 'evening', desc: '🌇 Evening Digest (6 PM)' },
+            { key: 'release', desc: '🗓 New Week Released' }
           ]
           
           const digestButtons = digestOptions.map(digest => {
@@ -518,25 +550,80 @@ const callbacks = {
         return
       }
       
+      // Any other preference button ends a typed time window (including its Cancel)
+      if (ctx.session?.awaiting?.type === 'time_window' && !/^pref_time_(custom|confirm)/.test(action)) {
+        delete ctx.session.awaiting
+      }
+      
+      // Venue toggles - venue ids contain dashes (the-wave-bristol)
+      const prefVenue = action.match(/^pref_venue_toggle_(.+)$/)
+      if (prefVenue && listVenues().some(venue => venue.id === prefVenue[1])) {
+        return await callbacks.toggleUserVenue(supabase, ctx, userProfile, prefVenue[1])
+      }
+      
+      // Level toggles - level keys can contain underscores (expert_barrels)
+      const prefLevel = action.match(/^pref_level_toggle_(.+)$/)
+      if (prefLevel && LEVEL_KEYS.includes(prefLevel[1])) {
+        return await callbacks.toggleUserLevel(supabase, ctx, userProfile, prefLevel[1])
+      }
+      
+      // Time windows for one weekday: pref_time_day_[day|all], pref_time_toggle_[index|any]_[day]
+      const timeDay = action.match(/^pref_time_day_(all|[0-6])$/)
+      if (timeDay) {
+        const day = timeDay[1] === 'all' ? null : Number(timeDay[1])
+        return ctx.editMessageText(timeWindowsText(day), {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: generateTimeWindowButtons(userProfile.user_time_windows || [], 'pref_time_save', 'prefs', day) }
+        })
+      }
+      const dayTimeToggle = action.match(/^pref_time_toggle_([0-4]|any)_([0-6])$/)
+      if (dayTimeToggle) {
+        const day = Number(dayTimeToggle[2])
+        if (dayTimeToggle[1] === 'any') {
+          return await callbacks.clearUserTimeWindows(supabase, ctx, userProfile, day)
+        }
+        const window = PRESET_TIME_WINDOWS[Number(dayTimeToggle[1])]
+        return await callbacks.toggleUserTimeWindow(supabase, ctx, userProfile, window.start, window.end, day)
+      }
+      
+      // Typed time windows: pref_time_custom[_day] asks for one (commands.text parses and
+      // previews it), pref_time_confirm saves the preview, pref_time_remove_[HHMMHHMM][_day] removes one
+      const timeCustom = action.match(/^pref_time_custom(?:_([0-6]))?$/)
+      if (timeCustom) {
+        const day = timeCustom[1] === undefined ? null : Number(timeCustom[1])
+        ctx.session = ctx.session || {}
+        ctx.session.awaiting = BotSessionStore.prompt({ type: 'time_window', day })
+        return safeEditText(ctx,
+          `✍️ <b>Type a Time Window</b>${day === null ? '' : ` for ${TIME_WINDOW_DAYS[day]}`}\n\n` +
+          `Send it as a message, e.g. <i>${EXAMPLES}</i>.\n\n` +
+          '<i>Windows can\'t run past midnight - a session has to fit inside one to match.</i>',
+          {
+            parse_mode: 'HTML',
+            reply_markup: Markup.inlineKeyboard([[Markup.button.callback('✖️ Cancel', `pref_time_day_${day ?? 'all'}`)]]).reply_markup
+          }
+        )
+      }
+      if (action === 'pref_time_confirm') {
+        return await callbacks.saveTypedTimeWindow(supabase, ctx, userProfile)
+      }
+      const timeRemove = action.match(/^pref_time_remove_(\d{2})(\d{2})(\d{2})(\d{2})(?:_([0-6]))?$/)
+      if (timeRemove) {
+        const [, startHour, startMinute, endHour, endMinute, dayText] = timeRemove
+        const day = dayText === undefined ? null : Number(dayText)
+        return await callbacks.toggleUserTimeWindow(supabase, ctx, userProfile, `${startHour}:${startMinute}`, `${endHour}:${endMinute}`, day)
+      }
+      
       // All preference menu handlers are now handled in the navigation section
       // This function handles preference toggles and saves
       switch (action) {
         case 'levels': {
           const currentLevels = userProfile.user_levels?.map(ul => ul.level) || []
-          const levels = ['beginner', 'improver', 'intermediate', 'advanced', 'expert']
-          const levelButtons = levels.map(level => {
-            const isSelected = currentLevels.includes(level)
-            const text = `${isSelected ? '✅ ' : ''}${level.charAt(0).toUpperCase() + level.slice(1)}`
-            return [{ text, callback_data: `pref_level_toggle_${level}` }]
-          })
-          levelButtons.push([{ text: '💾 Save Changes', callback_data: 'pref_level_save' }])
-          levelButtons.push([{ text: '🔙 Back', callback_data: 'prefs' }])
-          
           return ctx.editMessageText(
-            '🎯 <b>Select Your Skill Levels</b>\n\nChoose all levels you\'re comfortable surfing:',
+            '🎯 <b>Select Your Skill Levels</b>\n\nChoose all levels you\'re comfortable surfing.\n\n' +
+            '<i>"(all)" covers every session in that family - or pick just the ones you want, e.g. Expert Barrels without Expert Turns.</i>',
             {
               parse_mode: 'HTML',
-              reply_markup: { inline_keyboard: levelButtons }
+              reply_markup: menus.preferenceLevelMenu(currentLevels).reply_markup
             }
           )
         }
@@ -584,7 +671,7 @@ const callbacks = {
           const timeButtonsPrefs = generateTimeWindowButtons(currentTimesPrefs, 'pref_time_save', 'prefs')
           
           return ctx.editMessageText(
-            '🕐 <b>Select Time Windows</b>\n\nWhen do you prefer to surf?\n\n🌊 <b>Any Time</b>: Match all session times\n🕐 <b>Specific Times</b>: Only match selected time windows',
+            timeWindowsText(),
             {
               parse_mode: 'HTML',
               reply_markup: { inline_keyboard: timeButtonsPrefs }
@@ -647,7 +734,8 @@ const callbacks = {
           const currentDigests = userProfile.user_digest_preferences?.map(udp => udp.digest_type) || []
           const digestOptions = [
             { key: 'morning', desc: '🌅 Morning Digest (8 AM)' },
-            { key: 'evening', desc: '🌇 Evening Digest (6 PM)' }
+            { key: 'evening', desc: '🌇 Evening Digest (6 PM)' },
+            { key: 'release', desc: '🗓 New Week Released' }
           ]
           
           const digestButtons = digestOptions.map(digest => {
@@ -659,7 +747,7 @@ const callbacks = {
           digestButtons.push([{ text: '🔙 Back', callback_data: 'prefs' }])
           
           return ctx.editMessageText(
-            '📱 <b>Daily Digest Timing</b>\n\nWhen would you like daily summaries?\n\n🌅 <b>Morning</b>: Plan your surf day with today\'s sessions\n🌇 <b>Evening</b>: Preview tomorrow\'s available sessions\n\nSelect morning, evening, both, or neither:',
+            '📱 <b>Daily Digest Timing</b>\n\nWhen would you like daily summaries?\n\n🌅 <b>Morning</b>: Plan your surf day with today\'s sessions\n🌇 <b>Evening</b>: Preview tomorrow\'s available sessions\n🗓 <b>New Week Released</b>: Your matching sessions as soon as a new week goes on sale\n\nSelect any combination, or none:',
             {
               parse_mode: 'HTML',
               reply_markup: { inline_keyboard: digestButtons }
@@ -689,16 +777,6 @@ const callbacks = {
             }
           )
           
-        // Level toggles
-        case 'pref_level_toggle_beginner':
-        case 'pref_level_toggle_improver':
-        case 'pref_level_toggle_intermediate':
-        case 'pref_level_toggle_advanced':
-        case 'pref_level_toggle_expert': {
-          const levelToToggle = action.split('_')[3] // Updated index for pref_level_toggle_*
-          return await callbacks.toggleUserLevel(supabase, ctx, userProfile, levelToToggle)
-        }
-          
         // Save level changes
         case 'pref_level_save':
           // Just show a quick confirmation then go back to preferences
@@ -764,32 +842,12 @@ const callbacks = {
         case 'pref_time_toggle_4': // 18:00-21:00
         case 'pref_time_toggle_any': {
           if (action === 'pref_time_toggle_any') {
-            // Clear all existing time windows (Any time = no specific restrictions)
-            await supabase.from('user_time_windows').delete().eq('user_id', userProfile.id)
-            ctx.answerCbQuery('✅ Set to Any Time!')
-            
-            // Refresh the time selection screen to show the updated checkboxes
-            const updatedTimeProfile = await getUserProfile(supabase, ctx.from.id)
-            const currentTimesAny = updatedTimeProfile.user_time_windows || []
-            const timeButtonsAny = generateTimeWindowButtons(currentTimesAny, 'pref_time_save', 'prefs')
-            
-            return ctx.editMessageText(
-              '🕐 <b>Select Time Windows</b>\n\nWhen do you prefer to surf?\n\n🌊 <b>Any Time</b>: Match all session times\n🕐 <b>Specific Times</b>: Only match selected time windows',
-              {
-                parse_mode: 'HTML',
-                reply_markup: { inline_keyboard: timeButtonsAny }
-              }
-            )
+            // Clear the every-day windows (Any time = no specific restrictions); each
+            // weekday's own windows stay
+            return await callbacks.clearUserTimeWindows(supabase, ctx, userProfile, null)
           } else {
             const timeId = parseInt(action.split('_')[3]) // Updated index for pref_time_toggle_*
-            const availableTimeWindows = [
-              { start: '06:00', end: '09:00' },
-              { start: '09:00', end: '12:00' },
-              { start: '12:00', end: '15:00' },
-              { start: '15:00', end: '18:00' },
-              { start: '18:00', end: '21:00' }
-            ]
-            const selectedTimeWindow = availableTimeWindows[timeId]
+            const selectedTimeWindow = PRESET_TIME_WINDOWS[timeId]
             return await callbacks.toggleUserTimeWindow(supabase, ctx, userProfile, selectedTimeWindow.start, selectedTimeWindow.end)
           }
         }
@@ -877,6 +935,7 @@ const callbacks = {
         // Digest preference toggles  
         case 'pref_digest_toggle_morning':
         case 'pref_digest_toggle_evening':
+        case 'pref_digest_toggle_release':
           const digestToToggle = action.split('_')[3] // Updated for pref_digest_toggle_*
           return await callbacks.toggleDigestPreference(supabase, ctx, userProfile, digestToToggle)
           
@@ -937,6 +996,7 @@ const callbacks = {
           
         case 'pref_digest_toggle_morning':
         case 'pref_digest_toggle_evening':
+        case 'pref_digest_toggle_release':
           const digestType = action.split('_')[3] // Updated for pref_digest_toggle_*
           return await callbacks.toggleDigestPreference(supabase, ctx, userProfile, digestType)
           
@@ -996,6 +1056,12 @@ const callbacks = {
         userProfile = await createUserProfile(supabase, telegramId, ctx.from.username)
       }
       
+      // Setup wizard level toggles - level keys can contain underscores (expert_barrels)
+      const setupLevel = action.match(/^(?:setup_)?level_toggle_(.+)$/)
+      if (setupLevel && LEVEL_KEYS.includes(setupLevel[1])) {
+        return callbacks.toggleSetupLevel(supabase, ctx, setupLevel[1])
+      }
+      
       switch (action) {
         case 'quick':
         case 'restart':
@@ -1048,15 +1114,6 @@ const callbacks = {
             }
           )
 
-        // Setup wizard level toggles
-        case 'setup_level_toggle_beginner':
-        case 'setup_level_toggle_improver':
-        case 'setup_level_toggle_intermediate':
-        case 'setup_level_toggle_advanced':
-        case 'setup_level_toggle_expert':
-          const levelToToggle = action.split('_')[3]
-          return callbacks.toggleSetupLevel(supabase, ctx, levelToToggle)
-          
         case 'setup_level_continue':
           if (!ctx.session?.setup?.levels?.length) {
             return ctx.answerCbQuery('⚠️ Please select at least one skill level!')
@@ -1219,9 +1276,260 @@ const callbacks = {
   /**
    * Session management callbacks
    */
-  async sessions(_supabase, ctx) {
+  async sessions(supabase, ctx) {
     const action = ctx.match[1]
-    return ctx.answerCbQuery('Session action not implemented yet')
+    const telegramId = ctx.from.id
+    console.log(`👁 Session callback triggered: ${action}`, { userId: telegramId })
+    
+    try {
+      const userProfile = await getUserProfile(supabase, telegramId)
+      
+      if (!userProfile) {
+        return ctx.answerCbQuery('⚠️ Set up your profile first with /start')
+      }
+      
+      const watchlist = new WatchlistService(supabase)
+      
+      // Session picker: session_list_today / session_list_tomorrow
+      if (action === 'list_today' || action === 'list_tomorrow') {
+        await ctx.answerCbQuery()
+        return callbacks.showWatchPicker(supabase, ctx, userProfile, action.split('_')[1])
+      }
+      
+      if (action === 'watching') {
+        await ctx.answerCbQuery()
+        return commands.watching(supabase, ctx)
+      }
+      
+      // Toggle a watch: session_watch_[session key]
+      const watchMatch = action.match(/^watch_(.+)$/)
+      if (watchMatch && isSessionKey(watchMatch[1])) {
+        const sessionRow = await watchlist.resolveSession(watchMatch[1])
+        
+        if (!sessionRow) {
+          return ctx.answerCbQuery('⏳ This session isn\'t tracked yet - try again after the next schedule refresh')
+        }
+        
+        const { watching } = await watchlist.toggleWatch(userProfile.id, sessionRow)
+        await ctx.answerCbQuery(watching ? '👁 Watching! We\'ll ping you when spots change' : '🙈 Stopped watching')
+        
+        const timeframe = sessionRow.date === today() ? 'today' : 'tomorrow'
+        return callbacks.showWatchPicker(supabase, ctx, userProfile, timeframe, true)
+      }
+      
+      // Explain the match, from the session picker or an alert: session_why_[session key]
+      const whyMatch = action.match(/^why_(.+)$/)
+      if (whyMatch && isSessionKey(whyMatch[1])) {
+        const sessionRow = await watchlist.resolveSession(whyMatch[1])
+
+        if (!sessionRow) {
+          return ctx.answerCbQuery('⏳ This session isn\'t tracked yet - try again after the next schedule refresh')
+        }
+
+        await ctx.answerCbQuery()
+        const session = fromSessionRow(sessionRow)
+        return ctx.reply(ui.createWhyMessage(session, matchProfile(session, userProfile)), { parse_mode: 'HTML' })
+      }
+
+      // Unwatch from the watchlist (session_unwatch_list_[id]) or from an alert (session_unwatch_[id])
+      const unwatchMatch = action.match(/^unwatch_(list_)?(.+)$/)
+      if (unwatchMatch) {
+        await watchlist.removeWatch(userProfile.id, unwatchMatch[2])
+        await ctx.answerCbQuery('🙈 Stopped watching')
+        
+        if (unwatchMatch[1]) {
+          return commands.watching(supabase, ctx)
+        }
+        return safeEditMarkup(ctx, { inline_keyboard: [] })
+      }
+      
+      return ctx.answerCbQuery('Unknown session action')
+    } catch (error) {
+      console.error('Session callback error:', error)
+      return ctx.answerCbQuery(error.message === 'Session has already started'
+        ? '⏰ This session has already started'
+        : '❌ Error updating your watchlist')
+    }
+  },
+  
+  /**
+   * Watchlist picker listing every session of the day, including fully booked ones
+   */
+  async showWatchPicker(supabase, ctx, userProfile, timeframe, markupOnly = false) {
+    const schedule = new ScheduleRepository(supabase)
+    const venues = venueIdsFor(userProfile)
+    const { sessions } = timeframe === 'today'
+      ? await schedule.getTodaysFutureSessions({ venues })
+      : await schedule.getTomorrowsSessions({ venues })
+    
+    const watchlist = new WatchlistService(supabase)
+    const watches = await watchlist.getUserWatches(userProfile.id)
+    const watchedIds = watches.map(watch => watch.session_id)
+    
+    const menu = menus.watchPickerMenu(timeframe, sessions, watchedIds)
+    
+    if (markupOnly) {
+      return safeEditMarkup(ctx, menu.reply_markup)
+    }
+    
+    const label = timeframe === 'today' ? 'Today' : 'Tomorrow'
+    return safeEditText(ctx, ui.createWatchPickerMessage(label, sessions.length), {
+      parse_mode: 'HTML',
+      reply_markup: menu.reply_markup
+    })
+  },
+
+  /**
+   * Alert rule callbacks: rules_list, rules_new, rules_view_[id], rules_edit_[id]_[field][_day],
+   * rules_t_[id]_[field]_[value][_day], rules_rename_[id], rules_pause_[id], rules_delete_[id]
+   * and rules_deleteyes_[id] (see menus.alertRuleMenu for the fields; only time windows
+   * take a day)
+   */
+  async rules(supabase, ctx) {
+    const action = ctx.match[1]
+    const telegramId = ctx.from.id
+    console.log(`📋 Alert rule callback triggered: ${action}`, { userId: telegramId })
+    
+    try {
+      const userProfile = await getUserProfile(supabase, telegramId)
+      
+      if (!userProfile) {
+        return ctx.answerCbQuery('⚠️ Set up your profile first with /start')
+      }
+      
+      const alertRules = new AlertRuleService(supabase)
+      ctx.session = ctx.session || {}
+      delete ctx.session.awaiting
+      
+      if (action === 'list') {
+        await ctx.answerCbQuery()
+        return callbacks.showAlertRules(supabase, ctx, userProfile)
+      }
+      
+      // The name arrives as the next text message (commands.text)
+      if (action === 'new') {
+        const existing = await alertRules.list(userProfile.id)
+        if (existing.length >= AlertRuleService.MAX_RULES) {
+          return ctx.answerCbQuery(`⚠️ You can have up to ${AlertRuleService.MAX_RULES} rules - delete one first`)
+        }
+        
+        ctx.session.awaiting = BotSessionStore.prompt({ type: 'rule_name' })
+        await ctx.answerCbQuery()
+        return safeEditText(ctx,
+          '📋 <b>New Alert Rule</b>\n\nSend me a name for it, e.g. <i>Weekend dawn</i>.\n\n' +
+          '<i>It starts as a copy of your current setup - change what you like afterwards.</i>',
+          {
+            parse_mode: 'HTML',
+            reply_markup: Markup.inlineKeyboard([[Markup.button.callback('✖️ Cancel', 'rules_list')]]).reply_markup
+          }
+        )
+      }
+      
+      const ruleAction = action.match(/^(view|rename|pause|delete|deleteyes)_([0-9a-f-]{36})$/)
+      if (ruleAction) {
+        const [, verb, ruleId] = ruleAction
+        const rule = await alertRules.get(userProfile.id, ruleId)
+        
+        switch (verb) {
+          case 'view':
+            await ctx.answerCbQuery()
+            return callbacks.showAlertRule(ctx, rule)
+          case 'rename':
+            ctx.session.awaiting = BotSessionStore.prompt({ type: 'rule_name', ruleId })
+            await ctx.answerCbQuery()
+            return safeEditText(ctx, `✏️ <b>Rename ${toHTML(rule.name)}</b>\n\nSend me the new name.`, {
+              parse_mode: 'HTML',
+              reply_markup: Markup.inlineKeyboard([[Markup.button.callback('✖️ Cancel', `rules_view_${ruleId}`)]]).reply_markup
+            })
+          case 'pause': {
+            const updated = await alertRules.update(userProfile.id, ruleId, { is_active: !rule.is_active })
+            await ctx.answerCbQuery(updated.is_active ? '▶️ Rule resumed' : '⏸ Rule paused')
+            return callbacks.showAlertRule(ctx, updated)
+          }
+          case 'delete':
+            await ctx.answerCbQuery()
+            return safeEditText(ctx, `🗑 <b>Delete ${toHTML(rule.name)}?</b>\n\nThis can't be undone.`, {
+              parse_mode: 'HTML',
+              reply_markup: menus.alertRuleDeleteMenu(rule).reply_markup
+            })
+          case 'deleteyes':
+            await alertRules.remove(userProfile.id, ruleId)
+            await ctx.answerCbQuery('🗑 Rule deleted')
+            return callbacks.showAlertRules(supabase, ctx, userProfile)
+        }
+      }
+      
+      const edit = action.match(/^edit_([0-9a-f-]{36})_(?:(lv|sd|dy|sp|ty)|(tm)(?:_([0-6]))?)$/)
+      if (edit) {
+        const [, ruleId, field, timeField, dayText] = edit
+        const rule = await alertRules.get(userProfile.id, ruleId)
+        await ctx.answerCbQuery()
+        return callbacks.showAlertRule(ctx, rule, field || timeField, dayText === undefined ? null : Number(dayText))
+      }
+      
+      const toggle = action.match(/^t_([0-9a-f-]{36})_(lv|sd|dy|tm|sp|ty)_([^_]+)(?:_([0-6]))?$/)
+      if (toggle) {
+        const [, ruleId, field, value, dayText] = toggle
+        const day = field === 'tm' && dayText !== undefined ? Number(dayText) : null
+        const rule = await callbacks.toggleAlertRuleValue(alertRules, userProfile.id, ruleId, field, value, day)
+        await ctx.answerCbQuery()
+        return callbacks.showAlertRule(ctx, rule, field, day)
+      }
+      
+      return ctx.answerCbQuery('Unknown rule action')
+    } catch (error) {
+      if (error instanceof AlertRuleService.AlertRuleError) {
+        return ctx.answerCbQuery(`⚠️ ${error.message}`)
+      }
+      console.error('Alert rule callback error:', error)
+      return ctx.answerCbQuery('❌ Error updating your alert rules')
+    }
+  },
+  
+  /**
+   * Apply one toggle from menus.alertRuleFieldMenu; day scopes a time window to one weekday
+   */
+  async toggleAlertRuleValue(alertRules, userId, ruleId, field, value, day = null) {
+    switch (field) {
+      case 'lv':
+        return alertRules.toggleValue(userId, ruleId, 'levels', LEVEL_KEYS[Number(value)])
+      case 'sd':
+        return alertRules.toggleValue(userId, ruleId, 'sides', value)
+      case 'dy':
+        return alertRules.toggleValue(userId, ruleId, 'days', Number(value))
+      case 'ty':
+        return alertRules.toggleValue(userId, ruleId, 'alert_types', ALERT_TYPES[Number(value)])
+      case 'sp': {
+        const minSpots = Number(value)
+        if (!Number.isInteger(minSpots) || minSpots < 1) throw new Error(`Invalid min spots: ${value}`)
+        return alertRules.update(userId, ruleId, { min_spots: minSpots })
+      }
+      case 'tm': {
+        const [, startH, startM, endH, endM] = value.match(/^(\d{2})(\d{2})(\d{2})(\d{2})$/) || []
+        if (!startH) throw new Error(`Invalid time window: ${value}`)
+        return alertRules.toggleTimeWindow(userId, ruleId, { start_time: `${startH}:${startM}`, end_time: `${endH}:${endM}`, day_of_week: day })
+      }
+    }
+  },
+  
+  async showAlertRules(supabase, ctx, userProfile) {
+    const rules = await new AlertRuleService(supabase).list(userProfile.id)
+    return safeEditText(ctx, ui.createAlertRulesMessage(rules), {
+      parse_mode: 'HTML',
+      reply_markup: menus.alertRulesMenu(rules).reply_markup
+    })
+  },
+  
+  /**
+   * A rule's settings, or the toggles for one of its fields (time windows for one weekday
+   * when day is set)
+   */
+  async showAlertRule(ctx, rule, field = null, day = null) {
+    const menu = field ? menus.alertRuleFieldMenu(rule, field, day) : menus.alertRuleMenu(rule)
+    return safeEditText(ctx, ui.createAlertRuleMessage(rule), {
+      parse_mode: 'HTML',
+      reply_markup: menu.reply_markup
+    })
   },
 
   /**
@@ -1257,6 +1565,36 @@ const callbacks = {
   /**
    * Utility methods
    */
+  async toggleUserVenue(supabase, ctx, userProfile, venue) {
+    try {
+      const currentVenues = userProfile.user_venues?.map(uv => uv.venue) || []
+      
+      if (currentVenues.includes(venue)) {
+        const { error } = await supabase
+          .from('user_venues')
+          .delete()
+          .eq('user_id', userProfile.id)
+          .eq('venue', venue)
+        
+        if (error) throw error
+      } else {
+        const { error } = await supabase
+          .from('user_venues')
+          .insert({ user_id: userProfile.id, venue })
+        
+        if (error) throw error
+      }
+      
+      const updatedProfile = await getUserProfile(supabase, ctx.from.id)
+      const updatedVenues = updatedProfile.user_venues?.map(uv => uv.venue) || []
+      
+      return await safeEditMarkup(ctx, menus.preferenceVenueMenu(updatedVenues).reply_markup)
+    } catch (error) {
+      console.error('🚨 Toggle venue error:', error)
+      return ctx.answerCbQuery('❌ Error updating venue')
+    }
+  },
+
   async toggleUserLevel(supabase, ctx, userProfile, level) {
     // CRITICAL: Answer callback query first to dismiss loading state
     await ctx.answerCbQuery()
@@ -1308,18 +1646,9 @@ const callbacks = {
       const currentLevels = updatedProfile.user_levels?.map(ul => ul.level) || []
       console.log(`📊 Current levels after toggle: ${currentLevels.join(', ')}`)
       
-      const levels = ['beginner', 'improver', 'intermediate', 'advanced', 'expert']
-      const levelButtons = levels.map(level => {
-        const isSelected = currentLevels.includes(level)
-        const text = `${isSelected ? '✅ ' : ''}${level.charAt(0).toUpperCase() + level.slice(1)}`
-        return [{ text, callback_data: `pref_level_toggle_${level}` }]
-      })
-      levelButtons.push([{ text: '💾 Save Changes', callback_data: 'pref_level_save' }])
-      levelButtons.push([{ text: '🔙 Back', callback_data: 'prefs' }])
-      
       // Try to update the message markup, but ignore "message not modified" errors
       try {
-        return await ctx.editMessageReplyMarkup({ inline_keyboard: levelButtons })
+        return await ctx.editMessageReplyMarkup(menus.preferenceLevelMenu(currentLevels).reply_markup)
       } catch (editError) {
         // If message is not modified (content is same), that's fine - just ignore
         if (editError.description && editError.description.includes('message is not modified')) {
@@ -1568,12 +1897,12 @@ const callbacks = {
   },
 
   async showAllSessions(supabase, ctx, timeframe) {
-    const scraper = new WaveScheduleScraper()
+    const schedule = new ScheduleRepository(supabase)
     
     try {
-      const sessions = timeframe === 'today' 
-        ? await scraper.getTodaysFutureSessions()
-        : await scraper.getTomorrowsSessions()
+      const { sessions, updatedAt } = timeframe === 'today' 
+        ? await schedule.getTodaysFutureSessions()
+        : await schedule.getTomorrowsSessions()
 
       const allAvailableSessions = sessions.filter(s => (s.spots_available || 0) > 0)
       
@@ -1581,12 +1910,14 @@ const callbacks = {
         timeframe === 'today' ? 'Today' : 'Tomorrow',
         allAvailableSessions,
         allAvailableSessions,
-        null
+        null,
+        false,
+        updatedAt
       )
       
       return ctx.editMessageText(sessionMessage, {
         parse_mode: 'HTML',
-        reply_markup: menus.sessionMenu(timeframe, false).reply_markup
+        reply_markup: menus.sessionMenu(timeframe, allAvailableSessions.slice(0, 4)).reply_markup
       })
     } catch (error) {
       return ctx.editMessageText(
@@ -1695,20 +2026,24 @@ const callbacks = {
     }
   },
   
-  async toggleUserTimeWindow(supabase, ctx, userProfile, startTime, endTime) {
+  /**
+   * Add or remove a time window, for every day (day null) or one weekday (0 = Monday)
+   */
+  async toggleUserTimeWindow(supabase, ctx, userProfile, startTime, endTime, day = null) {
     // CRITICAL: Answer callback query first to dismiss loading state
     await ctx.answerCbQuery()
     
     try {
-      console.log(`🔄 Toggling time window: ${startTime}-${endTime} for user ${userProfile.id}`)
+      console.log(`🔄 Toggling time window: ${startTime}-${endTime} (day ${day ?? 'all'}) for user ${userProfile.id}`)
       
-      const { data: existingWindow } = await supabase
+      const query = supabase
         .from('user_time_windows')
         .select('id')
         .eq('user_id', userProfile.id)
         .eq('start_time', startTime)
         .eq('end_time', endTime)
-        .single()
+      const { data: existingWindow } = await (day === null ? query.is('day_of_week', null) : query.eq('day_of_week', day))
+        .maybeSingle()
 
       if (existingWindow) {
         console.log(`➖ Removing time window: ${startTime}-${endTime}`)
@@ -1723,7 +2058,8 @@ const callbacks = {
           .insert({
             user_id: userProfile.id,
             start_time: startTime,
-            end_time: endTime
+            end_time: endTime,
+            day_of_week: day
           })
       }
 
@@ -1734,7 +2070,7 @@ const callbacks = {
       const currentTimes = updatedProfile.user_time_windows || []
       console.log(`📊 Current time windows after toggle: ${currentTimes.map(t => `${t.start_time}-${t.end_time}`).join(', ')}`)
       
-      const timeButtons = generateTimeWindowButtons(currentTimes, 'pref_time_save', 'prefs')
+      const timeButtons = generateTimeWindowButtons(currentTimes, 'pref_time_save', 'prefs', day)
       
       return ctx.editMessageReplyMarkup({ inline_keyboard: timeButtons })
     } catch (error) {
@@ -1743,6 +2079,64 @@ const callbacks = {
     }
   },
   
+  /**
+   * Save the time window previewed after the user typed it (ctx.session.awaiting.window)
+   */
+  async saveTypedTimeWindow(supabase, ctx, userProfile) {
+    const awaiting = ctx.session?.awaiting
+    if (awaiting?.type !== 'time_window' || !awaiting.window || BotSessionStore.isExpired(awaiting)) {
+      if (awaiting?.type === 'time_window') delete ctx.session.awaiting
+      return safeEditText(ctx, '⌛ That time window has expired - open Time Windows and type it again.', {
+        reply_markup: Markup.inlineKeyboard([[Markup.button.callback('🕐 Time Windows', 'pref_times')]]).reply_markup
+      })
+    }
+    
+    const { window, day } = awaiting
+    delete ctx.session.awaiting
+    
+    const alreadySaved = (userProfile.user_time_windows || []).some(ct =>
+      ct.start_time.slice(0, 5) === window.start_time &&
+      ct.end_time.slice(0, 5) === window.end_time &&
+      (ct.day_of_week ?? null) === day
+    )
+    if (!alreadySaved) {
+      const { error } = await supabase
+        .from('user_time_windows')
+        .insert({ user_id: userProfile.id, start_time: window.start_time, end_time: window.end_time, day_of_week: day })
+      if (error) throw error
+      console.log(`➕ Added typed time window ${window.start_time}-${window.end_time} (day ${day ?? 'all'}) for user ${userProfile.id}`)
+    }
+    
+    const updatedProfile = await getUserProfile(supabase, ctx.from.id)
+    return safeEditText(ctx, timeWindowsText(day), {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: generateTimeWindowButtons(updatedProfile.user_time_windows || [], 'pref_time_save', 'prefs', day) }
+    })
+  },
+  
+  /**
+   * Remove the every-day time windows (day null) or one weekday's own ones, leaving the rest
+   */
+  async clearUserTimeWindows(supabase, ctx, userProfile, day = null) {
+    try {
+      const query = supabase
+        .from('user_time_windows')
+        .delete()
+        .eq('user_id', userProfile.id)
+      const { error } = await (day === null ? query.is('day_of_week', null) : query.eq('day_of_week', day))
+      if (error) throw error
+      
+      await ctx.answerCbQuery(day === null ? '✅ Set to Any Time!' : `✅ Cleared ${TIME_WINDOW_DAYS[day]} windows`)
+      
+      const updatedProfile = await getUserProfile(supabase, ctx.from.id)
+      const timeButtons = generateTimeWindowButtons(updatedProfile.user_time_windows || [], 'pref_time_save', 'prefs', day)
+      return safeEditMarkup(ctx, { inline_keyboard: timeButtons })
+    } catch (error) {
+      console.error('🚨 Clear time windows error:', error)
+      return ctx.answerCbQuery('❌ Error updating time preference')
+    }
+  },
+  
   async toggleDigestPreference(supabase, ctx, userProfile, digestType) {
     try {
       const { data: existing } = await supabase
@@ -1906,7 +2300,8 @@ const callbacks = {
             supabase.from('user_sides').delete().eq('user_id', userProfile.id),
             supabase.from('user_days').delete().eq('user_id', userProfile.id),
             supabase.from('user_time_windows').delete().eq('user_id', userProfile.id),
-            supabase.from('user_digest_filters').delete().eq('user_id', userProfile.id)
+            supabase.from('user_digest_filters').delete().eq('user_id', userProfile.id),
+            supabase.from('alert_rules').delete().eq('user_id', userProfile.id)
           ])
           
           // Reset min_spots to default
@@ -2019,6 +2414,7 @@ const callbacks = {
       switch (action) {
         case 'toggle_morning':
         case 'toggle_evening':
+        case 'toggle_release':
           const digestType = action.split('_')[1]
           return await callbacks.toggleDigestPreference(supabase, ctx, userProfile, digestType)
           
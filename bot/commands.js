@@ -6,8 +6,16 @@
 const { Markup } = require('telegraf')
 const menus = require('./menus')
 const ui = require('./ui')
-const { WaveScheduleScraper } = require('../lib/wave-scraper-final')
-const { checkRateLimit } = require('../utils/telegram-helpers')
+const { filterSessions, matchProfile } = require('../lib/matching')
+const { venueIdsFor } = require('../lib/venues')
+const { parseTimeWindow, parseClockTime, TimeWindowError } = require('../lib/time-window-parser')
+const ScheduleRepository = require('../services/scheduleRepository')
+const WatchlistService = require('../services/watchlistService')
+const AlertRuleService = require('../services/alertRuleService')
+const BotSessionStore = require('../services/botSessionStore')
+const JobRunService = require('../services/jobRunService')
+const { JOBS } = require('../services/jobs')
+const { checkRateLimit, isAdminChat } = require('../utils/telegram-helpers')
 
 // Utility functions for user profile management
 async function getUserProfile(supabase, telegramId) {
@@ -18,9 +26,11 @@ async function getUserProfile(supabase, telegramId) {
       user_levels (level),
       user_sides (side),
       user_days (day_of_week),
-      user_time_windows (start_time, end_time),
+      user_time_windows (start_time, end_time, day_of_week),
       user_digest_filters (timing),
-      user_digest_preferences (digest_type)
+      user_digest_preferences (digest_type),
+      user_venues (venue),
+      alert_rules (id, name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
     `)
     .eq('telegram_id', telegramId)
     .single()
@@ -139,28 +149,16 @@ const commands = {
       // Get session counts for today and tomorrow
       let sessionSummary = ''
       try {
-        // Use already imported scraper
-        const scraper = new WaveScheduleScraper()
-        
-        // Extract user preferences in correct format
-        const userLevels = userProfile.user_levels?.map(ul => ul.level) || []
-        const userSides = userProfile.user_sides?.map(us => 
-          us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any'
-        ) || []
-        const userDays = userProfile.user_days?.map(ud => ud.day_of_week) || []
-        const userTimeWindows = userProfile.user_time_windows || []
+        const schedule = new ScheduleRepository(supabase)
+        const venues = venueIdsFor(userProfile)
         
         // Get today's sessions
-        const todaySessions = await scraper.getTodaysFutureSessions()
-        const todayFiltered = scraper.filterSessionsForUser(
-          todaySessions, userLevels, userSides, userDays, true, userTimeWindows
-        ).filter(s => (s.spots_available || 0) >= userProfile.min_spots)
+        const { sessions: todaySessions } = await schedule.getTodaysFutureSessions({ venues })
+        const todayFiltered = filterSessions(todaySessions, userProfile)
         
         // Get tomorrow's sessions
-        const tomorrowSessions = await scraper.getTomorrowsSessions()
-        const tomorrowFiltered = scraper.filterSessionsForUser(
-          tomorrowSessions, userLevels, userSides, userDays, true, userTimeWindows
-        ).filter(s => (s.spots_available || 0) >= userProfile.min_spots)
+        const { sessions: tomorrowSessions } = await schedule.getTomorrowsSessions({ venues })
+        const tomorrowFiltered = filterSessions(tomorrowSessions, userProfile)
         
         const todayText = todayFiltered.length === 0 ? 'No matches today' : 
           todayFiltered.length === 1 ? '1 session ready to book!' :
@@ -239,20 +237,9 @@ const commands = {
       }
       
       // Get today's future sessions (exclude past ones)
-      const scraper = new WaveScheduleScraper()
-      const sessions = await scraper.getTodaysFutureSessions()
-      
-      // Filter for user
-      const userLevels = userProfile.user_levels?.map(ul => ul.level) || []
-      const userSides = userProfile.user_sides?.map(us => 
-        us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any'
-      ) || []
-      const userDays = userProfile.user_days?.map(ud => ud.day_of_week) || []
-      const userTimeWindows = userProfile.user_time_windows || []
+      const { sessions, updatedAt } = await new ScheduleRepository(supabase).getTodaysFutureSessions({ venues: venueIdsFor(userProfile) })
       
-      const filteredSessions = scraper.filterSessionsForUser(
-        sessions, userLevels, userSides, userDays, true, userTimeWindows
-      ).filter(s => (s.spots_available || 0) >= userProfile.min_spots)
+      const filteredSessions = filterSessions(sessions, userProfile)
       
       const allAvailableSessions = sessions.filter(s => (s.spots_available || 0) > 0)
       
@@ -262,7 +249,8 @@ const commands = {
         filteredSessions, 
         allAvailableSessions,
         userProfile,
-        showAll
+        showAll,
+        updatedAt
       )
       
       const sessionsToPass = filteredSessions.length > 0 ? filteredSessions : allAvailableSessions
@@ -314,12 +302,11 @@ const commands = {
     
     try {
       const userProfile = await getUserProfile(supabase, telegramId)
-      const scraper = new WaveScheduleScraper()
-      const sessions = await scraper.getTomorrowsSessions()
+      const { sessions, updatedAt } = await new ScheduleRepository(supabase).getTomorrowsSessions({ venues: venueIdsFor(userProfile) })
       
       if (!userProfile) {
         const allSessions = sessions.filter(s => (s.spots_available || 0) > 0)
-        const message = ui.createSessionsMessage('Tomorrow', allSessions, allSessions, null, showAll)
+        const message = ui.createSessionsMessage('Tomorrow', allSessions, allSessions, null, showAll, updatedAt)
         
         return ctx.telegram.editMessageText(
           ctx.chat.id,
@@ -333,17 +320,7 @@ const commands = {
         )
       }
       
-      // Filter sessions for user
-      const userLevels = userProfile.user_levels?.map(ul => ul.level) || []
-      const userSides = userProfile.user_sides?.map(us => 
-        us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any'
-      ) || []
-      const userDays = userProfile.user_days?.map(ud => ud.day_of_week) || []
-      const userTimeWindows = userProfile.user_time_windows || []
-      
-      const filteredSessions = scraper.filterSessionsForUser(
-        sessions, userLevels, userSides, userDays, true, userTimeWindows
-      ).filter(s => (s.spots_available || 0) >= userProfile.min_spots)
+      const filteredSessions = filterSessions(sessions, userProfile)
       
       const allAvailableSessions = sessions.filter(s => (s.spots_available || 0) > 0)
       
@@ -352,7 +329,8 @@ const commands = {
         filteredSessions, 
         allAvailableSessions, 
         userProfile,
-        showAll
+        showAll,
+        updatedAt
       )
       
       const sessionsToPass = filteredSessions.length > 0 ? filteredSessions : allAvailableSessions
@@ -440,6 +418,164 @@ const commands = {
     })
   },
 
+  /**
+   * Watching command - sessions the user is watching for spot changes
+   */
+  async watching(supabase, ctx) {
+    const userProfile = await getUserProfile(supabase, ctx.from.id)
+    
+    if (!userProfile) {
+      return ctx.reply('⚙️ Set up your preferences first with /setup')
+    }
+    
+    const watchlist = new WatchlistService(supabase)
+    const watches = await watchlist.getUserWatches(userProfile.id)
+    
+    const watchingMessage = ui.createWatchingMessage(watches)
+    const menuMarkup = menus.watchingMenu(watches)
+    
+    if (ctx.callbackQuery) {
+      await ctx.editMessageText(watchingMessage, {
+        parse_mode: 'HTML',
+        reply_markup: menuMarkup.reply_markup
+      })
+    } else {
+      await ctx.reply(watchingMessage, {
+        parse_mode: 'HTML',
+        reply_markup: menuMarkup.reply_markup
+      })
+    }
+  },
+
+  /**
+   * Why command - /why 15:00 explains how the next sessions starting at that time
+   * (today, or tomorrow once today's have started) compare with the user's setup
+   */
+  async why(supabase, ctx) {
+    const userProfile = await getUserProfile(supabase, ctx.from.id)
+
+    if (!userProfile) {
+      return ctx.reply('⚙️ Set up your preferences first with /setup')
+    }
+
+    const arg = (ctx.message?.text || '').trim().split(/\s+/).slice(1).join('')
+    const time = parseClockTime(arg)
+    if (!time) {
+      return ctx.reply('🔍 Which session? Give its start time, e.g. /why 15:00 or /why 3pm')
+    }
+
+    const schedule = new ScheduleRepository(supabase)
+    let { sessions } = await schedule.getTodaysFutureSessions()
+    if (!sessions.some(s => s.time24 === time)) {
+      ({ sessions } = await schedule.getTomorrowsSessions())
+    }
+
+    const atTime = sessions.filter(s => s.time24 === time)
+    if (atTime.length === 0) {
+      return ctx.reply(`🔍 No session starts at ${time} today or tomorrow`)
+    }
+
+    const message = atTime
+      .map(session => ui.createWhyMessage(session, matchProfile(session, userProfile)))
+      .join('\n\n')
+    return ctx.reply(message, { parse_mode: 'HTML' })
+  },
+
+  /**
+   * Plain text messages: the answer to something the bot asked for, as recorded in
+   * ctx.session.awaiting (an alert rule's name or a time window). Anything else passes through.
+   */
+  async text(supabase, ctx, next) {
+    const awaiting = ctx.session?.awaiting
+    const text = ctx.message?.text || ''
+    if (text.startsWith('/')) return next()
+
+    if (!awaiting) return next()
+
+    // A prompt was open but timed out - say so in private chats rather than ignoring the reply
+    if (BotSessionStore.isExpired(awaiting)) {
+      delete ctx.session.awaiting
+      if (ctx.chat?.type !== 'private') return next()
+      return ctx.reply('⌛ That prompt has expired - tap the button again to start over.')
+    }
+
+    if (awaiting.type === 'rule_name') {
+      const userProfile = await getUserProfile(supabase, ctx.from.id)
+      if (!userProfile) {
+        delete ctx.session.awaiting
+        return ctx.reply('⚙️ Set up your preferences first with /setup')
+      }
+
+      const alertRules = new AlertRuleService(supabase)
+      try {
+        const rule = awaiting.ruleId
+          ? await alertRules.rename(userProfile.id, awaiting.ruleId, text)
+          : await alertRules.create(userProfile.id, text, userProfile)
+        delete ctx.session.awaiting
+
+        return ctx.reply(ui.createAlertRuleMessage(rule), {
+          parse_mode: 'HTML',
+          reply_markup: menus.alertRuleMenu(rule).reply_markup
+        })
+      } catch (error) {
+        // Keep waiting for a usable name
+        if (error instanceof AlertRuleService.AlertRuleError) {
+          return ctx.reply(`⚠️ ${error.message}. Send another name, or tap Cancel above.`)
+        }
+        delete ctx.session.awaiting
+        console.error('Error saving alert rule name:', error)
+        return ctx.reply('❌ Couldn\'t save that rule. Please try again from /setup.')
+      }
+    }
+
+    // A typed time window: preview it and keep it until Save (callbacks pref_time_confirm).
+    // Still waiting afterwards, so another message replaces the window being previewed.
+    if (awaiting.type === 'time_window') {
+      const day = awaiting.day ?? null
+      let window
+      try {
+        window = parseTimeWindow(text)
+      } catch (error) {
+        if (!(error instanceof TimeWindowError)) throw error
+        return ctx.reply(`⚠️ ${error.message}. Send another time, or tap Cancel above.`)
+      }
+
+      ctx.session.awaiting = BotSessionStore.prompt({ type: 'time_window', day, window })
+      return ctx.reply(ui.createTimeWindowPreviewMessage(window, day), {
+        parse_mode: 'HTML',
+        reply_markup: Markup.inlineKeyboard([[
+          Markup.button.callback('✅ Save', 'pref_time_confirm'),
+          Markup.button.callback('✖️ Cancel', `pref_time_day_${day ?? 'all'}`)
+        ]]).reply_markup
+      })
+    }
+
+    delete ctx.session.awaiting
+    return next()
+  },
+
+  /**
+   * Admin commands, only answered in chats listed in ADMIN_CHAT_IDS
+   *   /admin jobs - latest runs of every job
+   */
+  async admin(supabase, ctx) {
+    if (!isAdminChat(ctx.chat.id)) {
+      return ctx.reply('⛔ Admin commands aren\'t available in this chat')
+    }
+    
+    const [, subcommand] = (ctx.message?.text || '').trim().split(/\s+/)
+    
+    switch (subcommand) {
+      case 'jobs': {
+        const jobRuns = new JobRunService(supabase)
+        const latest = await jobRuns.latestPerJob(JOBS.map(job => job.name), { perJob: 3 })
+        return ctx.reply(ui.createJobsMessage(latest), { parse_mode: 'HTML' })
+      }
+      default:
+        return ctx.reply('🛠 Admin commands:\n/admin jobs - latest runs of every job')
+    }
+  },
+
   /**
    * Help command
    */
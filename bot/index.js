@@ -27,6 +27,8 @@ class BotHandler {
     // Main commands
     this.bot.command('today', commands.today.bind(null, this.supabase))
     this.bot.command('tomorrow', commands.tomorrow.bind(null, this.supabase))
+    this.bot.command('watching', commands.watching.bind(null, this.supabase))
+    this.bot.command('why', commands.why.bind(null, this.supabase))
     // Week command removed - only today/tomorrow supported
     
     // Settings and preferences
@@ -37,11 +39,15 @@ class BotHandler {
     this.bot.command('help', commands.help)
     this.bot.command('menu', commands.menu)
     this.bot.command('test', commands.test.bind(null, this.supabase))
+    this.bot.command('admin', commands.admin.bind(null, this.supabase))
     
     
     // Support command for Buy Me a Coffee
     this.bot.command('support', commands.support)
     
+    // Answers to questions the bot asked, e.g. a new alert rule's name
+    this.bot.on('text', (ctx, next) => commands.text(this.supabase, ctx, next))
+    
     this.logger.info('Bot commands registered successfully')
   }
 
@@ -66,7 +72,7 @@ class BotHandler {
     this.bot.action(/^menu_(.+)$/, callbacks.menu.bind(null, this.supabase))
     
     // Preferences management - display callbacks go to navigation
-    this.bot.action(/^pref_(levels|sides|days|times|spots|digests|profile_overview)$/, callbacks.navigation.bind(null, this.supabase))
+    this.bot.action(/^pref_(venues|levels|sides|days|times|spots|digests|profile_overview)$/, callbacks.navigation.bind(null, this.supabase))
     // Preferences management - toggle/save callbacks go to preferences  
     this.bot.action(/^pref_.+$/, callbacks.preferences.bind(null, this.supabase))
     this.bot.action(/^setup_(.+)$/, callbacks.setup.bind(null, this.supabase))
@@ -84,6 +90,9 @@ class BotHandler {
     this.bot.action(/^filter_(.+)$/, callbacks.filters.bind(null, this.supabase))
     this.bot.action(/^session_(.+)$/, callbacks.sessions.bind(null, this.supabase))
     
+    // Named alert rules
+    this.bot.action(/^rules_(.+)$/, callbacks.rules.bind(null, this.supabase))
+    
     // Pagination
     this.bot.action(/^page_(.+)_(\d+)$/, callbacks.pagination.bind(null, this.supabase))
     
@@ -131,6 +140,8 @@ class BotHandler {
         { command: 'start', description: '🌊 Welcome' },
         { command: 'today', description: '🏄‍♂️ Today\'s Sessions' },
         { command: 'tomorrow', description: '🌅 Tomorrow\'s Sessions' },
+        { command: 'watching', description: '👁 Watched Sessions' },
+        { command: 'why', description: '🔍 Why a session matches or not' },
         { command: 'setup', description: '⚙️ Preferences' },
         { command: 'support', description: '☕ Support WavePing' },
         { command: 'help', description: '❓ Help & Feedback' }
@@ -179,9 +190,11 @@ class BotHandler {
         user_levels (level),
         user_sides (side),
         user_days (day_of_week),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_filters (timing),
-        user_digest_preferences (digest_type)
+        user_digest_preferences (digest_type),
+        user_venues (venue),
+        alert_rules (id, name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
       `)
       .eq('telegram_id', telegramId)
       .single()
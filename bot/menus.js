@@ -4,8 +4,43 @@
  */
 
 const { Markup } = require('telegraf')
+const { sessionKey } = require('../lib/session-record')
+const { LEVELS } = require('../lib/session-levels')
+const { ALERT_TYPES } = require('../lib/matching')
+const AlertRuleService = require('../services/alertRuleService')
+const { listVenues } = require('../lib/venues')
+const { whyButtonRows } = require('../utils/telegram-helpers')
+const { PRESET_TIME_WINDOWS, TIME_WINDOW_DAYS } = require('../lib/time-window-parser')
 const logger = require('../utils/logger').child('Menus')
 
+// Level toggle rows: each broad level on its own row, its finer categories paired underneath.
+// Callback data is the prefix plus the level key, or its index in LEVELS when space is short.
+function levelButtonRows(currentLevels, callbackPrefix, { byIndex = false } = {}) {
+  const button = (level, label) => Markup.button.callback(
+    `${currentLevels.includes(level.key) ? '✅ ' : ''}${label}`,
+    `${callbackPrefix}${byIndex ? LEVELS.indexOf(level) : level.key}`
+  )
+  
+  const rows = []
+  LEVELS.filter(level => !level.parent).forEach(level => {
+    const children = LEVELS.filter(child => child.parent === level.key)
+    rows.push([button(level, children.length > 0 ? `${level.name} (all)` : level.name)])
+    
+    for (let i = 0; i < children.length; i += 2) {
+      rows.push(children.slice(i, i + 2).map(child => button(child, child.name)))
+    }
+  })
+  
+  return rows
+}
+
+const ALERT_TYPE_LABELS = {
+  digest: '📱 Digests',
+  spots_opened: '🚨 Spots opened',
+  reminder: '⏰ Reminders',
+  release: '🗓 New weeks'
+}
+
 const menus = {
   /**
    * Main menu - Central navigation hub with session counts
@@ -49,6 +84,15 @@ const menus = {
       Markup.button.callback('🔄 Refresh', `${timeframe}`)
     ])
     
+    // A 🔍 Why? button for each session listed above
+    const listed = Array.isArray(sessions) ? sessions.slice(0, showingCount || sessions.length) : []
+    buttons.push(...whyButtonRows(listed))
+    
+    // Watch any single session, including fully booked ones, or explain one not listed
+    buttons.push([
+      Markup.button.callback('👁 Watch · 🔍 Why?', `session_list_${timeframe}`)
+    ])
+    
     // Show more button if there are additional sessions
     if (showingCount && sessions.length > showingCount) {
       const remainingCount = sessions.length - showingCount
@@ -74,6 +118,47 @@ const menus = {
     return menu
   },
 
+  /**
+   * Session picker for the watchlist - every session of the day, full ones included,
+   * each with a 🔍 Why? button explaining how it compares with the user's setup
+   */
+  watchPickerMenu(timeframe, sessions = [], watchedIds = []) {
+    const buttons = sessions.map(session => {
+      const key = session.key || sessionKey(session)
+      const isWatched = watchedIds.includes(key)
+      const spots = session.spots_available || 0
+      const spotsText = spots === 0 ? 'Full' : `${spots} left`
+      const text = `${isWatched ? '👁 ' : ''}${session.time} ${session.session_name} · ${spotsText}`
+      return [
+        Markup.button.callback(text, `session_watch_${key}`),
+        Markup.button.callback('🔍 Why?', `session_why_${key}`)
+      ]
+    })
+    
+    buttons.push([Markup.button.callback('📋 My Watchlist', 'session_watching')])
+    buttons.push([Markup.button.callback('🔙 Back', timeframe)])
+    
+    return Markup.inlineKeyboard(buttons)
+  },
+
+  /**
+   * Watchlist with an unwatch button per session
+   */
+  watchingMenu(watches = []) {
+    const buttons = watches.map(watch => {
+      const time = String(watch.sessions?.start_time || '').slice(0, 5)
+      return [Markup.button.callback(`🙈 Unwatch ${time} ${watch.sessions?.session_name || ''}`.trim(), `session_unwatch_list_${watch.id}`)]
+    })
+    
+    buttons.push([
+      Markup.button.callback('🌊 Today', 'session_list_today'),
+      Markup.button.callback('🌅 Tomorrow', 'session_list_tomorrow')
+    ])
+    buttons.push([Markup.button.callback('🏠 Main Menu', 'main')])
+    
+    return Markup.inlineKeyboard(buttons)
+  },
+
   // Week view removed - only today/tomorrow supported
 
   /**
@@ -84,11 +169,13 @@ const menus = {
       [
         Markup.button.callback('👤 Show Current Profile', 'pref_profile_overview')
       ],
+      [Markup.button.callback('📍 Venues', 'pref_venues')],
       [Markup.button.callback('🎯 Skill Levels', 'pref_levels')],
       [Markup.button.callback('🏄 Wave Sides', 'pref_sides')],
       [Markup.button.callback('📅 Surf Days', 'pref_days')],
       [Markup.button.callback('🕐 Time Windows', 'pref_times')],
       [Markup.button.callback('💺 Min Spots', 'pref_spots')],
+      [Markup.button.callback('📋 Alert Rules', 'rules_list')],
       [Markup.button.callback('🔔 Notifications', 'alerts')],
       [Markup.button.callback('📱 Digests', 'pref_digests')],
       [
@@ -97,6 +184,136 @@ const menus = {
     ])
   },
 
+  /**
+   * Alert rules: one button per rule and a new rule button
+   */
+  alertRulesMenu(rules = []) {
+    const buttons = rules.map(rule => [
+      Markup.button.callback(`${rule.is_active ? '📋' : '⏸'} ${rule.name}`, `rules_view_${rule.id}`)
+    ])
+    
+    if (rules.length < AlertRuleService.MAX_RULES) {
+      buttons.push([Markup.button.callback('➕ New Rule', 'rules_new')])
+    }
+    buttons.push([Markup.button.callback('🔙 Back', 'prefs')])
+    
+    return Markup.inlineKeyboard(buttons)
+  },
+
+  /**
+   * One alert rule's settings. Edit screens are rules_edit_[id]_[field], field being
+   * lv (levels), sd (sides), dy (days), tm (time windows), sp (min spots) or ty (alert types).
+   */
+  alertRuleMenu(rule) {
+    const id = rule.id
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('🎯 Levels', `rules_edit_${id}_lv`),
+        Markup.button.callback('🏄 Sides', `rules_edit_${id}_sd`)
+      ],
+      [
+        Markup.button.callback('📅 Days', `rules_edit_${id}_dy`),
+        Markup.button.callback('🕐 Times', `rules_edit_${id}_tm`)
+      ],
+      [
+        Markup.button.callback('💺 Min Spots', `rules_edit_${id}_sp`),
+        Markup.button.callback('🔔 Alerts', `rules_edit_${id}_ty`)
+      ],
+      [
+        Markup.button.callback('✏️ Rename', `rules_rename_${id}`),
+        Markup.button.callback(rule.is_active ? '⏸ Pause' : '▶️ Resume', `rules_pause_${id}`)
+      ],
+      [Markup.button.callback('🗑 Delete', `rules_delete_${id}`)],
+      [Markup.button.callback('🔙 All Rules', 'rules_list')]
+    ])
+  },
+
+  /**
+   * Toggles for one field of an alert rule: rules_t_[id]_[field]_[value]. Levels and alert
+   * types go by index and time windows as HHMMHHMM, to fit Telegram's 64 byte callback data.
+   * Time windows are edited for every day (day null) or one weekday (0 = Monday), whose
+   * toggles carry it as rules_t_[id]_tm_[HHMMHHMM]_[day].
+   */
+  alertRuleFieldMenu(rule, field, day = null) {
+    const id = rule.id
+    const toggle = (selected, label, value) =>
+      Markup.button.callback(`${selected ? '✅ ' : ''}${label}`, `rules_t_${id}_${field}_${value}`)
+    let buttons = []
+    
+    switch (field) {
+      case 'lv':
+        buttons = levelButtonRows(rule.levels || [], `rules_t_${id}_lv_`, { byIndex: true })
+        break
+      case 'sd':
+        buttons = [['L', '🏄‍♂️ Left Side'], ['R', '🏄‍♀️ Right Side'], ['A', '🌊 Any Side']]
+          .map(([side, label]) => [toggle((rule.sides || []).includes(side), label, side)])
+        break
+      case 'dy': {
+        const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        buttons = dayNames.map((name, day) => [toggle((rule.days || []).includes(day), name, day)])
+        break
+      }
+      case 'tm': {
+        const windows = rule.time_windows || []
+        const dayWindows = windows.filter(existing => (existing.day_of_week ?? null) === day)
+        const suffix = day === null ? '' : `_${day}`
+        const times = (start, end) => `${start}${end}`.replace(/:/g, '') + suffix
+        const isWindow = (existing, window) =>
+          String(existing.start_time).slice(0, 5) === window.start &&
+          String(existing.end_time).slice(0, 5) === window.end
+        
+        // Which days the toggles below apply to; days with their own windows are marked
+        const dayButton = index => {
+          const hasOwn = windows.some(existing => existing.day_of_week === index)
+          const label = `${index === day ? '✏️ ' : hasOwn ? '• ' : ''}${TIME_WINDOW_DAYS[index]}`
+          return Markup.button.callback(label, `rules_edit_${id}_tm_${index}`)
+        }
+        buttons = [
+          [Markup.button.callback(`${day === null ? '✏️ ' : ''}🗓 Every Day`, `rules_edit_${id}_tm`)],
+          [0, 1, 2, 3].map(dayButton),
+          [4, 5, 6].map(dayButton)
+        ]
+        
+        PRESET_TIME_WINDOWS.forEach(window => {
+          const selected = dayWindows.some(existing => isWindow(existing, window))
+          buttons.push([toggle(selected, window.desc, times(window.start, window.end))])
+        })
+        // Other windows (typed ones copied from the preferences) - tapping one removes it
+        dayWindows
+          .filter(existing => !PRESET_TIME_WINDOWS.some(window => isWindow(existing, window)))
+          .forEach(existing => {
+            const start = String(existing.start_time).slice(0, 5)
+            const end = String(existing.end_time).slice(0, 5)
+            buttons.push([toggle(true, `✍️ ${start}–${end}`, times(start, end))])
+          })
+        break
+      }
+      case 'sp':
+        buttons = [[1, 2, 3], [5, 10]].map(row => row.map(spots =>
+          toggle((rule.min_spots || 1) === spots, `${spots}+`, spots)
+        ))
+        break
+      case 'ty':
+        buttons = ALERT_TYPES.map((type, index) =>
+          [toggle((rule.alert_types || []).includes(type), ALERT_TYPE_LABELS[type], index)]
+        )
+        break
+    }
+    
+    buttons.push([Markup.button.callback('✅ Done', `rules_view_${id}`)])
+    return Markup.inlineKeyboard(buttons)
+  },
+
+  /**
+   * Confirm deleting an alert rule
+   */
+  alertRuleDeleteMenu(rule) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('🗑 Yes, delete it', `rules_deleteyes_${rule.id}`)],
+      [Markup.button.callback('🔙 Keep it', `rules_view_${rule.id}`)]
+    ])
+  },
+
   /**
    * Notification settings menu
    */
@@ -169,7 +386,8 @@ const menus = {
   digestMenu(currentDigests = []) {
     const digests = [
       { key: 'morning', desc: '🌅 Morning (8 AM)' },
-      { key: 'evening', desc: '🌇 Evening (6 PM)' }
+      { key: 'evening', desc: '🌇 Evening (6 PM)' },
+      { key: 'release', desc: '🗓 New Week Released' }
     ]
     
     const buttons = digests.map(digest => {
@@ -204,19 +422,7 @@ const menus = {
    * Setup wizard specific menus
    */
   setupLevelSelectionMenu(currentLevels = []) {
-    const levels = [
-      { key: 'beginner', name: 'Beginner' },
-      { key: 'improver', name: 'Improver' },
-      { key: 'intermediate', name: 'Intermediate' },
-      { key: 'advanced', name: 'Advanced' },
-      { key: 'expert', name: 'Expert' }
-    ]
-    
-    const buttons = levels.map(level => {
-      const isSelected = currentLevels.includes(level.key)
-      const text = `${isSelected ? '✅ ' : ''}${level.name}`
-      return [Markup.button.callback(text, `setup_level_toggle_${level.key}`)]
-    })
+    const buttons = levelButtonRows(currentLevels, 'setup_level_toggle_')
     
     buttons.push(
       [Markup.button.callback('➡️ Continue', 'setup_level_continue')],
@@ -226,6 +432,36 @@ const menus = {
     return Markup.inlineKeyboard(buttons)
   },
   
+  /**
+   * Venue picker for the preferences screen - no venues picked means all of them
+   */
+  preferenceVenueMenu(currentVenues = []) {
+    const buttons = listVenues().map(venue => [
+      Markup.button.callback(
+        `${currentVenues.includes(venue.id) ? '✅ ' : ''}${venue.name}`,
+        `pref_venue_toggle_${venue.id}`
+      )
+    ])
+    
+    buttons.push([Markup.button.callback('🔙 Back', 'prefs')])
+    
+    return Markup.inlineKeyboard(buttons)
+  },
+  
+  /**
+   * Skill level picker for the preferences screen
+   */
+  preferenceLevelMenu(currentLevels = []) {
+    const buttons = levelButtonRows(currentLevels, 'pref_level_toggle_')
+    
+    buttons.push(
+      [Markup.button.callback('💾 Save Changes', 'pref_level_save')],
+      [Markup.button.callback('🔙 Back', 'prefs')]
+    )
+    
+    return Markup.inlineKeyboard(buttons)
+  },
+  
   setupSideSelectionMenu(currentSides = []) {
     const sides = [
       { key: 'Left', emoji: '🏄‍♂️', name: 'Left Side' },
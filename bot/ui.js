@@ -3,6 +3,10 @@
  * Beautiful message formatting and user interface elements
  */
 
+const { levelName } = require('../lib/session-levels')
+const { listVenues } = require('../lib/venues')
+const { toHTML } = require('../utils/telegram-helpers')
+
 const ui = {
   /**
    * Welcome message for new users
@@ -66,7 +70,12 @@ Set up your preferences to get personalized surf alerts.`
   /**
    * Sessions display message
    */
-  createSessionsMessage(timeframe, filteredSessions, allSessions, userProfile, showAll = false) {
+  createSessionsMessage(timeframe, filteredSessions, allSessions, userProfile, showAll = false, updatedAt = null) {
+    return this.buildSessionsMessage(timeframe, filteredSessions, allSessions, userProfile, showAll) +
+      this.updatedLabel(updatedAt)
+  },
+
+  buildSessionsMessage(timeframe, filteredSessions, allSessions, userProfile, showAll) {
     const emoji = {
       'Today': '🌊',
       'Tomorrow': '🌅',
@@ -90,9 +99,9 @@ Set up your preferences to get personalized surf alerts.`
       
       sessionsToShow.forEach((session) => {
         const spots = session.spots_available || 0
-        const sessionName = session.session_name || this.capitalizeWords(session.level)
+        const sessionName = session.session_name || levelName(session.level)
         
-        message += `<b>${session.time}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
+        message += `<b>${this.timeRange(session)}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
       })
       
       
@@ -110,9 +119,9 @@ Set up your preferences to get personalized surf alerts.`
         
         sessionsToShow.forEach((session) => {
           const spots = session.spots_available || 0
-          const sessionName = session.session_name || this.capitalizeWords(session.level)
+          const sessionName = session.session_name || levelName(session.level)
           
-          message += `<b>${session.time}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
+          message += `<b>${this.timeRange(session)}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
         })
       }
       
@@ -130,9 +139,9 @@ Set up your preferences to get personalized surf alerts.`
       
       sessionsToShow.forEach((session) => {
         const spots = session.spots_available || 0
-        const sessionName = session.session_name || this.capitalizeWords(session.level)
+        const sessionName = session.session_name || levelName(session.level)
         
-        message += `<b>${session.time}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
+        message += `<b>${this.timeRange(session)}</b> • ${sessionName} • <b>${this.spotsLabel(spots)}</b>\n`
       })
       
     }
@@ -140,6 +149,128 @@ Set up your preferences to get personalized surf alerts.`
     return message
   },
 
+  /**
+   * "09:00–10:00", or just the start time when the end is unknown
+   */
+  timeRange(session) {
+    return session.end_time24 ? `${session.time}–${session.end_time24}` : session.time
+  },
+
+  /**
+   * Freshness footer for schedule data, e.g. "Updated 12 min ago"
+   */
+  updatedLabel(updatedAt, now = Date.now()) {
+    if (!updatedAt) return ''
+    
+    return `\n\n<i>🕒 Updated ${this.timeAgo(updatedAt, now)}</i>`
+  },
+
+  timeAgo(date, now = Date.now()) {
+    const minutes = Math.max(0, Math.floor((now - new Date(date).getTime()) / 60000))
+    if (minutes < 1) return 'just now'
+    if (minutes < 60) return `${minutes} min ago`
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`
+    return `${Math.floor(minutes / (24 * 60))}d ago`
+  },
+
+  /**
+   * Admin summary of the latest runs of each job (/admin jobs)
+   */
+  createJobsMessage(jobs, now = Date.now()) {
+    const statusEmoji = { succeeded: '✅', failed: '❌', running: '⏳' }
+    let message = `🛠 <b>Job Runs</b>\n`
+
+    jobs.forEach(({ name, runs }) => {
+      message += `\n<b>${name}</b>\n`
+      if (runs.length === 0) {
+        message += `<i>No runs recorded</i>\n`
+        return
+      }
+      runs.forEach(run => {
+        const parts = [this.timeAgo(run.started_at, now)]
+        if (run.finished_at) {
+          parts.push(`${((new Date(run.finished_at) - new Date(run.started_at)) / 1000).toFixed(1)}s`)
+        }
+        parts.push(run.trigger)
+        if (run.error) {
+          parts.push(toHTML(run.error.slice(0, 80)))
+        } else {
+          const counts = Object.entries(run.counts || {})
+            .flatMap(([key, value]) => typeof value === 'number' ? [`${key} ${value}`] :
+              Object.entries(value).map(([inner, count]) => `${key}.${inner} ${count}`))
+          if (counts.length > 0) parts.push(counts.slice(0, 4).join(', '))
+        }
+        message += `${statusEmoji[run.status] || '•'} ${parts.join(' · ')}\n`
+      })
+    })
+
+    return message
+  },
+
+  /**
+   * Watchlist session picker
+   */
+  createWatchPickerMessage(timeframe, sessionCount) {
+    if (sessionCount === 0) {
+      return `👁 <b>Watch a session - ${timeframe}</b>\n\nNo upcoming sessions to watch.`
+    }
+
+    return `👁 <b>Watch a session - ${timeframe}</b>\n\n` +
+      `Tap a session to watch it - even if it's fully booked or outside your setup.\n\n` +
+      `You'll get an alert whenever its spots change, until it starts. ` +
+      `Tap <b>🔍 Why?</b> to see how a session compares with your setup.`
+  },
+
+  /**
+   * Why a session does or doesn't match the user's setup, one line per check
+   * (a matchProfile() result), under each alert rule's name when the user has rules
+   */
+  createWhyMessage(session, { match, rules }) {
+    let message = `🔍 <b>${toHTML(session.dateLabel || session.dateISO)} ${this.timeRange(session)}</b>\n`
+    message += `${toHTML(session.session_name)}\n\n`
+    message += match
+      ? `✅ <b>Matches your setup</b>\n`
+      : `❌ <b>Doesn't match your setup</b>\n`
+
+    rules.forEach(rule => {
+      message += rule.name ? `\n${rule.match ? '✅' : '❌'} <b>📋 ${toHTML(rule.name)}</b>\n` : `\n`
+      rule.reasons.forEach(reason => {
+        message += `${rule.name ? '   ' : ''}${reason.ok ? '✅' : '❌'} ${toHTML(reason.text)}\n`
+      })
+    })
+
+    if (!match) {
+      message += `\n<i>Change your setup with /setup, or watch the session to hear about it anyway.</i>`
+    }
+    return message
+  },
+
+  /**
+   * Watchlist overview
+   */
+  createWatchingMessage(watches) {
+    let message = `👁 <b>Your Watchlist</b>\n\n`
+
+    if (watches.length === 0) {
+      message += `You're not watching any sessions.\n\n`
+      message += `Open Today or Tomorrow and tap <b>👁 Watch · 🔍 Why?</b>.`
+      return message
+    }
+
+    watches.forEach(watch => {
+      const session = watch.sessions || {}
+      const date = new Date(`${session.date}T00:00:00`)
+      const dayLabel = date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })
+      const time = String(session.start_time || '').slice(0, 5)
+      const status = session.is_active === false ? 'Cancelled' : this.spotsLabel(session.spots_available || 0)
+
+      message += `<b>${dayLabel} ${time}</b> • ${session.session_name} • <b>${status}</b>\n`
+    })
+
+    message += `\n<i>Watches end automatically when the session starts.</i>`
+    return message
+  },
+
   // Week overview removed - only today/tomorrow supported
 
   /**
@@ -160,8 +291,13 @@ Set up your preferences to get personalized surf alerts.`
     }
     
     
+    // Venues - only worth showing once there's a choice
+    if (listVenues().length > 1) {
+      message += `<b>Venues:</b> ${this.venueNames(userProfile)}\n`
+    }
+    
     // Levels - clean, no emojis
-    const levels = userProfile.user_levels?.map(ul => this.capitalizeWords(ul.level)) || []
+    const levels = userProfile.user_levels?.map(ul => levelName(ul.level)) || []
     const levelText = levels.length > 0 ? levels.join(', ') : 'Not set'
     message += `<b>Level:</b> ${levelText}\n`
     
@@ -173,26 +309,11 @@ Set up your preferences to get personalized surf alerts.`
     message += `<b>Wave side:</b> ${sideText}\n`
     
     // Days - compact format
-    const days = userProfile.user_days?.map(ud => {
-      const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
-      return dayNames[ud.day_of_week]
-    }) || []
-    let daysText = 'Mon–Sun'
-    if (days.length === 5 && !days.includes('Sat') && !days.includes('Sun')) {
-      daysText = 'Mon–Fri'
-    } else if (days.length === 2 && days.includes('Sat') && days.includes('Sun')) {
-      daysText = 'Weekends'
-    } else if (days.length > 0 && days.length < 7) {
-      daysText = days.join(', ')
-    }
-    message += `<b>Days:</b> ${daysText}\n`
+    message += `<b>Days:</b> ${this.daysLabel(userProfile.user_days?.map(ud => ud.day_of_week) || [])}\n`
     
-    // Time windows - chip format
-    const times = userProfile.user_time_windows?.map(tw => 
-      this.chipTimeWindow(tw.start_time, tw.end_time)
-    ) || []
-    const timesText = times.length > 0 ? times.join(', ') : 'Any'
-    message += `<b>Time windows:</b> ${timesText}\n`
+    // Time windows - chip format, every-day windows first, then each day's own
+    const timesText = this.timeWindowsLabel(userProfile.user_time_windows || [], tw => this.chipTimeWindow(tw.start_time, tw.end_time))
+    message += `<b>Time windows:</b> ${timesText || 'Any'}\n`
     
     // Min spots
     const minSpots = userProfile.min_spots || 1
@@ -221,6 +342,7 @@ Set up your preferences to get personalized surf alerts.`
     let digestText = 'None'
     if (digestPrefs.length > 0) {
       const digestItems = digestPrefs.map(pref => {
+        if (pref.digest_type === 'release') return 'New week releases'
         const time = pref.digest_type === 'morning' ? '08:00' : '18:00'
         return `${this.capitalizeWords(pref.digest_type)} ${time}`
       })
@@ -232,11 +354,74 @@ Set up your preferences to get personalized surf alerts.`
     const alertsStatus = userProfile.notification_enabled ? 'On' : 'Off'
     message += `<b>Alerts:</b> ${alertsStatus}\n`
     
+    // Active alert rules replace the levels, sides, days, times and min spots above
+    const activeRules = (userProfile.alert_rules || []).filter(rule => rule.is_active)
+    if (activeRules.length > 0) {
+      message += `<b>Alert rules:</b> ${activeRules.map(rule => toHTML(rule.name)).join(', ')}\n`
+      message += `<i>Your rules decide which sessions match, instead of the level, side, day, time and spot settings.</i>\n`
+    }
+    
     message += `\n<i>Tap a setting below to change it:</i>`
     
     return message
   },
 
+  /**
+   * Alert rules overview
+   */
+  createAlertRulesMessage(rules) {
+    let message = `📋 <b>Alert Rules</b>\n\n`
+    message += `Keep several named setups, e.g. <i>Weekday lunch</i> and <i>Weekend dawn</i>. ` +
+      `A session matches when it fits any active rule, for the alerts each rule is switched on for.\n\n`
+
+    if (rules.length === 0) {
+      message += `You don't have any rules yet - your setup applies to everything.\n\n`
+      message += `Tap <b>➕ New Rule</b> to start one from your current setup.`
+      return message
+    }
+
+    rules.forEach(rule => {
+      message += `${rule.is_active ? '📋' : '⏸'} <b>${toHTML(rule.name)}</b> • ${this.ruleSummary(rule)}\n`
+    })
+
+    if (!rules.some(rule => rule.is_active)) {
+      message += `\n<i>All rules are paused, so your setup applies to everything.</i>`
+    }
+    return message
+  },
+
+  /**
+   * One alert rule in full
+   */
+  createAlertRuleMessage(rule) {
+    const alertNames = { digest: 'Digests', spots_opened: 'Spots opened', reminder: 'Reminders', release: 'New weeks' }
+    const levels = (rule.levels || []).map(level => levelName(level))
+    const sides = (rule.sides || []).map(side => side === 'L' ? 'Left' : side === 'R' ? 'Right' : 'Any')
+    const times = this.timeWindowsLabel(rule.time_windows || [], window => this.chipTimeWindow(window.start_time, window.end_time))
+    const alerts = (rule.alert_types || []).map(type => alertNames[type] || type)
+
+    let message = `📋 <b>${toHTML(rule.name)}</b>${rule.is_active ? '' : ' <i>(paused)</i>'}\n\n`
+    message += `<b>Level:</b> ${levels.length > 0 ? levels.join(', ') : 'Any'}\n`
+    message += `<b>Wave side:</b> ${sides.length > 0 ? sides.join(', ') : 'Any'}\n`
+    message += `<b>Days:</b> ${this.daysLabel(rule.days || [])}\n`
+    message += `<b>Time windows:</b> ${times || 'Any'}\n`
+    message += `<b>Min spots:</b> ${rule.min_spots || 1}+\n`
+    message += `<b>Alerts:</b> ${alerts.length > 0 ? alerts.join(', ') : 'None - only shapes Today and Tomorrow'}\n`
+    message += `\n<i>Tap a setting below to change it:</i>`
+    return message
+  },
+
+  // "Intermediate · Mon–Fri · 12PM–3PM", for the rules overview
+  ruleSummary(rule) {
+    const levels = (rule.levels || []).map(level => levelName(level))
+    const times = this.timeWindowsLabel(rule.time_windows || [], window => this.chipTimeWindow(window.start_time, window.end_time))
+    return [
+      levels.length > 0 ? levels.join(', ') : 'Any level',
+      this.daysLabel(rule.days || []),
+      times || 'Any time'
+    ].join(' · ')
+  },
+
   /**
    * Current profile overview
    */
@@ -250,7 +435,7 @@ Set up your preferences to get personalized surf alerts.`
     // Skill Levels
     const levels = userProfile.user_levels?.map(ul => ul.level) || []
     if (levels.length > 0) {
-      const levelText = levels.map(l => this.capitalizeWords(l)).join(', ')
+      const levelText = levels.map(l => levelName(l)).join(', ')
       message += `🎯 <b>Skill Levels:</b> ${levelText}\n`
     } else {
       message += `🎯 <b>Skill Levels:</b> Not set\n`
@@ -272,11 +457,9 @@ Set up your preferences to get personalized surf alerts.`
     message += `📅 <b>Surf Days:</b> ${daysText}\n`
     
     // Time windows
-    const times = userProfile.user_time_windows?.map(tw => 
-      `${this.formatTime12Hour(tw.start_time)}-${this.formatTime12Hour(tw.end_time)}`
-    ) || []
-    const timesText = times.length > 0 ? times.join(', ') : 'Any time'
-    message += `🕐 <b>Time Windows:</b> ${timesText}\n`
+    const timesText = this.timeWindowsLabel(userProfile.user_time_windows || [],
+      tw => `${this.formatTime12Hour(tw.start_time)}-${this.formatTime12Hour(tw.end_time)}`)
+    message += `🕐 <b>Time Windows:</b> ${timesText || 'Any time'}\n`
     
     // Min spots
     message += `💺 <b>Min Spots:</b> ${userProfile.min_spots || 1}\n`
@@ -285,6 +468,7 @@ Set up your preferences to get personalized surf alerts.`
     const digestPrefs = userProfile.user_digest_preferences || []
     if (digestPrefs.length > 0) {
       const digestText = digestPrefs.map(pref => {
+        if (pref.digest_type === 'release') return '🗓 New week releases'
         return pref.digest_type === 'morning' ? '🌅 Morning digest' : '🌇 Evening digest'
       }).join(', ')
       message += `🔔 <b>Daily Digests:</b> ${digestText}\n`
@@ -310,6 +494,10 @@ Set up your preferences to get personalized surf alerts.`
     if (digestPrefs.length > 0) {
       message += `<b>Daily Digest Delivery:</b>\n`
       digestPrefs.forEach(pref => {
+        if (pref.digest_type === 'release') {
+          message += `🗓 New week releases, as soon as they go on sale\n`
+          return
+        }
         const emoji = pref.digest_type === 'morning' ? '🌅' : '🌇'
         const time = pref.digest_type === 'morning' ? '8:00 AM' : '6:00 PM'
         message += `${emoji} ${this.capitalizeWords(pref.digest_type)} digest at ${time}\n`
@@ -477,20 +665,73 @@ Thanks for keeping WavePing free for everyone! 🌊`
     return '[Any]'
   },
 
+  // "6AM–9AM", or "7:30AM–9AM" when a typed window isn't on the hour
   chipTimeWindow(startTime, endTime) {
-    const startHour = parseInt(startTime.split(':')[0])
-    const endHour = parseInt(endTime.split(':')[0])
-    
-    const startFormatted = startHour === 0 ? '12AM' : startHour > 12 ? `${startHour - 12}PM` : startHour === 12 ? '12PM' : `${startHour}AM`
-    const endFormatted = endHour === 0 ? '12AM' : endHour > 12 ? `${endHour - 12}PM` : endHour === 12 ? '12PM' : `${endHour}AM`
+    const format = (time) => {
+      const [hour, minutes] = time.split(':').map(part => parseInt(part, 10))
+      const hour12 = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour
+      return `${hour12}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}${hour >= 12 ? 'PM' : 'AM'}`
+    }
     
-    return `${startFormatted}–${endFormatted}`
+    return `${format(startTime)}–${format(endTime)}`
+  },
+
+  /**
+   * Preview of a typed time window before it's saved; day is null for every day
+   */
+  createTimeWindowPreviewMessage(window, day = null) {
+    const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    const minutes = (time) => {
+      const [hour, minute] = time.split(':').map(Number)
+      return hour * 60 + minute
+    }
+
+    let message = `🕐 <b>New time window: ${this.chipTimeWindow(window.start_time, window.end_time)}</b>\n\n`
+    message += `${window.start_time}–${window.end_time}, ${day === null ? 'every day' : `${dayNames[day]}s only`}\n`
+    // Sessions run about an hour and have to fit inside a window to match
+    if (minutes(window.end_time) - minutes(window.start_time) < 60) {
+      message += '\n⚠️ <i>That\'s under an hour - most sessions won\'t fit in it.</i>\n'
+    }
+    message += '\nSave it, or send a different time.'
+    return message
+  },
+
+  // "Mon–Fri", "Weekends", "Mon, Wed" from day_of_week numbers (0 = Monday); none means every day
+  daysLabel(dayIndexes) {
+    const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+    const days = [...dayIndexes].sort((a, b) => a - b).map(day => dayNames[day])
+    if (days.length === 5 && !days.includes('Sat') && !days.includes('Sun')) return 'Mon–Fri'
+    if (days.length === 2 && days.includes('Sat') && days.includes('Sun')) return 'Weekends'
+    if (days.length > 0 && days.length < 7) return days.join(', ')
+    return 'Mon–Sun'
+  },
+
+  // "6AM–9AM · Sat 9AM–3PM · Sun 9AM–12PM": every-day windows, then those of single days;
+  // empty when there are none
+  timeWindowsLabel(windows, format) {
+    const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+    const groups = []
+    const everyDay = windows.filter(tw => tw.day_of_week == null)
+    if (everyDay.length > 0) groups.push(everyDay.map(format).join(', '))
+    dayNames.forEach((name, day) => {
+      const own = windows.filter(tw => tw.day_of_week === day)
+      if (own.length > 0) groups.push(`${name} ${own.map(format).join(', ')}`)
+    })
+    // Days without a window of their own or an every-day one match any time
+    if (everyDay.length === 0 && groups.length > 0 && groups.length < dayNames.length) groups.push('other days any time')
+    return groups.join(' · ')
   },
 
   spotsLabel(spots) {
     return `${spots} spot${spots !== 1 ? 's' : ''}`
   },
 
+  venueNames(userProfile) {
+    const picked = userProfile.user_venues?.map(uv => uv.venue) || []
+    if (picked.length === 0) return 'All venues'
+    return listVenues().filter(venue => picked.includes(venue.id)).map(venue => venue.name).join(', ')
+  },
+
   capitalizeWords(str) {
     return str.replace(/\b\w/g, l => l.toUpperCase())
   },
@@ -0,0 +1,108 @@
+/**
+ * Cron expressions
+ * Standard five fields - minute hour day-of-month month day-of-week - with `*`, lists,
+ * ranges and steps (e.g. `0,30 6-22 * * 1-5`). Day of week is 0-7 with 0 and 7 both Sunday;
+ * when both day fields are restricted a day matching either one matches, as in cron.
+ */
+
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+]
+
+// Give up looking for a match after this many days (e.g. `0 0 31 2 *` never fires)
+const MAX_LOOKAHEAD_DAYS = 366 * 4
+
+function parseField(text, { name, min, max }) {
+  const values = new Set()
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/)
+    if (!match) throw new Error(`Invalid cron ${name}: "${text}"`)
+
+    const [, range, stepText] = match
+    const step = stepText ? parseInt(stepText, 10) : 1
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number)
+    if (to === undefined) to = stepText ? max : from
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${text}"`)
+    }
+    for (let value = from; value <= to; value += step) values.add(value)
+  }
+
+  return values
+}
+
+/**
+ * Parse an expression into sets of allowed values per field
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/)
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expression}"`)
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]))
+  if (weekdays.has(7)) weekdays.add(0)
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  }
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.date())
+  const dow = cron.weekdays.has(date.day())
+  if (cron.anyDay) return dow
+  if (cron.anyWeekday) return dom
+  return dom || dow
+}
+
+/**
+ * The first time strictly after `from` that the expression matches, in the given timezone
+ */
+function nextRun(expression, from = new Date(), tz = 'Europe/London') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression
+  // Walk the local wall clock (held as UTC so DST never shifts it), then convert back
+  let t = dayjs.utc(dayjs(from).tz(tz).format('YYYY-MM-DDTHH:mm')).add(1, 'minute')
+  const limit = t.add(MAX_LOOKAHEAD_DAYS, 'day')
+
+  while (t.isBefore(limit)) {
+    if (!cron.months.has(t.month() + 1)) {
+      t = t.add(1, 'month').date(1).hour(0).minute(0)
+    } else if (!dayMatches(cron, t)) {
+      t = t.add(1, 'day').hour(0).minute(0)
+    } else if (!cron.hours.has(t.hour())) {
+      t = t.add(1, 'hour').minute(0)
+    } else if (!cron.minutes.has(t.minute())) {
+      t = t.add(1, 'minute')
+    } else {
+      const run = dayjs.tz(t.format('YYYY-MM-DD HH:mm'), tz)
+      // A wall time repeated when the clocks go back only fires the first time round
+      if (run.isAfter(from)) return run.toDate()
+      t = t.add(1, 'minute')
+    }
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`)
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+}
@@ -26,7 +26,7 @@ class QueryOptimizer {
         user_levels (level),
         user_sides (side),
         user_days (day_of_week),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_filters (timing),
         user_digest_preferences (digest_type)
       `)
@@ -53,7 +53,7 @@ class QueryOptimizer {
         user_levels (level),
         user_sides (side),
         user_days (day_of_week),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_filters (timing),
         user_digest_preferences (digest_type)
       `)
@@ -85,7 +85,7 @@ class QueryOptimizer {
         user_levels (level),
         user_sides (side),
         user_days (day_of_week),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_filters (timing),
         user_digest_preferences!inner (digest_type)
       `)
@@ -0,0 +1,243 @@
+/**
+ * Polite HTTP layer for schedule scraping
+ *
+ * One client is shared by every scraper in the process, so all venues and weeks together:
+ *   - run at most `maxConcurrent` requests at once, started at least `minIntervalMs` apart
+ *   - send If-None-Match / If-Modified-Since and reuse the stored page on 304
+ *   - back off exponentially with jitter, honouring Retry-After on 429/503
+ *   - trip a per-host circuit breaker after `failureThreshold` failed fetches, serving the
+ *     last good page for a URL while the breaker is open
+ */
+
+const axios = require('axios');
+
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36'
+];
+
+const userAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+
+// Worth retrying: rate limiting and server errors. Other 4xx won't change on a retry.
+const isRetryableStatus = status => status === 429 || status >= 500;
+
+class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class HttpClient {
+  constructor(opts = {}) {
+    this.http = opts.http || axios.create({
+      timeout: 15000,
+      headers: {
+        'User-Agent': userAgent(),
+        'Accept-Language': 'en-GB,en;q=0.9',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Connection': 'keep-alive'
+      },
+      validateStatus: s => s >= 200 && s < 500
+    });
+    this.maxConcurrent = opts.maxConcurrent ?? 2;
+    this.minIntervalMs = opts.minIntervalMs ?? 1000;
+    this.retries = opts.retries ?? 4;
+    this.baseDelayMs = opts.baseDelayMs ?? 500;
+    this.maxDelayMs = opts.maxDelayMs ?? 30000;
+    this.failureThreshold = opts.failureThreshold ?? 5;
+    this.cooldownMs = opts.cooldownMs ?? 5 * 60 * 1000;
+    this.maxStoredPages = opts.maxStoredPages ?? 100;
+    this.sleep = opts.sleep || (ms => new Promise(r => setTimeout(r, ms)));
+    this.now = opts.now || Date.now;
+    this.random = opts.random || Math.random;
+
+    this.active = 0;
+    this.queue = [];
+    this.nextStartAt = 0;
+    this.pages = new Map(); // url -> { body, etag, lastModified, fetchedAt }
+    this.breakers = new Map(); // host -> { state, failures, openedAt }
+  }
+
+  /**
+   * GET a page body. `validate(body)` throws to reject a response (it is then retried);
+   * `report` collects http_status, attempts, not_modified and stale for health monitoring.
+   */
+  async get(url, { report = {}, retries = this.retries, validate = () => {} } = {}) {
+    const host = new URL(url).host;
+    const breaker = this._breaker(host);
+
+    if (!this._allowRequest(breaker)) {
+      return this._lastGood(url, report, new CircuitOpenError(host, breaker.openedAt + this.cooldownMs));
+    }
+
+    try {
+      const body = await this._fetch(url, report, retries, validate);
+      breaker.state = 'closed';
+      breaker.failures = 0;
+      return body;
+    } catch (err) {
+      if (err.retryable !== false) this._recordFailure(breaker);
+      if (breaker.state === 'open') return this._lastGood(url, report, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Breaker state per host plus queue figures, for /health
+   */
+  status() {
+    const hosts = {};
+    for (const [host, breaker] of this.breakers) {
+      hosts[host] = {
+        state: breaker.state,
+        failures: breaker.failures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + this.cooldownMs).toISOString() : null
+      };
+    }
+    return { hosts, activeRequests: this.active, queuedRequests: this.queue.length, storedPages: this.pages.size };
+  }
+
+  // ---------- internals ----------
+
+  async _fetch(url, report, retries, validate) {
+    let lastErr;
+    for (let attempt = 0; attempt < retries; attempt++) {
+      report.attempts = attempt + 1;
+      const stored = this.pages.get(url);
+      const headers = {};
+      if (stored?.etag) headers['If-None-Match'] = stored.etag;
+      if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+      let res;
+      try {
+        res = await this._throttled(() => this.http.get(url, { headers }));
+      } catch (err) {
+        // Network errors and 5xx (outside validateStatus) land here
+        res = err.response;
+        if (!res) {
+          lastErr = err;
+          if (attempt < retries - 1) await this.sleep(this._backoff(attempt));
+          continue;
+        }
+      }
+
+      report.http_status = res.status;
+
+      if (res.status === 304 && stored) {
+        report.not_modified = true;
+        return stored.body;
+      }
+
+      if (res.status >= 400 && !isRetryableStatus(res.status)) {
+        const err = new Error(`HTTP ${res.status}: ${res.statusText}`);
+        err.retryable = false;
+        throw err;
+      }
+
+      try {
+        if (res.status >= 400) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        validate(res.data);
+      } catch (err) {
+        lastErr = err;
+        if (attempt < retries - 1) await this.sleep(this._backoff(attempt, res));
+        continue;
+      }
+
+      this._remember(url, res);
+      return res.data;
+    }
+    throw new Error(`Failed to fetch ${url}: ${lastErr?.message || 'unknown error'}`);
+  }
+
+  // Retry-After (seconds or HTTP date) when the server sends one, otherwise exponential backoff with jitter
+  _backoff(attempt, res) {
+    const retryAfter = res?.headers?.['retry-after'];
+    if (retryAfter) {
+      const ms = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - this.now();
+      if (ms >= 0) return Math.min(ms, this.maxDelayMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + this.random() * ceiling / 2;
+  }
+
+  // Concurrency limit + minimum spacing between request starts
+  async _throttled(task) {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+    } else {
+      await new Promise(resolve => this.queue.push(resolve)); // slot handed over by the finishing request
+    }
+
+    try {
+      const now = this.now();
+      const startAt = Math.max(now, this.nextStartAt);
+      this.nextStartAt = startAt + this.minIntervalMs;
+      if (startAt > now) await this.sleep(startAt - now);
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+
+  _remember(url, res) {
+    this.pages.delete(url);
+    this.pages.set(url, {
+      body: res.data,
+      etag: res.headers?.etag || null,
+      lastModified: res.headers?.['last-modified'] || null,
+      fetchedAt: this.now()
+    });
+    // Oldest first in insertion order
+    while (this.pages.size > this.maxStoredPages) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+  }
+
+  _lastGood(url, report, err) {
+    const stored = this.pages.get(url);
+    if (!stored) throw err;
+    report.stale = true;
+    return stored.body;
+  }
+
+  _breaker(host) {
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, { state: 'closed', failures: 0, openedAt: null });
+    }
+    return this.breakers.get(host);
+  }
+
+  // Open breakers let a single trial request through once the cooldown has passed
+  _allowRequest(breaker) {
+    if (breaker.state === 'closed') return true;
+    if (breaker.state === 'open' && this.now() - breaker.openedAt >= this.cooldownMs) {
+      breaker.state = 'half_open';
+      return true;
+    }
+    return false;
+  }
+
+  _recordFailure(breaker) {
+    breaker.failures++;
+    if (breaker.state === 'half_open' || breaker.failures >= this.failureThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = this.now();
+    }
+  }
+}
+
+// Shared by every scraper in the process
+const sharedClient = new HttpClient();
+
+module.exports = {
+  HttpClient,
+  CircuitOpenError,
+  sharedClient
+};
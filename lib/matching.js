@@ -0,0 +1,196 @@
+/**
+ * Session matching
+ * The one definition of "this session suits this user", used by /today and /tomorrow,
+ * digests, reminders and alerts (and mirrored in SQL by session_matches_profile()).
+ *
+ * A session matches when every rule passes:
+ *   venue - no venues picked, or the session's venue is one of them
+ *   level - no levels picked, or the session's level or its family is picked
+ *   side  - no sides picked, 'Any' picked, a bay session (side 'Any'), or the session's side
+ *   day   - no days picked, or the weekday of the session's own date (0 = Monday)
+ *   time  - no time windows, or the whole session (start to end) fits in one window for
+ *           its weekday (a window with a day_of_week only applies on that day)
+ *   spots - spots left, and at least the user's min_spots (default 1)
+ *
+ * A user can also keep named alert rules (alert_rules), each with its own levels, sides,
+ * days, time windows, min spots and alert types. A session then matches when it passes the
+ * checks above for any active alert rule; venues stay per user. Users without alert rules
+ * match on their flat preferences.
+ */
+
+const dayjs = require('dayjs')
+const { levelMatches, levelName } = require('./session-levels')
+const { sessionSpan, toMinutes } = require('./session-durations')
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+const SIDE_NAMES = { L: 'Left', R: 'Right', A: 'Any' }
+
+// 0 = Monday ... 6 = Sunday, the numbering of user_days.day_of_week
+function weekdayOf(dateISO) {
+  return (dayjs(dateISO).day() + 6) % 7
+}
+
+/**
+ * A profile row (with user_levels, user_sides... as selected by the bot and services)
+ * as plain preference lists
+ */
+function preferencesOf(profile = {}) {
+  return {
+    venues: profile.user_venues?.map(uv => uv.venue) || [],
+    levels: profile.user_levels?.map(ul => ul.level) || [],
+    sides: profile.user_sides?.map(us => SIDE_NAMES[us.side] || 'Any') || [],
+    days: profile.user_days?.map(ud => ud.day_of_week) || [],
+    timeWindows: profile.user_time_windows || [],
+    minSpots: profile.min_spots || 1
+  }
+}
+
+// What a rule can alert about
+const ALERT_TYPES = ['digest', 'spots_opened', 'reminder', 'release']
+
+/**
+ * An alert_rules row as preference lists; venues come from the profile
+ */
+function rulePreferences(rule, profile = {}) {
+  return {
+    venues: profile.user_venues?.map(uv => uv.venue) || [],
+    levels: rule.levels || [],
+    sides: (rule.sides || []).map(side => SIDE_NAMES[side] || 'Any'),
+    days: rule.days || [],
+    timeWindows: rule.time_windows || [],
+    minSpots: rule.min_spots || 1
+  }
+}
+
+/**
+ * The preference sets a profile is matched against, as [{ name, prefs }]: its active
+ * alert rules (only those covering `alertType`, when given), or its flat preferences
+ * (name null) when it has no active rules
+ */
+function rulesOf(profile, alertType = null) {
+  const rules = (profile.alert_rules || []).filter(rule => rule.is_active !== false)
+  if (rules.length === 0) return [{ name: null, prefs: preferencesOf(profile) }]
+
+  return rules
+    .filter(rule => !alertType || (rule.alert_types || ALERT_TYPES).includes(alertType))
+    .map(rule => ({ name: rule.name, prefs: rulePreferences(rule, profile) }))
+}
+
+const hhmm = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+const RULES = {
+  venue(session, prefs) {
+    if (prefs.venues.length === 0) return [true, 'Any venue']
+    const venue = session.venue
+    return !venue || prefs.venues.includes(venue)
+      ? [true, 'At one of your venues']
+      : [false, 'Not at one of your venues']
+  },
+
+  level(session, prefs) {
+    const name = levelName(session.level)
+    if (prefs.levels.length === 0) return [true, `${name} - you haven't picked levels`]
+    return levelMatches(session.level, prefs.levels)
+      ? [true, `${name} is one of your levels`]
+      : [false, `${name} isn't one of your levels`]
+  },
+
+  side(session, prefs) {
+    if (prefs.sides.length === 0 || prefs.sides.includes('Any')) return [true, 'Any side suits you']
+    if (session.side === 'Any') return [true, 'Whole-bay session']
+    return prefs.sides.includes(session.side)
+      ? [true, `${session.side} side is one you picked`]
+      : [false, `${session.side} side isn't one you picked`]
+  },
+
+  day(session, prefs) {
+    const day = DAY_NAMES[weekdayOf(session.dateISO)]
+    if (prefs.days.length === 0) return [true, 'Any day suits you']
+    return prefs.days.includes(weekdayOf(session.dateISO))
+      ? [true, `${day} is one of your days`]
+      : [false, `${day} isn't one of your days`]
+  },
+
+  // Windows with a day_of_week only apply on that weekday, the others on every day. A day
+  // with no applicable window (only other days have their own) matches any time.
+  time(session, prefs) {
+    const { start, end } = sessionSpan(session)
+    const span = `${hhmm(start)}-${hhmm(end)}`
+    if (prefs.timeWindows.length === 0) return [true, 'Any time suits you']
+
+    const weekday = weekdayOf(session.dateISO)
+    const windows = prefs.timeWindows.filter(window => window.day_of_week == null || window.day_of_week === weekday)
+    const day = DAY_NAMES[weekday]
+    if (windows.length === 0) return [true, `No time windows on ${day}s - any time suits you`]
+
+    const fits = windows.some(window =>
+      start >= toMinutes(window.start_time) && end <= toMinutes(window.end_time)
+    )
+    const scoped = windows.some(window => window.day_of_week != null)
+    return fits
+      ? [true, `${span} fits one of your ${scoped ? `${day} ` : ''}time windows`]
+      : [false, `${span} doesn't fit your ${scoped ? `${day} ` : ''}time windows`]
+  },
+
+  spots(session, prefs) {
+    const spots = session.spots_available || 0
+    if (spots === 0) return [false, 'Fully booked']
+    return spots >= prefs.minSpots
+      ? [true, `${spots} spot${spots === 1 ? '' : 's'} left (you want ${prefs.minSpots}+)`]
+      : [false, `Only ${spots} spot${spots === 1 ? '' : 's'} left (you want ${prefs.minSpots}+)`]
+  }
+}
+
+const RULE_NAMES = Object.keys(RULES)
+
+/**
+ * Check a session against a profile row (or preferencesOf() output).
+ * Returns { match, reasons } with one reason per rule checked: { rule, ok, text }.
+ * `skip` leaves rules out, e.g. ['spots'] to list full sessions.
+ */
+function matchSession(session, profile, { skip = [] } = {}) {
+  const prefs = profile.levels ? profile : preferencesOf(profile)
+  const reasons = RULE_NAMES
+    .filter(rule => !skip.includes(rule))
+    .map(rule => {
+      const [ok, text] = RULES[rule](session, prefs)
+      return { rule, ok, text }
+    })
+
+  return { match: reasons.every(reason => reason.ok), reasons }
+}
+
+/**
+ * Check a session against each of a profile's rules (see rulesOf). It matches when any
+ * rule does. Returns { match, rules: [{ name, match, reasons }] }.
+ */
+function matchProfile(session, profile, { alertType = null, skip = [] } = {}) {
+  const rules = rulesOf(profile, alertType).map(({ name, prefs }) => ({
+    name,
+    ...matchSession(session, prefs, { skip })
+  }))
+  return { match: rules.some(rule => rule.match), rules }
+}
+
+/**
+ * The sessions that match a profile row (through its rules) or preferencesOf() output.
+ * `alertType` limits a profile to its rules for that kind of alert.
+ */
+function filterSessions(sessions, profile, options = {}) {
+  const ruleSets = profile.levels ? [{ prefs: profile }] : rulesOf(profile, options.alertType)
+  return sessions.filter(session =>
+    ruleSets.some(({ prefs }) => matchSession(session, prefs, options).match)
+  )
+}
+
+module.exports = {
+  RULE_NAMES,
+  ALERT_TYPES,
+  weekdayOf,
+  preferencesOf,
+  rulePreferences,
+  rulesOf,
+  matchSession,
+  matchProfile,
+  filterSessions
+}
@@ -0,0 +1,62 @@
+/**
+ * Session reminder timings
+ * Each timing a user picks (1 week, 48h...) is due a fixed lead time before the session
+ * starts. A reminder stays sendable for a grace period after it falls due, so a late or
+ * missed notifications run catches up instead of dropping it - but never once the session
+ * has started.
+ */
+
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const TZ = 'Europe/London'
+
+// Longest lead first
+const REMINDER_TIMINGS = [
+  { key: '1w', label: '1 week', hours: 168 },
+  { key: '48h', label: '48 hours', hours: 48 },
+  { key: '24h', label: '24 hours', hours: 24 },
+  { key: '12h', label: '12 hours', hours: 12 },
+  { key: '2h', label: '2 hours', hours: 2 }
+]
+
+// Shorter than the smallest gap between two timings' due times, so at most one is ever pending
+const DEFAULT_GRACE_MINUTES = 180
+
+function sessionStart(session) {
+  return dayjs.tz(`${session.dateISO} ${session.time24 || session.time}`, TZ)
+}
+
+function reminderDueAt(session, timingKey) {
+  const timing = REMINDER_TIMINGS.find(t => t.key === timingKey)
+  if (!timing) throw new Error(`Unknown reminder timing: ${timingKey}`)
+  return sessionStart(session).subtract(timing.hours, 'hour')
+}
+
+/**
+ * The reminder to send now for a session, out of the user's timings: the most recently
+ * due one still within the grace period. Null when nothing is due.
+ */
+function dueReminder(session, timingKeys, now = dayjs(), { graceMinutes = DEFAULT_GRACE_MINUTES } = {}) {
+  const start = sessionStart(session)
+  if (!start.isAfter(now)) return null
+
+  const due = REMINDER_TIMINGS
+    .filter(timing => timingKeys.includes(timing.key))
+    .map(timing => ({ ...timing, dueAt: reminderDueAt(session, timing.key) }))
+    .filter(timing => !timing.dueAt.isAfter(now) && now.diff(timing.dueAt, 'minute', true) <= graceMinutes)
+
+  return due.length > 0 ? due[due.length - 1] : null
+}
+
+module.exports = {
+  REMINDER_TIMINGS,
+  DEFAULT_GRACE_MINUTES,
+  sessionStart,
+  reminderDueAt,
+  dueReminder
+}
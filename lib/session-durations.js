@@ -0,0 +1,59 @@
+/**
+ * Session durations
+ * The schedule only lists start times, so the length of a session is inferred from its
+ * name first (specific formats) and then its level. Venue adapters can pass their own table.
+ */
+
+const DEFAULT_DURATION_MINUTES = 60
+
+const DEFAULT_DURATIONS = {
+  // First matching name pattern wins
+  byName: [
+    [/little rippers|play in the bay/i, 45],
+    [/private hire/i, 120],
+    [/social/i, 90]
+  ],
+  byLevel: {
+    improver_lesson: 90,
+    intermediate_lesson: 90,
+    advanced_coaching: 90,
+    high_performance_coaching: 90
+  }
+}
+
+function durationMinutes(sessionName = '', level = null, table = DEFAULT_DURATIONS) {
+  const byName = (table.byName || []).find(([pattern]) => pattern.test(sessionName))
+  if (byName) return byName[1]
+  return table.byLevel?.[level] ?? table.defaultMinutes ?? DEFAULT_DURATION_MINUTES
+}
+
+// "09:00" / "09:00:00" -> minutes after midnight
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
+
+// Minutes after midnight -> "HH:MM", clamped to the same day
+function fromMinutes(total) {
+  const clamped = Math.min(Math.max(total, 0), 23 * 60 + 59)
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`
+}
+
+/**
+ * Start and end of a session in minutes after midnight, using its stored end time when known
+ */
+function sessionSpan(session) {
+  const start = toMinutes(session.time24)
+  if (session.end_time24) return { start, end: toMinutes(session.end_time24) }
+  const minutes = session.duration_minutes ?? durationMinutes(session.session_name, session.level)
+  return { start, end: start + minutes }
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  DEFAULT_DURATIONS,
+  durationMinutes,
+  toMinutes,
+  fromMinutes,
+  sessionSpan
+}
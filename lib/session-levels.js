@@ -0,0 +1,76 @@
+/**
+ * Session level taxonomy
+ * Mirrors the session_level enum. Finer categories belong to a parent family so
+ * users who picked the broad level keep getting those sessions.
+ */
+
+const UNCLASSIFIED = 'unclassified'
+
+const LEVELS = [
+  { key: 'beginner', name: 'Beginner', parent: null },
+  { key: 'improver', name: 'Improver', parent: null },
+  { key: 'improver_lesson', name: 'Improver Lesson', parent: 'improver' },
+  { key: 'intermediate', name: 'Intermediate', parent: null },
+  { key: 'intermediate_lesson', name: 'Intermediate Lesson', parent: 'intermediate' },
+  { key: 'advanced', name: 'Advanced', parent: null },
+  { key: 'advanced_plus', name: 'Advanced Plus', parent: 'advanced' },
+  { key: 'advanced_coaching', name: 'Advanced Coaching', parent: 'advanced' },
+  { key: 'expert', name: 'Expert', parent: null },
+  { key: 'expert_turns', name: 'Expert Turns', parent: 'expert' },
+  { key: 'expert_barrels', name: 'Expert Barrels', parent: 'expert' },
+  { key: 'high_performance_coaching', name: 'High Performance Coaching', parent: null },
+  { key: 'women_only', name: 'Women Only', parent: null }
+]
+
+const LEVEL_KEYS = LEVELS.map(level => level.key)
+
+// Most specific patterns first - "Expert Barrels" must not fall through to plain "Expert"
+const RULES = [
+  [/high performance/, 'high_performance_coaching'],
+  [/women/, 'women_only'],
+  [/advanced.*coaching|coaching.*advanced/, 'advanced_coaching'],
+  [/expert.*barrel/, 'expert_barrels'],
+  [/expert.*turn/, 'expert_turns'],
+  [/expert/, 'expert'],
+  [/advanced plus|advanced\+/, 'advanced_plus'],
+  [/advanced/, 'advanced'],
+  [/intermediate.*lesson/, 'intermediate_lesson'],
+  [/intermediate/, 'intermediate'],
+  [/improver.*lesson/, 'improver_lesson'],
+  [/improver/, 'improver'],
+  [/beginner|play in the bay|little rippers/, 'beginner']
+]
+
+// Session name -> session_level. Unknown names are flagged rather than guessed.
+function classifyLevel(name) {
+  const n = String(name || '').toLowerCase()
+  const rule = RULES.find(([pattern]) => pattern.test(n))
+  return rule ? rule[1] : UNCLASSIFIED
+}
+
+function levelName(key) {
+  const level = LEVELS.find(l => l.key === key)
+  if (level) return level.name
+  return key === UNCLASSIFIED ? 'Other' : String(key || '')
+}
+
+function parentLevel(key) {
+  return LEVELS.find(l => l.key === key)?.parent || null
+}
+
+// A session level matches a user's picks if they chose it directly or chose its family
+function levelMatches(sessionLevel, userLevels) {
+  if (userLevels.includes(sessionLevel)) return true
+  const parent = parentLevel(sessionLevel)
+  return parent !== null && userLevels.includes(parent)
+}
+
+module.exports = {
+  LEVELS,
+  LEVEL_KEYS,
+  UNCLASSIFIED,
+  classifyLevel,
+  levelName,
+  parentLevel,
+  levelMatches
+}
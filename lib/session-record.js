@@ -0,0 +1,99 @@
+/**
+ * Session record helpers
+ * Maps scraper session objects onto rows of the sessions table
+ */
+
+const crypto = require('crypto')
+const dayjs = require('dayjs')
+const advancedFormat = require('dayjs/plugin/advancedFormat')
+const { DEFAULT_VENUE, getVenue } = require('./venues')
+const { toMinutes } = require('./session-durations')
+
+dayjs.extend(advancedFormat)
+
+// Canonical session key, used as the sessions table ID and everywhere a session is referenced
+// (notifications, watches, callback data): <venue prefix>-<YYYYMMDD>-<HHMM>-<side>-<name hash>,
+// e.g. twb-20250911-1500-l-3f2a9c. The name is hashed so the key stays short enough for
+// Telegram callback data (64 bytes).
+function sessionKey(session) {
+  const venue = getVenue(session.venue || DEFAULT_VENUE)
+  const name = crypto.createHash('md5').update(String(session.session_name || '').trim()).digest('hex').slice(0, 6)
+  return [
+    venue.keyPrefix || venue.id,
+    session.dateISO.replace(/-/g, ''),
+    String(session.time24 || session.time).replace(':', ''),
+    sideCode(session.side).toLowerCase(),
+    name
+  ].join('-')
+}
+
+const KEY_PATTERN = /^[a-z0-9-]+-\d{8}-\d{4}-[lra]-[0-9a-f]{6}$/
+
+function isSessionKey(value) {
+  return KEY_PATTERN.test(String(value))
+}
+
+// Scraper sides are 'Left' / 'Right' / 'Any', the database stores L / R / A
+function sideCode(side) {
+  return side === 'Left' ? 'L' : side === 'Right' ? 'R' : 'A'
+}
+
+// Row for the sessions table. first_seen is left out on purpose so upserts keep the original value.
+// A session read back from the table keeps its stored key, which differs from the canonical one
+// once a rename or retime has been linked to the session's earlier identity.
+function toSessionRow(session, updatedAt = new Date().toISOString()) {
+  return {
+    id: session.key || sessionKey(session),
+    venue: session.venue || DEFAULT_VENUE,
+    date: session.dateISO,
+    start_time: session.time24,
+    end_time: session.end_time24 || null,
+    session_name: session.session_name,
+    level: session.level,
+    side: sideCode(session.side),
+    total_spots: session.spots || 0,
+    spots_available: session.spots_available || 0,
+    book_url: session.booking_url,
+    price: session.price ?? null,
+    ticket_type: session.ticket_type || null,
+    raw_attributes: session.raw_attributes || null,
+    instructor: null,
+    is_active: true,
+    last_updated: updatedAt
+  }
+}
+
+// Stored row -> the session shape the scraper produces, so callers can't tell the two apart
+function fromSessionRow(row) {
+  const time24 = String(row.start_time || '').slice(0, 5)
+  const endTime24 = row.end_time ? String(row.end_time).slice(0, 5) : null
+  const spots = row.spots_available || 0
+  return {
+    key: row.id,
+    venue: row.venue || DEFAULT_VENUE,
+    dateLabel: dayjs(row.date).format('ddd Do MMM'),
+    dateISO: row.date,
+    time: time24,
+    time24,
+    end_time24: endTime24,
+    duration_minutes: endTime24 ? toMinutes(endTime24) - toMinutes(time24) : null,
+    session_name: row.session_name,
+    level: row.level,
+    side: row.side === 'L' ? 'Left' : row.side === 'R' ? 'Right' : 'Any',
+    spots: row.total_spots || 0,
+    spots_available: spots,
+    is_full: spots === 0,
+    booking_url: row.book_url,
+    price: row.price === null || row.price === undefined ? null : Number(row.price),
+    ticket_type: row.ticket_type || null,
+    raw_attributes: row.raw_attributes || null
+  }
+}
+
+module.exports = {
+  sessionKey,
+  isSessionKey,
+  sideCode,
+  toSessionRow,
+  fromSessionRow
+}
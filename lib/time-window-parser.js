@@ -0,0 +1,146 @@
+/**
+ * Free-form time windows
+ * What users type when asked for a time window - "7:30-9", "6pm to 9pm", "between 12 and 2",
+ * "after 17:00", "before noon" - as { start_time, end_time } in HH:MM. Open ends run to the
+ * start or end of the day, and windows can't cross midnight (user_time_windows requires
+ * end_time > start_time). Problems throw a TimeWindowError whose message is safe to show.
+ * The preset windows the bot offers as buttons live here too, for preferences and rules alike.
+ */
+
+const DAY_START = 0
+const DAY_END = 23 * 60 + 59
+const HALF_DAY = 12 * 60
+
+const NAMED_TIMES = { noon: 12 * 60, midday: 12 * 60, midnight: 0 }
+
+const EXAMPLES = '7:30-9, 6pm to 9pm, after 17:00 or before noon'
+
+// Preset windows, toggled by index in the preferences and by HHMMHHMM in alert rules
+const PRESET_TIME_WINDOWS = [
+  { start: '06:00', end: '09:00', desc: '🌅 Early (6-9 AM)' },
+  { start: '09:00', end: '12:00', desc: '🌞 Morning (9-12 PM)' },
+  { start: '12:00', end: '15:00', desc: '☀️ Midday (12-3 PM)' },
+  { start: '15:00', end: '18:00', desc: '🌤️ Afternoon (3-6 PM)' },
+  { start: '18:00', end: '21:00', desc: '🌅 Evening (6-9 PM)' }
+]
+
+// Button labels for day_of_week (0 = Monday)
+const TIME_WINDOW_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+class TimeWindowError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'TimeWindowError'
+  }
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+const toClock = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+
+// One time of day as minutes since midnight. `exact` is false for a bare hour like "7",
+// which could still be 7 PM depending on the other end of the window.
+function readTime(text) {
+  const word = text.trim()
+  if (word in NAMED_TIMES) return { minutes: NAMED_TIMES[word], exact: true, meridiem: null }
+
+  const match = word.match(/^(\d{1,2})(?:[:.h]?(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/)
+  if (!match) return null
+
+  let hours = Number(match[1])
+  const minutes = Number(match[2] || 0)
+  const meridiem = match[3] ? match[3][0] : null
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null
+    hours = hours % 12 + (meridiem === 'p' ? 12 : 0)
+  }
+  if (hours > 23 || minutes > 59) return null
+
+  return { minutes: hours * 60 + minutes, exact: Boolean(meridiem) || hours === 0 || hours > 12, meridiem }
+}
+
+function requireTime(text) {
+  const time = readTime(text)
+  if (!time) throw new TimeWindowError(`"${text.trim()}" isn't a time I understand - try 7:30, 19:00 or 7pm`)
+  return time
+}
+
+/**
+ * "15:00", "1500", "15", "3pm", "3:30pm" -> "15:00"; null when it isn't a time of day
+ */
+function parseClockTime(text) {
+  const time = readTime(String(text).trim().toLowerCase())
+  return time ? toClock(time.minutes) : null
+}
+
+/**
+ * Parse a typed time window into { start_time, end_time } (HH:MM). Bare hours borrow the
+ * other end's am/pm ("7-9pm" is 19:00-21:00) and an end before its start moves into the
+ * afternoon ("9-5" is 09:00-17:00). Throws TimeWindowError when it can't be read or is empty.
+ */
+function parseTimeWindow(text) {
+  const input = String(text || '')
+    .toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (!input) throw new TimeWindowError(`Send a time window, e.g. ${EXAMPLES}`)
+
+  let start
+  let end
+
+  const openEnd = input.match(/^(after|since|before|until|till|til|by)\s+(.+)$/)
+  if (openEnd) {
+    const time = requireTime(openEnd[2])
+    if (['after', 'since'].includes(openEnd[1])) {
+      start = time.minutes
+      end = DAY_END
+    } else {
+      start = DAY_START
+      end = time.minutes === 0 ? DAY_END : time.minutes
+    }
+  } else {
+    const from = /^(from|between)\s/.test(input)
+    const parts = input.replace(/^(from|between)\s+/, '').split(/\s*(?:-|\bto\b|\btill?\b|\buntil\b|\band\b)\s*/)
+
+    if (parts.length === 1 && from) {
+      start = requireTime(parts[0]).minutes
+      end = DAY_END
+    } else if (parts.length === 2 && parts[0] && parts[1]) {
+      const first = requireTime(parts[0])
+      const last = requireTime(parts[1])
+      start = first.minutes
+      end = last.minutes
+
+      // "7-9pm": the start is in the evening too, unless that would put it after the end
+      if (!first.exact && last.meridiem === 'p' && start < HALF_DAY && start + HALF_DAY < end) {
+        start += HALF_DAY
+      }
+      // "9-5", "9am-5": a bare end before the start is in the afternoon
+      if (!last.exact && end <= start && end < HALF_DAY && end + HALF_DAY > start) {
+        end += HALF_DAY
+      }
+      // "18:00-midnight" runs to the end of the day
+      if (end === 0) end = DAY_END
+    } else if (parts.length === 1) {
+      requireTime(parts[0])
+      throw new TimeWindowError(`That's a single time - give a start and an end, e.g. ${EXAMPLES}`)
+    } else {
+      throw new TimeWindowError(`I couldn't read that as a time window - try ${EXAMPLES}`)
+    }
+  }
+
+  if (end <= start) {
+    throw new TimeWindowError(`The end (${toClock(end)}) has to be after the start (${toClock(start)}) - windows can't run past midnight`)
+  }
+
+  return { start_time: toClock(start), end_time: toClock(end) }
+}
+
+module.exports = {
+  parseTimeWindow,
+  parseClockTime,
+  TimeWindowError,
+  EXAMPLES,
+  PRESET_TIME_WINDOWS,
+  TIME_WINDOW_DAYS
+}
@@ -0,0 +1,59 @@
+/**
+ * Venue adapter registry
+ *
+ * Each venue adapter turns a venue's published schedule into WavePing sessions:
+ *   id, name, shortName, timezone, bookingUrl
+ *   fetchWeek(monday, fetchPage) -> raw page (HTML or JSON) for the week starting on `monday`
+ *   parseWeek(page, monday, report) -> raw session records; sets report.parser
+ *                                   ('structured' | 'text' | 'none') and counts report.skipped
+ *   normalise(record, monday)    -> session object (see the-wave-bristol.js) or null
+ *   durations (optional)         -> { byName, byLevel, defaultMinutes } session length table,
+ *                                   see lib/session-durations.js
+ *   keyPrefix (optional)         -> short prefix of the venue's session keys (defaults to id),
+ *                                   see lib/session-record.js
+ *
+ * fetchWeek is the only step that touches the network, so parseWeek/normalise can be
+ * exercised offline against saved pages.
+ */
+
+const theWaveBristol = require('./the-wave-bristol');
+
+const DEFAULT_VENUE = theWaveBristol.id;
+const REQUIRED = ['id', 'name', 'timezone', 'fetchWeek', 'parseWeek', 'normalise'];
+
+const venues = new Map();
+
+function registerVenue(adapter) {
+  const missing = REQUIRED.filter(key => !adapter[key]);
+  if (missing.length > 0) {
+    throw new Error(`Venue adapter ${adapter.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  venues.set(adapter.id, adapter);
+  return adapter;
+}
+
+function getVenue(id = DEFAULT_VENUE) {
+  const venue = venues.get(id);
+  if (!venue) throw new Error(`Unknown venue: ${id}`);
+  return venue;
+}
+
+function listVenues() {
+  return [...venues.values()];
+}
+
+// Venues a user follows (user_venues), or every venue when they haven't picked any
+function venueIdsFor(profile) {
+  const picked = profile?.user_venues?.map(uv => uv.venue) || [];
+  return picked.length > 0 ? picked : listVenues().map(venue => venue.id);
+}
+
+registerVenue(theWaveBristol);
+
+module.exports = {
+  DEFAULT_VENUE,
+  registerVenue,
+  getVenue,
+  listVenues,
+  venueIdsFor
+};
@@ -0,0 +1,285 @@
+/**
+ * The Wave, Bristol
+ * Weekly lake schedule pages at https://www.thewave.com/lake-schedule/?date=<monday>
+ */
+
+const cheerio = require('cheerio');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { classifyLevel } = require('../session-levels');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const TIMEZONE = 'Europe/London';
+const SCHEDULE_URL = 'https://www.thewave.com/lake-schedule/';
+const BOOKING_URL = 'https://ticketing.thewave.com/';
+const DATA_EVENT_PREFIX = 'data-event-';
+
+const MONTHS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+
+// Labels carry no year. Take the year that puts the date closest to the requested week,
+// so Thu 1st Jan in the week of Mon 29th Dec lands in the following year.
+function dateFromLabel(label, weekMonday) {
+  const m = label.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\d{1,2})(?:st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i);
+  if (!m) throw new Error(`Invalid date label: ${label}`);
+  const day = parseInt(m[2], 10);
+  const monthIndex = MONTHS.indexOf(m[3].toLowerCase());
+  const monthDay = `${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  const year = weekMonday.year();
+  return [year - 1, year, year + 1]
+    .map(y => dayjs.tz(`${y}-${monthDay}`, TIMEZONE))
+    .reduce((best, candidate) =>
+      Math.abs(candidate.diff(weekMonday, 'day')) < Math.abs(best.diff(weekMonday, 'day')) ? candidate : best
+    );
+}
+
+// "3:00pm" -> "15:00". Returns null for anything that isn't a time so the row is dropped.
+function to24(s) {
+  const m = s.match(/(\d{1,2}):(\d{2})\s*([ap]m)/i);
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = m[2];
+  const ap = m[3].toLowerCase();
+  if (ap === 'pm' && h !== 12) h += 12;
+  if (ap === 'am' && h === 12) h = 0;
+  return `${String(h).padStart(2, '0')}:${min}`;
+}
+
+function ordinalSuffix(num) {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = num % 100;
+  return suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0];
+}
+
+function fullMonth(shortMonth) {
+  const months = {
+    'jan': 'Jan', 'feb': 'Feb', 'mar': 'Mar', 'apr': 'Apr',
+    'may': 'May', 'jun': 'Jun', 'jul': 'Jul', 'aug': 'Aug',
+    'sep': 'Sep', 'oct': 'Oct', 'nov': 'Nov', 'dec': 'Dec'
+  };
+  return months[shortMonth.toLowerCase()] || shortMonth;
+}
+
+// Every data-event-* attribute on a session element, keyed without the prefix ("wave-direction", "price", ...)
+function eventAttributes(elem) {
+  const attributes = {};
+  for (const [name, value] of Object.entries(elem.attribs || {})) {
+    if (name.startsWith(DATA_EVENT_PREFIX)) attributes[name.slice(DATA_EVENT_PREFIX.length)] = value;
+  }
+  return attributes;
+}
+
+// Per-session booking link: a booking-url attribute, the element's own href, or an enclosing/nested link
+function bookingLink($elem, attributes) {
+  const href = attributes['booking-url'] || attributes.url || $elem.attr('href') || $elem.attr('data-href') ||
+    $elem.closest('a[href]').attr('href') || $elem.find('a[href]').first().attr('href');
+  if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+  try {
+    return new URL(href, BOOKING_URL).toString();
+  } catch {
+    return null;
+  }
+}
+
+// "£52.50", "52.5", "GBP 52" -> 52.5
+function parsePrice(value) {
+  const m = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d{1,2})?)/);
+  return m ? parseFloat(m[1]) : null;
+}
+
+// Structured session elements (preferred)
+function parseStructured($, report) {
+  const records = [];
+
+  $('[data-event-name]').each((i, elem) => {
+    const $elem = $(elem);
+    const attributes = eventAttributes(elem);
+    const eventName = attributes.name;
+    const eventTime = attributes.time; // e.g., "3:00pm"
+    const eventDate = attributes.date; // e.g., "Thu 11th Sep 25"
+    const availability = attributes.availability; // e.g., "13"
+    const waveDirection = attributes['wave-direction']; // "left", "right"
+
+    if (!eventName || !eventTime || !eventDate) {
+      report.skipped++;
+      return;
+    }
+
+    const dateMatch = eventDate.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\d{1,2})\w+\s+(\w{3})/i);
+    if (!dateMatch) {
+      report.skipped++;
+      return;
+    }
+
+    records.push({
+      dayLabel: `${dateMatch[1]} ${dateMatch[2]}${ordinalSuffix(parseInt(dateMatch[2]))} ${fullMonth(dateMatch[3])}`,
+      timeLabel: eventTime,
+      name: eventName,
+      availability: `${availability || 0} spaces`,
+      direction: waveDirection || null,
+      bookingUrl: bookingLink($elem, attributes),
+      price: parsePrice(attributes.price),
+      ticketType: attributes['ticket-type'] || attributes.type || null,
+      attributes
+    });
+  });
+
+  return records;
+}
+
+// Fallback text parsing for pages without structured data
+function parseText($) {
+  const text = $('body').text();
+  const lines = text.split('\n')
+    .map(x => x.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const dayHeaderRe = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+\d{1,2}(st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i;
+  const dayNameRe = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)$/i;
+  const dayDateRe = /^\d{1,2}(st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i;
+  const timeRe = /^(\d{1,2}:\d{2}\s*[ap]m)$/i;
+  const availabilityRe = /(Fully Booked|\d+\s+spaces?)/i;
+
+  const isDayHeader = (i) => dayHeaderRe.test(lines[i]) ||
+    (dayNameRe.test(lines[i]) && i + 1 < lines.length && dayDateRe.test(lines[i + 1]));
+
+  let currentDayLabel = null;
+  const records = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (dayHeaderRe.test(line)) {
+      currentDayLabel = line;
+      continue;
+    }
+
+    if (dayNameRe.test(line) && i + 1 < lines.length && dayDateRe.test(lines[i + 1])) {
+      currentDayLabel = `${line} ${lines[i + 1]}`;
+      i++;
+      continue;
+    }
+
+    if (!currentDayLabel) continue;
+
+    if (timeRe.test(line)) {
+      const timeLabel = line;
+      let j = i + 1;
+      while (j < lines.length && !timeRe.test(lines[j]) && !isDayHeader(j)) {
+        const name = lines[j];
+        const next = lines[j + 1] || '';
+
+        // Inline availability first, otherwise "Name Fully Booked" would swallow the next row as its availability
+        if (availabilityRe.test(name)) {
+          const availMatch = name.match(availabilityRe)?.[1];
+          const cleanName = name.replace(/\s+(Fully Booked|\d+\s+spaces?).*$/i, '');
+          records.push({ dayLabel: currentDayLabel, timeLabel, name: cleanName, availability: availMatch || '', direction: null });
+          j += 1;
+        } else if (availabilityRe.test(next)) {
+          records.push({ dayLabel: currentDayLabel, timeLabel, name, availability: next, direction: null });
+          j += 2;
+        } else {
+          j += 1;
+        }
+      }
+      i = j - 1;
+    }
+  }
+
+  return records;
+}
+
+module.exports = {
+  id: 'the-wave-bristol',
+  name: 'The Wave Bristol',
+  shortName: 'The Wave',
+  keyPrefix: 'twb',
+  timezone: TIMEZONE,
+  bookingUrl: BOOKING_URL,
+
+  /**
+   * Fetch the schedule page for the week starting on `monday`.
+   * `fetchPage(url)` is supplied by the scraper and owns retries/HTTP policy.
+   */
+  async fetchWeek(monday, fetchPage) {
+    return fetchPage(`${SCHEDULE_URL}?date=${monday.format('YYYY-MM-DD')}`);
+  },
+
+  /**
+   * Raw session records from a week page, before normalisation.
+   * Records which parser path ran and how many entries were skipped on `report`.
+   */
+  parseWeek(html, weekMonday, report = { skipped: 0 }) {
+    const $ = cheerio.load(html);
+
+    // Quick sanity: ensure we're on a schedule page for the requested week
+    const header = $(':contains("Session Calendar")').length > 0;
+    if (!header) {
+      report.parser = 'none';
+      return [];
+    }
+
+    const records = parseStructured($, report);
+    if (records.length > 0) {
+      console.log(`Parsed ${records.length} sessions from structured HTML data`);
+      report.parser = 'structured';
+      return records;
+    }
+
+    console.log('No structured session data found, falling back to text parsing...');
+    report.parser = 'text';
+    return parseText($);
+  },
+
+  /**
+   * Raw record -> session shape used across WavePing (null if unusable)
+   */
+  normalise(record, weekMonday) {
+    try {
+      const dateISO = dateFromLabel(record.dayLabel, weekMonday).format('YYYY-MM-DD');
+      const time24 = to24(record.timeLabel);
+      const sessionName = record.name.replace(/\s+/g, ' ').trim();
+      if (!time24 || !sessionName || sessionName.length < 3) return null;
+
+      let side = /\((L|R)\)/i.test(sessionName)
+        ? (sessionName.match(/\((L|R)\)/i)[1].toUpperCase() === 'L' ? 'Left' : 'Right')
+        : 'Any';
+
+      // Structured data carries the wave direction explicitly
+      if (record.direction) {
+        side = record.direction === 'left' ? 'Left' : record.direction === 'right' ? 'Right' : 'Any';
+      }
+
+      let spots = 0;
+      if (/Fully Booked/i.test(record.availability)) {
+        spots = 0;
+      } else {
+        const sm = record.availability.match(/(\d+)\s+spaces?/i);
+        spots = sm ? parseInt(sm[1], 10) : 0;
+      }
+
+      return {
+        venue: 'the-wave-bristol',
+        dateLabel: record.dayLabel,
+        dateISO,
+        time: time24,
+        time24,
+        session_name: sessionName,
+        level: classifyLevel(sessionName),
+        side,
+        spots,
+        spots_available: spots,
+        is_full: spots === 0,
+        booking_url: record.bookingUrl || BOOKING_URL,
+        price: record.price ?? null,
+        ticket_type: record.ticketType || null,
+        raw_attributes: record.attributes || null
+      };
+    } catch {
+      return null;
+    }
+  }
+};
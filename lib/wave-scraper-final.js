@@ -1,11 +1,16 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 const timezone = require('dayjs/plugin/timezone');
 const advancedFormat = require('dayjs/plugin/advancedFormat');
 const isoWeek = require('dayjs/plugin/isoWeek');
 const isBetween = require('dayjs/plugin/isBetween');
+const { DEFAULT_DURATIONS, durationMinutes, toMinutes, fromMinutes } = require('./session-durations');
+const { getVenue } = require('./venues');
+const { sessionKey } = require('./session-record');
+const { filterSessions } = require('./matching');
+const { sharedClient } = require('./http-client');
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -13,23 +18,30 @@ dayjs.extend(advancedFormat);
 dayjs.extend(isoWeek);
 dayjs.extend(isBetween);
 
+const DEFAULT_HORIZON_WEEKS = 6;
+const MAX_HORIZON_WEEKS = 12;
+
+function horizonWeeks(value) {
+  const weeks = parseInt(value, 10);
+  if (!Number.isFinite(weeks) || weeks < 1) return DEFAULT_HORIZON_WEEKS;
+  return Math.min(weeks, MAX_HORIZON_WEEKS);
+}
+
 class WaveScheduleScraper {
   constructor(opts = {}) {
-    this.BASE_URL = 'https://www.thewave.com';
-    this.SCHEDULE_URL = `${this.BASE_URL}/lake-schedule/`;
-    this.TIMEZONE = 'Europe/London';
-    this.http = axios.create({
-      timeout: 15000,
-      headers: {
-        'User-Agent': WaveScheduleScraper._ua(),
-        'Accept-Language': 'en-GB,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive'
-      },
-      validateStatus: s => s >= 200 && s < 500
-    });
+    this.venue = getVenue(opts.venue);
+    this.TIMEZONE = this.venue.timezone;
+    // Rate limiting, conditional requests, backoff and circuit breaking live in the shared client
+    this.httpClient = opts.httpClient || sharedClient;
     this.maxRetries = opts.maxRetries || 4;
+    // Optional raw page archive (services/snapshotArchive.js) - every live page is stored
+    this.archive = opts.archive || null;
+    // Replay mode: read recorded pages from disk instead of the live site
+    this.replayDir = opts.replayDir || process.env.SCRAPER_REPLAY_DIR || null;
+    // How many schedule weeks getPublishedSessions looks ahead (SCRAPE_HORIZON_WEEKS, 1-12)
+    this.horizonWeeks = horizonWeeks(opts.horizonWeeks ?? process.env.SCRAPE_HORIZON_WEEKS);
+    // Health report per week page fetched by the latest scrape
+    this.weekReports = [];
   }
 
   // Public API
@@ -40,7 +52,7 @@ class WaveScheduleScraper {
     const sessions = this._parseSchedule(html, weekMonday);
 
     const label = target.format('ddd Do MMM');
-    const forDay = sessions.filter(s => s.dateLabel === label && s.dateISO === target.format('YYYY-MM-DD'));
+    const forDay = sessions.filter(s => s.dateISO === target.format('YYYY-MM-DD'));
 
     if (forDay.length === 0) {
       const availableLabels = [...new Set(sessions.map(s => s.dateLabel))].join(', ');
@@ -87,213 +99,153 @@ class WaveScheduleScraper {
       cursor = cursor.add(1, 'day');
     }
 
-    const pages = await Promise.all(
-      [...weeks].map(async d => {
-        const monday = dayjs.tz(d, this.TIMEZONE);
-        const html = await this._fetchWeek(monday);
-        return this._parseSchedule(html, monday);
-      })
-    );
-
-    const all = pages.flat()
-      .filter(s => dayjs.tz(`${s.dateISO} ${s.time24}`, this.TIMEZONE).isBetween(start, end, null, '[]'));
-
-    // Dedupe + sort
-    const byKey = new Map();
-    for (const s of all) {
-      const key = `${s.dateISO}|${s.time24}|${s.session_name}`;
-      if (!byKey.has(key)) byKey.set(key, s);
-    }
-    return [...byKey.values()].sort((a, b) =>
-      (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24)
+    this.weekReports = [];
+    const results = await Promise.allSettled(
+      [...weeks].map(d => this._scrapeWeek(dayjs.tz(d, this.TIMEZONE)))
     );
-  }
 
-  // ---------- internals ----------
+    // Let every week finish so the health reports are complete, then surface the first failure
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
 
-  async _fetchWeek(monday) {
-    const url = `${this.SCHEDULE_URL}?date=${monday.format('YYYY-MM-DD')}`;
-    return this._fetchWithRetries(url);
+    return this._inRange(results.map(r => r.value).flat(), start, end);
   }
 
-  async _fetchWithRetries(url) {
-    let lastErr;
-    for (let i = 0; i < this.maxRetries; i++) {
+  /**
+   * Every published session from today onwards, up to `maxWeeks` schedule weeks ahead.
+   * Weeks are fetched one at a time and discovery stops at the first empty week after the
+   * current one, so the furthest week the site has released is found without probing the
+   * whole horizon. A failing future week ends discovery with what was found so far.
+   * Returns { sessions, lastPublishedWeek, through, days } - `through` is the Sunday of the
+   * last published week and `days` the number of days from the start date it lies ahead.
+   */
+  async getPublishedSessions({ maxWeeks = this.horizonWeeks, startDate = dayjs().tz(this.TIMEZONE) } = {}) {
+    const start = dayjs(startDate).tz(this.TIMEZONE).startOf('day');
+    const firstMonday = this._weekMonday(start);
+    const found = [];
+    let lastPublished = null;
+
+    this.weekReports = [];
+    for (let i = 0; i < maxWeeks; i++) {
+      const monday = firstMonday.add(i, 'week');
+      let sessions;
       try {
-        const res = await this.http.get(url);
-        if (res.status >= 400) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-        if (!res.data || String(res.data).length < 1000) throw new Error(`Minimal content (${res.data?.length || 0})`);
-        return res.data;
+        sessions = await this._scrapeWeek(monday);
       } catch (err) {
-        lastErr = err;
-        await new Promise(r => setTimeout(r, 400 * (i + 1) ** 2)); // 0.4s, 1.6s, 3.6s, 6.4s
+        if (i === 0) throw err;
+        console.warn(`Stopped week discovery at ${monday.format('YYYY-MM-DD')}: ${err.message}`);
+        break;
       }
+      // The current week is always published, even when its remaining days are empty
+      if (sessions.length === 0 && i > 0) break;
+      found.push(...sessions);
+      lastPublished = monday;
     }
-    throw new Error(`Failed to fetch ${url}: ${lastErr?.message || 'unknown error'}`);
-  }
 
-  _parseSchedule(html, weekMonday) {
-    const $ = cheerio.load(html);
+    // The week past the last published one was only probed for, so its report is flagged and
+    // a failed fetch there isn't alerted on like one of a published week (ScrapeHealthService)
+    const lastPublishedWeek = lastPublished.format('YYYY-MM-DD');
+    this.weekReports.forEach(report => {
+      if (report.week > lastPublishedWeek) report.probe = true;
+    });
 
-    // Quick sanity: ensure we're on a schedule page for the requested week
-    const header = $(':contains("Session Calendar")').length > 0;
-    if (!header) return [];
+    const through = lastPublished.add(6, 'day').endOf('day');
+    return {
+      sessions: this._inRange(found, start, through),
+      lastPublishedWeek,
+      through: through.format('YYYY-MM-DD'),
+      days: through.startOf('day').diff(start, 'day')
+    };
+  }
 
-    const sessions = [];
+  // ---------- internals ----------
 
-    // Parse structured HTML session data (preferred method)
-    $('button[data-event-name][data-event-time][data-event-date]').each((i, elem) => {
-      const $elem = $(elem);
-      
-      try {
-        const eventName = $elem.attr('data-event-name');
-        const eventTime = $elem.attr('data-event-time'); // e.g., "3:00pm"
-        const eventDate = $elem.attr('data-event-date'); // e.g., "Thu 11th Sep 25"
-        const availability = $elem.attr('data-event-availability'); // e.g., "13"
-        const waveDirection = $elem.attr('data-event-wave-direction'); // "left", "right"
-        
-        if (!eventName || !eventTime || !eventDate) return;
-
-        // Convert event date to our expected format
-        const dateMatch = eventDate.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\d{1,2})\w+\s+(\w{3})/i);
-        if (!dateMatch) return;
-        
-        const dayLabel = `${dateMatch[1]} ${dateMatch[2]}${this._getOrdinalSuffix(parseInt(dateMatch[2]))} ${this._getFullMonth(dateMatch[3])}`;
-        
-        const session = this._buildSession(weekMonday, dayLabel, eventTime, eventName, `${availability || 0} spaces`);
-        
-        // Override side parsing with data attribute
-        if (session && waveDirection) {
-          session.side = waveDirection === 'left' ? 'Left' : waveDirection === 'right' ? 'Right' : 'Any';
-        }
-        
-        if (session) sessions.push(session);
-        
-      } catch (error) {
-        // Skip malformed session data
-        console.warn('Skipped malformed session:', error.message);
-      }
-    });
+  // Fetch and parse one week, recording its health report in weekReports
+  async _scrapeWeek(monday) {
+    const report = { week: monday.format('YYYY-MM-DD'), sessions: 0, parser: null, http_status: null, latency_ms: null, attempts: 0, stale: false, skipped: 0, error: null };
+    this.weekReports.push(report);
 
-    // Fallback to text parsing if no structured data found
-    if (sessions.length === 0) {
-      console.log('No structured session data found, falling back to text parsing...');
-      return this._parseScheduleFromText(html, weekMonday);
+    const started = Date.now();
+    try {
+      const html = await this._fetchWeek(monday, report);
+      report.latency_ms = Date.now() - started;
+      return this._parseSchedule(html, monday, report);
+    } catch (err) {
+      report.latency_ms = Date.now() - started;
+      report.error = err.message;
+      throw err;
     }
+  }
 
-    console.log(`Parsed ${sessions.length} sessions from structured HTML data`);
-    
-    // Dedup & sort
-    const map = new Map();
+  // Sessions between start and end, deduped and sorted chronologically
+  _inRange(sessions, start, end) {
+    const byKey = new Map();
     for (const s of sessions) {
-      const key = `${s.dateISO}|${s.time24}|${s.session_name}`;
-      if (!map.has(key)) map.set(key, s);
+      if (!dayjs.tz(`${s.dateISO} ${s.time24}`, this.TIMEZONE).isBetween(start, end, null, '[]')) continue;
+      // Same canonical key as _parseSchedule, which includes the side
+      const key = s.key || sessionKey(s);
+      if (!byKey.has(key)) byKey.set(key, s);
     }
-    return [...map.values()].sort((a, b) => (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24));
+    return [...byKey.values()].sort((a, b) =>
+      (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24)
+    );
   }
 
-  // Fallback text parsing method (original logic)
-  _parseScheduleFromText(html, weekMonday) {
-    const $ = cheerio.load(html);
-    const text = $('body').text();
-    const lines = text.split('\n')
-      .map(x => x.replace(/\s+/g, ' ').trim())
-      .filter(Boolean);
+  async _fetchWeek(monday, report = {}) {
+    if (this.replayDir) return this._replayWeek(monday);
 
-    const dayHeaderRe = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+\d{1,2}(st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i;
-    const dayNameRe = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)$/i;
-    const dayDateRe = /^\d{1,2}(st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i;
-    const timeRe = /^(\d{1,2}:\d{2}\s*[ap]m)$/i;
-
-    let currentDayLabel = null;
-    const sessions = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-
-      if (dayHeaderRe.test(line)) {
-        currentDayLabel = line;
-        continue;
-      }
-      
-      if (dayNameRe.test(line) && i + 1 < lines.length && dayDateRe.test(lines[i + 1])) {
-        currentDayLabel = `${line} ${lines[i + 1]}`;
-        i++;
-        continue;
-      }
+    const fetchedAt = new Date().toISOString();
+    const page = await this.venue.fetchWeek(monday, url => this._fetchWithRetries(url, report));
 
-      if (!currentDayLabel) continue;
-
-      if (timeRe.test(line)) {
-        const timeLabel = line;
-        let j = i + 1;
-        while (j < lines.length && !timeRe.test(lines[j]) && !dayHeaderRe.test(lines[j])) {
-          const name = lines[j];
-          const next = lines[j + 1] || '';
-
-          if (/(Fully Booked|\d+\s+spaces?)/i.test(next)) {
-            const s = this._buildSession(weekMonday, currentDayLabel, timeLabel, name, next);
-            if (s) sessions.push(s);
-            j += 2;
-          } else if (/(Fully Booked|\d+\s+spaces?)/i.test(name)) {
-            const availMatch = name.match(/(Fully Booked|\d+\s+spaces?)/i)?.[1];
-            const cleanName = name.replace(/\s+(Fully Booked|\d+\s+spaces?).*$/i, '');
-            const s = this._buildSession(weekMonday, currentDayLabel, timeLabel, cleanName, availMatch || '');
-            if (s) sessions.push(s);
-            j += 1;
-          } else {
-            j += 1;
-          }
-        }
-        i = j - 1;
-      }
+    if (this.archive) {
+      const week = monday.format('YYYY-MM-DD');
+      await this.archive.store({ venue: this.venue.id, week, body: page, httpStatus: report.http_status ?? null, fetchedAt })
+        .catch(err => console.warn(`Could not archive ${this.venue.id} week ${week}: ${err.message}`));
     }
+    return page;
+  }
 
-    const map = new Map();
-    for (const s of sessions) {
-      const key = `${s.dateISO}|${s.time24}|${s.session_name}`;
-      if (!map.has(key)) map.set(key, s);
+  // Recorded pages live at <replayDir>/<venue id>/week-YYYY-MM-DD.html (or .json)
+  async _replayWeek(monday) {
+    const base = path.join(this.replayDir, this.venue.id, `week-${monday.format('YYYY-MM-DD')}`);
+    for (const ext of ['.html', '.json']) {
+      try {
+        return await fs.promises.readFile(base + ext, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
     }
-    return [...map.values()].sort((a, b) => (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24));
+    throw new Error(`No recorded page for ${this.venue.id} week ${monday.format('YYYY-MM-DD')} in ${this.replayDir}`);
   }
 
-  _buildSession(weekMonday, dayLabel, timeLabel, nameLine, availabilityLine) {
-    try {
-      const dateISO = this._dateFromLabel(dayLabel, weekMonday).format('YYYY-MM-DD');
-      const time24 = this._to24(timeLabel);
-      const sessionName = nameLine.replace(/\s+/g, ' ').trim();
-      if (!sessionName || sessionName.length < 3) return null;
-
-      const side = /\((L|R)\)/i.test(sessionName)
-        ? (sessionName.match(/\((L|R)\)/i)[1].toUpperCase() === 'L' ? 'Left' : 'Right')
-        : 'Any';
-
-      let spots = 0;
-      if (/Fully Booked/i.test(availabilityLine)) {
-        spots = 0;
-      } else {
-        const sm = availabilityLine.match(/(\d+)\s+spaces?/i);
-        spots = sm ? parseInt(sm[1], 10) : 0;
+  async _fetchWithRetries(url, report = {}) {
+    return this.httpClient.get(url, {
+      report,
+      retries: this.maxRetries,
+      validate: data => {
+        if (!data || String(data).length < 1000) throw new Error(`Minimal content (${data?.length || 0})`);
       }
+    });
+  }
+
+  _parseSchedule(html, weekMonday, report = {}) {
+    report.skipped = 0;
+    const records = this.venue.parseWeek(html, weekMonday, report);
+    const sessions = records
+      .map(record => this.venue.normalise(record, weekMonday))
+      .filter(Boolean)
+      .map(session => this._withDuration(session))
+      .map(session => ({ key: sessionKey(session), ...session }));
+    report.skipped += records.length - sessions.length;
 
-      const level = this._extractLevel(sessionName);
-
-      return {
-        dateLabel: dayLabel,
-        dateISO,
-        time: time24,
-        time24,
-        session_name: sessionName,
-        level,
-        side,
-        spots,
-        spots_available: spots,
-        is_full: spots === 0,
-        booking_url: 'https://ticketing.thewave.com/'
-      };
-    } catch {
-      return null;
+    // Dedup & sort
+    const map = new Map();
+    for (const s of sessions) {
+      if (!map.has(s.key)) map.set(s.key, s);
     }
+    const parsed = [...map.values()].sort((a, b) => (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24));
+    report.sessions = parsed.length;
+    return parsed;
   }
 
   // Compute Monday for any date (site's "Week Beginning" is Monday)
@@ -304,121 +256,27 @@ class WaveScheduleScraper {
     return dt.subtract(diff, 'day').startOf('day');
   }
 
-  // Use the requested week's year as ground truth to avoid Dec/Jan ambiguity
-  _dateFromLabel(label, weekMonday) {
-    const m = label.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\d{1,2})(?:st|nd|rd|th)\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i);
-    if (!m) throw new Error(`Invalid date label: ${label}`);
-    const day = parseInt(m[2], 10);
-    const monthIndex = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'].indexOf(m[3].toLowerCase());
-    const year = weekMonday.year(); // lock to week's year
-    return dayjs.tz(`${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`, this.TIMEZONE);
-  }
-
-  _to24(s) {
-    const m = s.match(/(\d{1,2}):(\d{2})\s*([ap]m)/i);
-    if (!m) return s;
-    let h = parseInt(m[1], 10);
-    const min = m[2];
-    const ap = m[3].toLowerCase();
-    if (ap === 'pm' && h !== 12) h += 12;
-    if (ap === 'am' && h === 12) h = 0;
-    return `${String(h).padStart(2,'0')}:${min}`;
-  }
-
-  _extractLevel(name) {
-    const n = name.toLowerCase();
-    if (n.includes('expert barrels') || n.includes('expert turns')) return 'expert';
-    if (n.includes('expert')) return 'expert';
-    if (n.includes('advanced plus')) return 'advanced';
-    if (n.includes('advanced')) return 'advanced';
-    if (n.includes('intermediate')) return 'intermediate';
-    if (n.includes('improver')) return 'improver';
-    if (n.includes('beginner') || n.includes('play in the bay') || n.includes('little rippers')) return 'beginner';
-    return 'intermediate';
-  }
-
-  _getOrdinalSuffix(num) {
-    const suffixes = ['th', 'st', 'nd', 'rd'];
-    const v = num % 100;
-    return suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0];
-  }
-
-  _getFullMonth(shortMonth) {
-    const months = {
-      'jan': 'Jan', 'feb': 'Feb', 'mar': 'Mar', 'apr': 'Apr',
-      'may': 'May', 'jun': 'Jun', 'jul': 'Jul', 'aug': 'Aug', 
-      'sep': 'Sep', 'oct': 'Oct', 'nov': 'Nov', 'dec': 'Dec'
-    };
-    return months[shortMonth.toLowerCase()] || shortMonth;
-  }
-
-  static _ua() {
-    const pool = [
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36'
-    ];
-    return pool[Math.floor(Math.random() * pool.length)];
-  }
-
-  // Helper function to add minutes to a time string
-  _addMinutesToTime(timeStr, minutes) {
-    const [hours, mins] = timeStr.split(':').map(Number);
-    const totalMinutes = hours * 60 + mins + minutes;
-    const newHours = Math.floor(totalMinutes / 60) % 24;
-    const newMins = totalMinutes % 60;
-    return `${String(newHours).padStart(2, '0')}:${String(newMins).padStart(2, '0')}`;
+  // Infer duration and end time from the venue's duration table unless the adapter set them
+  _withDuration(session) {
+    if (session.end_time24) return session;
+    const minutes = session.duration_minutes ??
+      durationMinutes(session.session_name, session.level, this.venue.durations || DEFAULT_DURATIONS);
+    return { ...session, duration_minutes: minutes, end_time24: fromMinutes(toMinutes(session.time24) + minutes) };
   }
 
   // Legacy compatibility methods
-  filterSessionsForUser(sessions, userLevels = [], userSides = [], userDays = [], skipDayFilter = false, userTimeWindows = []) {
-    let filtered = sessions;
-
-    // Filter by levels if user has preferences
-    if (userLevels.length > 0) {
-      filtered = filtered.filter(session => userLevels.includes(session.level));
-    }
-
-    // Filter by sides if user has preferences
-    if (userSides.length > 0) {
-      filtered = filtered.filter(session => {
-        // If user selected "Any", show all sessions
-        if (userSides.includes('Any')) return true;
-        
-        // If session is "Any" (bay sessions), show for all user preferences
-        if (session.side === 'Any') return true;
-        
-        // Otherwise, session must match user's specific side preference
-        return userSides.includes(session.side);
-      });
-    }
-
-    // Filter by time windows if user has preferences
-    if (userTimeWindows.length > 0) {
-      filtered = filtered.filter(session => {
-        const sessionTime = session.time24; // e.g., "15:00"
-        
-        // Check if session time falls within any of the user's time windows
-        // Allow sessions that start up to 30 minutes after the end time
-        return userTimeWindows.some(window => {
-          const endTimeWithBuffer = this._addMinutesToTime(window.end_time, 30);
-          return sessionTime >= window.start_time && sessionTime <= endTimeWithBuffer;
-        });
-      });
-    }
-
-    // Filter by days - skip this for today/tomorrow commands
-    if (userDays.length > 0 && !skipDayFilter) {
-      // This is for notifications - filter based on session date's day of week
-      const now = dayjs().tz(this.TIMEZONE);
-      const sessionDay = (now.day() + 6) % 7; // Convert Sunday=0 to Monday=0 format
-      
-      if (!userDays.includes(sessionDay)) {
-        filtered = [];
-      }
-    }
-
-    return filtered;
+  // Preference lists in the old positional form; see lib/matching.js for the rules.
+  // Spots aren't checked here, and days only unless skipDayFilter is set.
+  filterSessionsForUser(sessions, userLevels = [], userSides = [], userDays = [], skipDayFilter = false, userTimeWindows = [], userVenues = []) {
+    const prefs = {
+      venues: userVenues,
+      levels: userLevels,
+      sides: userSides,
+      days: userDays,
+      timeWindows: userTimeWindows,
+      minSpots: 1
+    };
+    return filterSessions(sessions, prefs, { skip: skipDayFilter ? ['spots', 'day'] : ['spots'] });
   }
 }
 
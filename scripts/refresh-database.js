@@ -2,95 +2,54 @@
 
 /**
  * Database refresh script for Railway deployment
- * Run this on Railway to clear stale data and fetch fresh sessions
+ * Run this on Railway to fetch fresh sessions for every venue. It syncs them the same way
+ * the scrape job does (SessionChangeService.syncSessions), so first_seen, the change
+ * history, watches and sent-notification claims all survive a refresh.
  */
 
 const { createClient } = require('@supabase/supabase-js');
 const { WaveScheduleScraper } = require('../lib/wave-scraper-final.js');
+const { listVenues } = require('../lib/venues');
+const SessionChangeService = require('../services/sessionChangeService');
 
 async function refreshDatabase() {
   console.log('🔄 Starting database refresh...');
-  
+
   // Initialize Supabase client
   const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_ROLE_KEY
   );
+  const sessionChangeService = new SessionChangeService(supabase);
 
   try {
-    // 1. Clear existing sessions from today onwards
-    console.log('🗑️  Clearing existing sessions...');
-    const today = new Date().toISOString().split('T')[0];
-    
-    const { error: clearError } = await supabase
-      .from('sessions')
-      .delete()
-      .gte('date', today);
-    
-    if (clearError) throw clearError;
-    console.log('✅ Cleared sessions from', today);
-
-    // 2. Fetch fresh sessions using improved scraper
-    console.log('🌊 Scraping fresh sessions...');
-    const scraper = new WaveScheduleScraper();
-    const sessions = await scraper.getSessionsInRange(14);
-    
-    console.log(`📊 Found ${sessions.length} sessions for next 14 days`);
+    for (const venue of listVenues()) {
+      // 1. Fetch fresh sessions using the venue's scraper
+      console.log(`🌊 Scraping fresh ${venue.name} sessions...`);
+      const scraper = new WaveScheduleScraper({ venue: venue.id });
+      const { sessions, days, through } = await scraper.getPublishedSessions();
 
-    // 3. Insert fresh sessions with validation
-    console.log('💾 Inserting fresh sessions...');
-    const dbSessions = sessions.map(session => {
-      // Validate required fields
-      if (!session.spots_available && session.spots_available !== 0) {
-        console.warn(`⚠️  Session ${session.session_name} has invalid spots_available:`, session.spots_available);
-      }
-      
-      return {
-        id: `${session.dateISO}_${session.time24}_${session.session_name}`.replace(/[^a-zA-Z0-9-_]/g, '_'),
-        date: session.dateISO,
-        start_time: session.time24,
-        end_time: null,
-        session_name: session.session_name,
-        level: session.level,
-        side: session.side === 'Left' ? 'L' : session.side === 'Right' ? 'R' : 'A',
-        total_spots: session.spots || 0,
-        spots_available: session.spots_available || 0,
-        book_url: session.booking_url,
-        instructor: null,
-        is_active: true,
-        last_updated: new Date().toISOString()
-      };
-    });
+      console.log(`📊 Found ${sessions.length} sessions, published through ${through}`);
 
-    // Show sample before insertion for debugging
-    console.log('📋 Sample session for verification:');
-    const sample = dbSessions.find(s => s.start_time === '15:00');
-    if (sample) {
-      console.log(`   ${sample.start_time} | ${sample.session_name} | spots_available: ${sample.spots_available} (${typeof sample.spots_available})`);
-    }
+      // 2. Upsert them, deactivate vanished ones and record what changed
+      console.log('💾 Syncing sessions...');
+      const sync = await sessionChangeService.syncSessions(sessions, { days, venue: venue.id });
+      const changes = sessionChangeService.summarise(sync.changes);
+      console.log(`✅ ${venue.name}: ${sync.upserted} sessions upserted, ${sync.deactivated} deactivated`);
+      console.log(`   Changes: ${Object.keys(changes).length > 0 ? JSON.stringify(changes) : 'none'}`);
 
-    const { error: insertError } = await supabase
-      .from('sessions')
-      .insert(dbSessions);
-    
-    if (insertError) {
-      console.error('❌ Insert error details:', insertError);
-      throw insertError;
+      // 3. Show sample of today's sessions for verification
+      const today = sessions.length > 0 ? sessions[0].dateISO : null;
+      const todaySessions = sessions.filter(s => s.dateISO === today);
+      console.log('\n📋 Sample sessions for verification:');
+      todaySessions.slice(0, 10).forEach(s => {
+        const side = s.side === 'L' ? 'Left' : s.side === 'R' ? 'Right' : 'Any';
+        console.log(`   ${s.dateISO} ${s.time24} | ${s.session_name} | ${s.level} | ${side} | ${s.spots_available} spots`);
+      });
+      console.log('');
     }
 
-    // 4. Show sample of today's sessions for verification
-    const todaySessions = dbSessions.filter(s => s.date === today);
-    console.log(`✅ Successfully refreshed database!`);
-    console.log(`📅 Today (${today}): ${todaySessions.length} sessions`);
-    
-    // Show first few sessions to verify data
-    console.log('\n📋 Sample sessions for verification:');
-    todaySessions.slice(0, 10).forEach(s => {
-      const side = s.side === 'L' ? 'Left' : s.side === 'R' ? 'Right' : 'Any';
-      console.log(`   ${s.start_time} | ${s.session_name} | ${s.level} | ${side} | ${s.spots_available} spots`);
-    });
-
-    console.log('\n🎉 Database refresh complete! Bot should now show correct data.');
+    console.log('🎉 Database refresh complete! Bot should now show correct data.');
 
   } catch (error) {
     console.error('❌ Database refresh failed:', error.message);
@@ -103,4 +62,4 @@ if (require.main === module) {
   refreshDatabase();
 }
 
-module.exports = { refreshDatabase };
\ No newline at end of file
+module.exports = { refreshDatabase };
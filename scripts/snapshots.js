@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect the raw schedule snapshot archive
+ *
+ *   node scripts/snapshots.js list [venue] [week]      newest snapshots (week = YYYY-MM-DD Monday)
+ *   node scripts/snapshots.js parse <id> [--json]      re-parse a snapshot with the current parser
+ *   node scripts/snapshots.js diff <idA> <idB>         session diff between two snapshots
+ *   node scripts/snapshots.js export <id> [dir]        write <dir>/<venue>/week-YYYY-MM-DD.html
+ *                                                      for SCRAPER_REPLAY_DIR or tests/fixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { createClient } = require('@supabase/supabase-js');
+const { WaveScheduleScraper } = require('../lib/wave-scraper-final.js');
+const SnapshotArchive = require('../services/snapshotArchive');
+
+require('dotenv').config({ path: '.env.local' });
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+function parseSnapshot(snapshot) {
+  const scraper = new WaveScheduleScraper({ venue: snapshot.venue });
+  const monday = dayjs.tz(snapshot.week, scraper.TIMEZONE);
+  const report = {};
+  const sessions = scraper._parseSchedule(snapshot.body, monday, report);
+  return { sessions, report };
+}
+
+const sessionLine = s => `${s.dateISO} ${s.time24}  ${s.side.padEnd(5)}  ${String(s.spots_available).padStart(2)} spots  ${s.level.padEnd(20)}  ${s.session_name}`;
+
+async function list(archive, venue, week) {
+  const snapshots = await archive.list({ venue, week });
+  if (snapshots.length === 0) {
+    console.log('No snapshots found');
+    return;
+  }
+  for (const s of snapshots) {
+    console.log(`${s.id}  ${s.venue}  week ${s.week}  ${s.fetched_at}  HTTP ${s.http_status ?? '-'}  ${s.size_bytes} bytes  ${s.content_hash.slice(0, 12)}`);
+  }
+}
+
+async function parse(archive, id, asJson) {
+  const snapshot = await archive.get(id);
+  const { sessions, report } = parseSnapshot(snapshot);
+
+  if (asJson) {
+    console.log(JSON.stringify(sessions, null, 2));
+    return;
+  }
+
+  console.log(`📸 ${snapshot.venue} week ${snapshot.week}, fetched ${snapshot.fetched_at}`);
+  console.log(`   parser: ${report.parser}, ${sessions.length} sessions, ${report.skipped} skipped\n`);
+  sessions.forEach(s => console.log(sessionLine(s)));
+}
+
+async function diff(archive, idA, idB) {
+  const [a, b] = await Promise.all([archive.get(idA), archive.get(idB)]);
+  const { added, removed, changed } = SnapshotArchive.diffSessions(parseSnapshot(a).sessions, parseSnapshot(b).sessions);
+
+  console.log(`🔍 ${a.venue} week ${a.week} (${a.fetched_at}) → ${b.venue} week ${b.week} (${b.fetched_at})\n`);
+  added.forEach(s => console.log(`+ ${sessionLine(s)}`));
+  removed.forEach(s => console.log(`- ${sessionLine(s)}`));
+  changed.forEach(c => {
+    console.log(`~ ${c.key}: ${c.changes.map(ch => `${ch.field} ${ch.from} → ${ch.to}`).join(', ')}`);
+  });
+
+  if (added.length + removed.length + changed.length === 0) {
+    console.log('No differences');
+  }
+}
+
+async function exportSnapshot(archive, id, dir = 'tests/fixtures') {
+  const snapshot = await archive.get(id);
+  const ext = snapshot.body.trimStart().startsWith('<') ? 'html' : 'json';
+  const file = path.join(dir, snapshot.venue, `week-${snapshot.week}.${ext}`);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, snapshot.body);
+  console.log(`✅ Wrote ${file}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error('❌ Missing Supabase configuration in .env.local');
+    process.exit(1);
+  }
+
+  const archive = new SnapshotArchive(createClient(supabaseUrl, supabaseServiceKey));
+
+  switch (command) {
+    case 'list':
+      return list(archive, args[0], args[1]);
+    case 'parse':
+      if (!args[0]) break;
+      return parse(archive, args[0], args.includes('--json'));
+    case 'diff':
+      if (args.length < 2) break;
+      return diff(archive, args[0], args[1]);
+    case 'export':
+      if (!args[0]) break;
+      return exportSnapshot(archive, args[0], args[1]);
+  }
+
+  console.error('Usage: node scripts/snapshots.js list [venue] [week] | parse <id> [--json] | diff <idA> <idB> | export <id> [dir]');
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Snapshot command failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseSnapshot };
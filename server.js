@@ -4,8 +4,19 @@ const express = require('express')
 const { Telegraf, session } = require('telegraf')
 const { createClient } = require('@supabase/supabase-js')
 // Removed unused import: today from ./utils/time
-const { WaveScheduleScraper } = require('./lib/wave-scraper-final.js')
+const { sharedClient: scraperHttpClient } = require('./lib/http-client')
 const DigestService = require('./services/digestService')
+const SessionChangeService = require('./services/sessionChangeService')
+const AlertService = require('./services/alertService')
+const WatchlistService = require('./services/watchlistService')
+const ScheduleRepository = require('./services/scheduleRepository')
+const SnapshotArchive = require('./services/snapshotArchive')
+const ScrapeHealthService = require('./services/scrapeHealthService')
+const ScheduleReleaseService = require('./services/scheduleReleaseService')
+const JobScheduler = require('./services/jobScheduler')
+const JobRunService = require('./services/jobRunService')
+const { scheduledJobs, getJob } = require('./services/jobs')
+const BotSessionStore = require('./services/botSessionStore')
 const BotHandler = require('./bot/index')
 const logger = require('./utils/logger')
 const { authenticateCron } = require('./middleware/auth')
@@ -15,22 +26,45 @@ const { errorHandler, asyncHandler } = require('./middleware/errorHandler')
 const app = express()
 app.use(express.json())
 
-// Initialize Telegram bot
-const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN)
-// Enable session middleware for callback data persistence
-bot.use(session())
-
 // Initialize Supabase client
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 )
 
+// Initialize Telegram bot
+const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN)
+// Sessions (setup wizard, pending prompts) are stored in bot_sessions so they survive a restart
+bot.use(session({ store: new BotSessionStore(supabase) }))
+
 // Initialize services
 const digestService = new DigestService(supabase, bot)
+const sessionChangeService = new SessionChangeService(supabase)
+const alertService = new AlertService(supabase, bot)
+const watchlistService = new WatchlistService(supabase, bot)
+const scrapeHealthService = new ScrapeHealthService(supabase, bot)
+const scheduleReleaseService = new ScheduleReleaseService(supabase, bot)
+const snapshotArchive = new SnapshotArchive(supabase)
+const scheduleRepository = new ScheduleRepository(supabase, { archive: snapshotArchive })
 const botHandler = new BotHandler(bot, supabase)
 const serverLogger = logger.child('Server')
 
+// Everything a job body (services/jobs) needs, shared by the cron endpoints and the scheduler
+const jobContext = {
+  supabase,
+  bot,
+  digestService,
+  sessionChangeService,
+  alertService,
+  watchlistService,
+  scrapeHealthService,
+  scheduleReleaseService,
+  snapshotArchive,
+  scheduleRepository
+}
+const jobRuns = new JobRunService(supabase)
+const jobScheduler = new JobScheduler(supabase, { jobs: scheduledJobs(), context: jobContext, runs: jobRuns })
+
 // Debug bot responses - intercept ALL Telegram API methods
 const originalCall = bot.telegram.callApi
 bot.telegram.callApi = function(method, data) {
@@ -62,10 +96,47 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    // Circuit breaker state of the venue sites we scrape
+    scraper: scraperHttpClient.status(),
+    // Next runs of the built-in scheduler, when enabled
+    scheduler: process.env.SCHEDULER_ENABLED === 'true' ? jobScheduler.status() : null
   })
 })
 
+// Recent scrape runs with per-week parser health
+app.get('/api/scrape-health',
+  authenticateCron,
+  asyncHandler(async (req, res) => {
+    const runs = await scrapeHealthService.getRecentRuns(parseInt(req.query.limit, 10) || 20)
+    res.json({ success: true, runs })
+  })
+)
+
+// Job run history - every cron, scheduler and admin run with its progress and counts
+app.get('/api/jobs',
+  authenticateCron,
+  asyncHandler(async (req, res) => {
+    const runs = await jobRuns.list({
+      jobName: req.query.job || null,
+      status: req.query.status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    })
+    res.json({ success: true, runs })
+  })
+)
+
+app.get('/api/jobs/:id',
+  authenticateCron,
+  asyncHandler(async (req, res) => {
+    const run = await jobRuns.get(req.params.id)
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Job run not found' })
+    }
+    res.json({ success: true, run })
+  })
+)
+
 // Test notification endpoint for development
 app.post('/api/test/notification', 
   authenticateCron,
@@ -98,7 +169,7 @@ app.post('/api/test/notification-system',
         telegram_id,
         user_levels (level),
         user_sides (side),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_filters (timing)
       `)
       .eq('notification_enabled', true)
@@ -158,299 +229,57 @@ Use /setup to manage your notification settings.`
   })
 )
 
+// Cron endpoints start their job in the background and answer 202 with the run's ID
+// straight away; poll GET /api/jobs/:id for progress. A job that is still running is 409.
+async function enqueueJob(name, res) {
+  try {
+    const run = await jobRuns.enqueue(getJob(name), jobContext, { trigger: 'http' })
+    res.status(202).json({
+      success: true,
+      job: name,
+      jobId: run.id,
+      status: 'running',
+      statusUrl: run.id ? `/api/jobs/${run.id}` : null
+    })
+  } catch (error) {
+    if (!(error instanceof JobRunService.JobAlreadyRunningError)) throw error
+    res.status(409).json({
+      success: false,
+      error: error.message,
+      jobId: error.runId,
+      statusUrl: error.runId ? `/api/jobs/${error.runId}` : null
+    })
+  }
+}
+
 // Database cleanup cron endpoint - removes old historical data
 app.post('/api/cron/cleanup-database',
   authenticateCron,
-  asyncHandler(async (req, res) => {
-    serverLogger.info('Starting database cleanup...')
-    
-    try {
-      const today = new Date().toISOString().split('T')[0]
-      
-      const threeDaysAgo = new Date()
-      threeDaysAgo.setDate(threeDaysAgo.getDate() - 3)
-      const threeDaysAgoISO = threeDaysAgo.toISOString().split('T')[0]
-      
-      // Clean old sessions (keep today and future)
-      const { error: sessionsError, count: sessionsDeleted } = await supabase
-        .from('sessions')
-        .delete({ count: 'exact' })
-        .lt('date', today)
-      
-      if (sessionsError) throw sessionsError
-      
-      // Clean old weather cache (keep last 3 days)
-      const { error: weatherError, count: weatherDeleted } = await supabase
-        .from('weather_cache')
-        .delete({ count: 'exact' })
-        .lt('date', threeDaysAgoISO)
-      
-      if (weatherError) throw weatherError
-      
-      // Clean old notifications (keep last 30 days)
-      const thirtyDaysAgo = new Date()
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30)
-      
-      const { error: notifError, count: notifDeleted } = await supabase
-        .from('notifications_sent')
-        .delete({ count: 'exact' })
-        .lt('sent_at', thirtyDaysAgo.toISOString())
-      
-      if (notifError) throw notifError
-      
-      serverLogger.info('Database cleanup completed', {
-        sessionsDeleted: sessionsDeleted || 0,
-        weatherDeleted: weatherDeleted || 0,
-        notificationsDeleted: notifDeleted || 0
-      })
-      
-      res.json({
-        success: true,
-        message: 'Database cleanup completed',
-        deleted: {
-          sessions: sessionsDeleted || 0,
-          weather: weatherDeleted || 0, 
-          notifications: notifDeleted || 0
-        }
-      })
-    } catch (error) {
-      serverLogger.error('Database cleanup failed:', error)
-      res.status(500).json({
-        success: false,
-        error: error.message
-      })
-    }
-  })
+  asyncHandler(async (req, res) => enqueueJob('cleanup-database', res))
 )
 
-// Scrape schedule cron endpoint - fetches and stores sessions from The Wave
+// Scrape schedule cron endpoint - fetches and stores sessions from every venue
 app.post('/api/cron/scrape-schedule',
   authenticateCron,
-  asyncHandler(async (req, res) => {
-    serverLogger.info('Starting schedule scrape...')
-    
-    try {
-      // Clear existing sessions from today onwards
-      const today = new Date().toISOString().split('T')[0]
-      const { error: clearError } = await supabase
-        .from('sessions')
-        .delete()
-        .gte('date', today)
-      
-      if (clearError) throw clearError
-      
-      // Fetch fresh sessions using scraper
-      const scraper = new WaveScheduleScraper()
-      let sessions = []
-      
-      try {
-        sessions = await scraper.getSessionsInRange(14) // Get 14 days of data
-        serverLogger.info(`Found ${sessions.length} sessions to insert`)
-      } catch (scrapeError) {
-        serverLogger.error('Error scraping sessions:', scrapeError)
-        // Continue with empty sessions array - don't fail the entire operation
-        sessions = []
-      }
-      
-      // Insert fresh sessions
-      if (sessions.length > 0) {
-        const dbSessions = sessions.map(session => ({
-          id: `${session.dateISO}_${session.time24}_${session.session_name}`.replace(/[^a-zA-Z0-9-_]/g, '_'),
-          date: session.dateISO,
-          start_time: session.time24,
-          end_time: null,
-          session_name: session.session_name,
-          level: session.level,
-          side: session.side === 'Left' ? 'L' : session.side === 'Right' ? 'R' : 'A',
-          total_spots: session.spots || 0,
-          spots_available: session.spots_available || 0,
-          book_url: session.booking_url,
-          instructor: null,
-          is_active: true,
-          last_updated: new Date().toISOString()
-        }))
-        
-        const { error: insertError } = await supabase
-          .from('sessions')
-          .upsert(dbSessions)
-        
-        if (insertError) throw insertError
-      }
-      
-      res.json({
-        success: true,
-        message: 'Schedule scraped successfully',
-        sessionsScraped: sessions.length,
-        timestamp: new Date().toISOString()
-      })
-    } catch (error) {
-      serverLogger.error('Scraping endpoint error:', error)
-      res.status(500).json({
-        success: false,
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      })
-    }
-  })
+  asyncHandler(async (req, res) => enqueueJob('scrape-schedule', res))
 )
 
-// Morning digest cron endpoint (8 AM) - Refactored to use service
+// Morning digest cron endpoint (8 AM)
 app.post('/api/cron/send-morning-digest', 
   authenticateCron,
-  asyncHandler(async (req, res) => {
-    const result = await digestService.sendMorningDigest()
-    res.json(result)
-  })
+  asyncHandler(async (req, res) => enqueueJob('send-morning-digest', res))
 )
 
-// Evening digest cron endpoint (6 PM) - Refactored to use service
+// Evening digest cron endpoint (6 PM)
 app.post('/api/cron/send-evening-digest', 
   authenticateCron,
-  asyncHandler(async (req, res) => {
-    const result = await digestService.sendEveningDigest()
-    res.json(result)
-  })
+  asyncHandler(async (req, res) => enqueueJob('send-evening-digest', res))
 )
 
 // Session notification endpoint - for immediate notifications
 app.post('/api/cron/send-session-notifications', 
   authenticateCron,
-  asyncHandler(async (req, res) => {
-    serverLogger.info('Checking for session notifications...')
-    
-    // Get all users with notifications enabled
-    const { data: profiles, error: profilesError } = await supabase
-      .from('profiles')
-      .select(`
-        id, 
-        telegram_id,
-        min_spots,
-        user_levels (level),
-        user_sides (side),
-        user_days (day_of_week),
-        user_time_windows (start_time, end_time),
-        user_digest_filters (timing)
-      `)
-      .eq('notification_enabled', true)
-    
-    if (profilesError) throw profilesError
-
-    serverLogger.info(`Found ${profiles.length} users with notifications enabled`)
-
-    // Get upcoming sessions
-    const scraper = new WaveScheduleScraper()
-    const upcomingSessions = await scraper.getSessionsInRange(2).catch(() => [])
-    
-    const results = []
-    let notificationsSent = 0
-
-    for (const user of profiles) {
-      try {
-        // Get user preferences
-        const userLevels = user.user_levels?.map(ul => ul.level) || []
-        const userSides = user.user_sides?.map(us => us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any') || []
-        const userDays = user.user_days?.map(ud => ud.day_of_week) || []
-        const userTimeWindows = user.user_time_windows || []
-        const userNotificationTimings = user.user_digest_filters?.map(n => n.timing) || []
-
-        // Filter sessions for user
-        const matchingSessions = scraper.filterSessionsForUser(
-          upcomingSessions, 
-          userLevels, 
-          userSides, 
-          userDays, 
-          true, 
-          userTimeWindows
-        ).filter(s => {
-          const availableSpots = s.spots_available || 0
-          return availableSpots > 0 && availableSpots >= user.min_spots
-        })
-
-        // Check each session for notification timing
-        for (const session of matchingSessions) {
-          const sessionTime = new Date(`${session.dateISO}T${session.time}:00`)
-          const now = new Date()
-          const hoursUntilSession = (sessionTime - now) / (1000 * 60 * 60)
-
-          // Check if we should send a notification based on user's timing preferences
-          let shouldNotify = false
-          let notificationTiming = ''
-          let timingKey = ''
-
-          if (userNotificationTimings.includes('1w') && hoursUntilSession <= 168 && hoursUntilSession > 167) {
-            shouldNotify = true
-            notificationTiming = '1 week'
-            timingKey = '1w'
-          } else if (userNotificationTimings.includes('48h') && hoursUntilSession <= 48 && hoursUntilSession > 47) {
-            shouldNotify = true
-            notificationTiming = '48 hours'
-            timingKey = '48h'
-          } else if (userNotificationTimings.includes('24h') && hoursUntilSession <= 24 && hoursUntilSession > 23) {
-            shouldNotify = true
-            notificationTiming = '24 hours'
-            timingKey = '24h'
-          } else if (userNotificationTimings.includes('12h') && hoursUntilSession <= 12 && hoursUntilSession > 11) {
-            shouldNotify = true
-            notificationTiming = '12 hours'
-            timingKey = '12h'
-          } else if (userNotificationTimings.includes('2h') && hoursUntilSession <= 2 && hoursUntilSession > 1) {
-            shouldNotify = true
-            notificationTiming = '2 hours'
-            timingKey = '2h'
-          }
-
-          if (shouldNotify) {
-            // Check if we've already sent this notification
-            const { data: existingNotification } = await supabase
-              .from('notifications_sent')
-              .select('id')
-              .eq('user_id', user.id)
-              .eq('session_id', session.session_id)
-              .eq('timing', timingKey)
-              .single()
-
-            if (!existingNotification) {
-              // Send notification
-              const spots = session.spots_available || 0
-              const bookingUrl = session.booking_url || 'https://ticketing.thewave.com/ticketSale/tickets'
-              
-              const message = `🌊 *Session Alert!* 🏄‍♂️\\n\\n` +
-                `⏰ *${notificationTiming} reminder*\\n\\n` +
-                `📅 *${session.dateLabel || 'Today'}*\\n` +
-                `🕐 *${session.time}* - ${session.session_name}\\n` +
-                `📍 ${spots} spot${spots === 1 ? '' : 's'} available\\n\\n` +
-                `[Book Now](${bookingUrl})\\n\\n` +
-                `_Use /setup to manage your notifications_`
-
-              await bot.telegram.sendMessage(user.telegram_id, message, { parse_mode: 'Markdown' })
-
-              // Record notification sent
-              await supabase
-                .from('notifications_sent')
-                .insert({
-                  user_id: user.id,
-                  session_id: session.session_id,
-                  timing: timingKey,
-                  sent_at: new Date().toISOString()
-                })
-
-              notificationsSent++
-              serverLogger.debug(`Notification sent to ${user.telegram_id} for session ${session.session_id}`)
-            }
-          }
-        }
-
-        results.push({ telegramId: user.telegram_id, status: 'processed' })
-        
-      } catch (error) {
-        serverLogger.error(`Failed to process notifications for ${user.telegram_id}`, { error: error.message })
-        results.push({ telegramId: user.telegram_id, status: 'failed', error: error.message })
-      }
-    }
-    
-    serverLogger.info(`Session notifications complete: ${notificationsSent} sent`)
-    res.json({ success: true, notificationsSent, results })
-  })
+  asyncHandler(async (req, res) => enqueueJob('send-session-notifications', res))
 )
 
 // Telegram webhook endpoint
@@ -494,6 +323,11 @@ app.listen(PORT, () => {
   serverLogger.info(`Server running on port ${PORT}`)
 })
 
+// Built-in scheduler instead of external cron POSTs (self-hosting, local development)
+if (process.env.SCHEDULER_ENABLED === 'true') {
+  jobScheduler.start()
+}
+
 // Start bot in polling mode for development (comment out for production webhook)
 if (process.env.NODE_ENV !== 'production') {
   bot.launch({ polling: { timeout: 30 } })
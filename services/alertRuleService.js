@@ -0,0 +1,199 @@
+const { ALERT_TYPES } = require('../lib/matching')
+const { LEVEL_KEYS } = require('../lib/session-levels')
+const logger = require('../utils/logger').child('AlertRules')
+
+const UNIQUE_VIOLATION = '23505'
+const MAX_RULES = 10
+const MAX_NAME_LENGTH = 40
+
+// Array columns a rule's toggles edit, with the values each may hold
+const TOGGLE_VALUES = {
+  levels: LEVEL_KEYS,
+  sides: ['L', 'R', 'A'],
+  days: [0, 1, 2, 3, 4, 5, 6],
+  alert_types: ALERT_TYPES
+}
+
+// A problem with what the user asked for; the message is safe to show them
+class AlertRuleError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'AlertRuleError'
+  }
+}
+
+// Same times on the same day (or both on every day)
+const sameWindow = (a, b) =>
+  String(a.start_time).slice(0, 5) === String(b.start_time).slice(0, 5) &&
+  String(a.end_time).slice(0, 5) === String(b.end_time).slice(0, 5) &&
+  (a.day_of_week ?? null) === (b.day_of_week ?? null)
+
+// A time_windows entry; day_of_week only when the window is scoped to one weekday
+function windowEntry(window) {
+  const entry = {
+    start_time: String(window.start_time).slice(0, 5),
+    end_time: String(window.end_time).slice(0, 5)
+  }
+  if (window.day_of_week != null) entry.day_of_week = window.day_of_week
+  return entry
+}
+
+/**
+ * Named alert rules (alert_rules): several preference sets per user, e.g. "Weekday lunch"
+ * and "Weekend dawn", each with its own levels, sides, days, time windows, min spots and
+ * alert types. Matching against them lives in lib/matching.js.
+ */
+class AlertRuleService {
+  constructor(supabase) {
+    this.supabase = supabase
+  }
+
+  /**
+   * A user's rules, oldest first
+   */
+  async list(userId) {
+    const { data, error } = await this.supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async get(userId, ruleId) {
+    const { data, error } = await this.supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new AlertRuleError('That rule no longer exists')
+    return data
+  }
+
+  /**
+   * Add a rule, starting from the user's current flat preferences so the first edit is small
+   */
+  async create(userId, name, profile = {}) {
+    const ruleName = AlertRuleService.normalizeName(name)
+
+    const { count, error: countError } = await this.supabase
+      .from('alert_rules')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+
+    if (countError) throw countError
+    if (count >= MAX_RULES) {
+      throw new AlertRuleError(`You can have up to ${MAX_RULES} rules - delete one first`)
+    }
+
+    const { data, error } = await this.supabase
+      .from('alert_rules')
+      .insert({ user_id: userId, name: ruleName, ...AlertRuleService.fromPreferences(profile) })
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) throw new AlertRuleError(`You already have a rule called "${ruleName}"`)
+      throw error
+    }
+
+    logger.info(`Created alert rule "${ruleName}" for user ${userId}`)
+    return data
+  }
+
+  async rename(userId, ruleId, name) {
+    const ruleName = AlertRuleService.normalizeName(name)
+    try {
+      return await this.update(userId, ruleId, { name: ruleName })
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) throw new AlertRuleError(`You already have a rule called "${ruleName}"`)
+      throw error
+    }
+  }
+
+  async update(userId, ruleId, changes) {
+    const { data, error } = await this.supabase
+      .from('alert_rules')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Add or remove one value of an array column (levels, sides, days or alert_types)
+   */
+  async toggleValue(userId, ruleId, column, value) {
+    if (!TOGGLE_VALUES[column]?.includes(value)) {
+      throw new Error(`Can't toggle ${column} to ${value}`)
+    }
+
+    const rule = await this.get(userId, ruleId)
+    const current = rule[column] || []
+    const next = current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value]
+
+    return this.update(userId, ruleId, { [column]: next })
+  }
+
+  async toggleTimeWindow(userId, ruleId, window) {
+    const rule = await this.get(userId, ruleId)
+    const current = rule.time_windows || []
+    const next = current.some(existing => sameWindow(existing, window))
+      ? current.filter(existing => !sameWindow(existing, window))
+      : [...current, windowEntry(window)]
+
+    return this.update(userId, ruleId, { time_windows: next })
+  }
+
+  async remove(userId, ruleId) {
+    const { error } = await this.supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Trimmed rule name; throws AlertRuleError when empty or too long
+   */
+  static normalizeName(name) {
+    const ruleName = String(name || '').replace(/\s+/g, ' ').trim()
+    if (!ruleName) throw new AlertRuleError('A rule needs a name')
+    if (ruleName.length > MAX_NAME_LENGTH) {
+      throw new AlertRuleError(`Keep rule names to ${MAX_NAME_LENGTH} characters`)
+    }
+    return ruleName
+  }
+
+  /**
+   * Rule columns copied from a profile row's flat preferences
+   */
+  static fromPreferences(profile = {}) {
+    return {
+      levels: profile.user_levels?.map(ul => ul.level) || [],
+      sides: profile.user_sides?.map(us => us.side) || [],
+      days: profile.user_days?.map(ud => ud.day_of_week) || [],
+      time_windows: (profile.user_time_windows || []).map(windowEntry),
+      min_spots: profile.min_spots || 1
+    }
+  }
+}
+
+AlertRuleService.AlertRuleError = AlertRuleError
+AlertRuleService.TOGGLE_VALUES = TOGGLE_VALUES
+AlertRuleService.MAX_RULES = MAX_RULES
+
+module.exports = AlertRuleService
@@ -0,0 +1,287 @@
+const dayjs = require('dayjs')
+const { Markup } = require('telegraf')
+const { DEFAULT_VENUE, getVenue } = require('../lib/venues')
+const { matchProfile } = require('../lib/matching')
+const { toHTML, whyButtonRows } = require('../utils/telegram-helpers')
+const logger = require('../utils/logger').child('Alerts')
+
+// Postgres unique_violation - the alert was already claimed by an earlier run
+const UNIQUE_VIOLATION = '23505'
+// Changes that can leave a session with no spots left, i.e. sold out
+const SOLD_OUT_CHANGES = ['new', 'reinstated', 'spots_decreased']
+// Sessions listed in one release alert, to stay well inside Telegram's message limit
+const MAX_RELEASE_SESSIONS = 40
+
+class AlertService {
+  constructor(supabase, bot) {
+    this.supabase = supabase
+    this.bot = bot
+  }
+
+  /**
+   * Get users who want instant alerts, with the preferences needed for matching
+   */
+  async getAlertUsers({ withDigests = false } = {}) {
+    const { data: profiles, error } = await this.supabase
+      .from('profiles')
+      .select(`
+        id,
+        telegram_id,
+        min_spots,
+        user_levels (level),
+        user_sides (side),
+        user_days (day_of_week),
+        user_time_windows (start_time, end_time, day_of_week),
+        user_venues (venue),
+        alert_rules (name, levels, sides, days, time_windows, min_spots, alert_types, is_active)${withDigests ? ',\n        user_digest_preferences (digest_type)' : ''}
+      `)
+      .eq('notification_enabled', true)
+
+    if (error) throw error
+    return profiles || []
+  }
+
+  /**
+   * Check a single session against a user's preferences, or their alert rules covering
+   * `alertType` (see lib/matching.js)
+   */
+  sessionMatchesUser(session, user, alertType = null) {
+    return matchProfile(session, user, { alertType }).match
+  }
+
+  /**
+   * Alert matching users about fully booked sessions that got spaces back. A user hears on
+   * the scrape that brings the session up to their min spots, once per time it sold out:
+   * 0 → 1 → 3 alerts a user with min spots 2 at 1 → 3, and a session that sells out and
+   * reopens again alerts again. Takes the changes returned by SessionChangeService.syncSessions.
+   */
+  async sendSpotsOpenedAlerts(changes) {
+    const increased = changes.filter(change =>
+      change.change_type === 'spots_increased' &&
+      change.session
+    )
+
+    if (increased.length === 0) {
+      return { alertsSent: 0, results: [] }
+    }
+
+    const users = await this.getAlertUsers()
+    const soldOuts = await this.loadSoldOuts([...new Set(increased.map(change => change.session_id))])
+    logger.info(`${increased.length} session(s) gained spots, checking ${users.length} users`)
+
+    const results = []
+    let alertsSent = 0
+
+    for (const user of users) {
+      for (const change of increased) {
+        // The session was full since it was first stored; a change from 0 is a reopening
+        // even when the sell-out predates change tracking
+        const soldOut = soldOuts.get(change.session_id) || (change.old_spots === 0 ? change.id : null)
+        if (!soldOut) continue
+
+        if (!this.sessionMatchesUser(change.session, user, 'spots_opened')) continue
+        // Already enough spots for this user before this scrape
+        if (this.sessionMatchesUser({ ...change.session, spots_available: change.old_spots }, user, 'spots_opened')) continue
+
+        try {
+          const sent = await this._sendOnce(user, change, 'spots_opened', this.formatSpotsOpenedMessage(change.session), soldOut)
+          if (sent) {
+            alertsSent++
+            results.push({ telegramId: user.telegram_id, sessionId: change.session_id, status: 'sent' })
+          }
+        } catch (error) {
+          logger.error(`Failed to send spots opened alert to ${user.telegram_id}`, { error: error.message })
+          results.push({ telegramId: user.telegram_id, sessionId: change.session_id, status: 'failed', error: error.message })
+        }
+      }
+    }
+
+    logger.info(`Spots opened alerts complete: ${alertsSent} sent`)
+    return { alertsSent, results }
+  }
+
+  formatSpotsOpenedMessage(session) {
+    const spots = session.spots_available || 0
+    const venue = getVenue(session.venue || DEFAULT_VENUE)
+    const bookingUrl = session.booking_url || venue.bookingUrl
+    const dateLabel = session.dateLabel || dayjs(session.dateISO).format('ddd D MMM')
+
+    return `🚨 <b>Spots just opened!</b> 🏄‍♂️\n\n` +
+      `A fully booked session at ${toHTML(venue.name)} has space again:\n\n` +
+      `📅 <b>${toHTML(dateLabel)}</b>\n` +
+      `🕐 <b>${session.time}</b> ${toHTML(session.session_name)}\n` +
+      `📍 ${spots} spot${spots === 1 ? '' : 's'} available\n\n` +
+      `<a href="${bookingUrl}">🏄‍♂️ <b>Book now before it fills up</b></a>\n\n` +
+      `<i>Use /setup to manage your alerts</i>`
+  }
+
+  /**
+   * Tell users who opted into 'release' alerts that a new week has gone on sale, with a
+   * summary of its sessions that match their preferences. Takes the releases returned by
+   * ScheduleReleaseService.detectReleases; users with no matching sessions are skipped.
+   */
+  async sendReleaseAlerts(releases) {
+    if (releases.length === 0) {
+      return { alertsSent: 0, results: [] }
+    }
+
+    const users = (await this.getAlertUsers({ withDigests: true }))
+      .filter(user => user.user_digest_preferences?.some(pref => pref.digest_type === 'release'))
+    logger.info(`${releases.length} week(s) released, checking ${users.length} subscribers`)
+
+    const results = []
+    let alertsSent = 0
+
+    for (const user of users) {
+      for (const release of releases) {
+        const matching = release.sessions.filter(session => this.sessionMatchesUser(session, user, 'release'))
+        if (matching.length === 0) continue
+
+        try {
+          const sent = await this._sendReleaseOnce(user, release, this.formatReleaseMessage(release, matching), matching)
+          if (sent) {
+            alertsSent++
+            results.push({ telegramId: user.telegram_id, venue: release.venue, week: release.week, status: 'sent' })
+          }
+        } catch (error) {
+          logger.error(`Failed to send release alert to ${user.telegram_id}`, { error: error.message })
+          results.push({ telegramId: user.telegram_id, venue: release.venue, week: release.week, status: 'failed', error: error.message })
+        }
+      }
+    }
+
+    logger.info(`Release alerts complete: ${alertsSent} sent`)
+    return { alertsSent, results }
+  }
+
+  formatReleaseMessage(release, sessions) {
+    const venue = getVenue(release.venue)
+    const listed = sessions.slice(0, MAX_RELEASE_SESSIONS)
+    const byDay = new Map()
+    for (const session of listed) {
+      if (!byDay.has(session.dateISO)) byDay.set(session.dateISO, [])
+      byDay.get(session.dateISO).push(session)
+    }
+
+    let message = `🗓 <b>New week released!</b> 🏄‍♂️\n\n` +
+      `${toHTML(venue.name)} has opened bookings for the week of <b>${dayjs(release.week).format('ddd D MMM')}</b>. ` +
+      `${sessions.length} session${sessions.length === 1 ? '' : 's'} match${sessions.length === 1 ? 'es' : ''} your preferences:\n`
+
+    for (const [dateISO, daySessions] of byDay) {
+      message += `\n<b>${dayjs(dateISO).format('dddd D MMM')}</b>\n`
+      daySessions.forEach(session => {
+        const spots = session.spots_available || 0
+        const time = session.end_time24 ? `${session.time}–${session.end_time24}` : session.time
+        message += `🕐 ${time} ${toHTML(session.session_name)} • ${spots} spot${spots === 1 ? '' : 's'}\n`
+      })
+    }
+
+    if (sessions.length > listed.length) {
+      message += `\n<i>…and ${sessions.length - listed.length} more</i>\n`
+    }
+
+    return message +
+      `\n<a href="${venue.bookingUrl}">🏄‍♂️ <b>Book now - popular slots sell out fast</b></a>\n\n` +
+      `<i>Use /setup to manage your alerts</i>`
+  }
+
+  /**
+   * Same claim-then-send as _sendOnce, keyed on the user and released week, with a
+   * 🔍 Why? button for each of the first matching sessions
+   */
+  async _sendReleaseOnce(user, release, message, sessions = []) {
+    const { error: claimError } = await this.supabase
+      .from('release_notifications')
+      .insert({
+        user_id: user.id,
+        venue: release.venue,
+        week: release.week,
+        sent_at: new Date().toISOString()
+      })
+
+    if (claimError) {
+      if (claimError.code === UNIQUE_VIOLATION) return false
+      throw claimError
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(user.telegram_id, message, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: { inline_keyboard: whyButtonRows(sessions, { withDay: true, perRow: 2 }) }
+      })
+    } catch (error) {
+      await this.supabase.from('release_notifications').delete()
+        .eq('user_id', user.id)
+        .eq('venue', release.venue)
+        .eq('week', release.week)
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * The latest change that left each session with no spots (sold out on a scrape, or already
+   * full when first seen), by session ID
+   */
+  async loadSoldOuts(sessionIds) {
+    const { data, error } = await this.supabase
+      .from('session_changes')
+      .select('id, session_id, detected_at')
+      .in('session_id', sessionIds)
+      .in('change_type', SOLD_OUT_CHANGES)
+      .eq('new_spots', 0)
+      .order('detected_at', { ascending: false })
+
+    if (error) throw error
+
+    const soldOuts = new Map()
+    for (const change of data || []) {
+      if (!soldOuts.has(change.session_id)) soldOuts.set(change.session_id, change.id)
+    }
+    return soldOuts
+  }
+
+  /**
+   * Claim the alert in notifications_sent before sending, so overlapping scrapes
+   * can't alert the same user twice. changeId keys the claim on the event being reported
+   * (for spots_opened, the sell-out the session is reopening from). The claim is released
+   * if Telegram rejects the message.
+   */
+  async _sendOnce(user, change, notificationType, message, changeId = null) {
+    const { data: claim, error: claimError } = await this.supabase
+      .from('notifications_sent')
+      .insert({
+        user_id: user.id,
+        session_id: change.session_id,
+        change_id: changeId,
+        notification_type: notificationType,
+        sent_at: new Date().toISOString()
+      })
+      .select('id')
+      .single()
+
+    if (claimError) {
+      if (claimError.code === UNIQUE_VIOLATION) return false
+      throw claimError
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(user.telegram_id, message, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: Markup.inlineKeyboard([
+          [Markup.button.callback('🔍 Why?', `session_why_${change.session_id}`)]
+        ]).reply_markup
+      })
+    } catch (error) {
+      await this.supabase.from('notifications_sent').delete().eq('id', claim.id)
+      throw error
+    }
+
+    return true
+  }
+}
+
+module.exports = AlertService
@@ -0,0 +1,73 @@
+const logger = require('../utils/logger').child('BotSessions')
+
+// A chat's session (setup wizard, pending prompt) is dropped after this long without activity
+const SESSION_TTL_DAYS = 7
+// How long the bot waits for the reply to a prompt (a rule name, a typed time window)
+const PROMPT_TTL_MINUTES = 60
+
+/**
+ * Telegraf session store backed by the bot_sessions table, so ctx.session survives a restart
+ * or redeploy. Pass it as session({ store }). A failed read or write is logged and treated as
+ * no session rather than failing the update.
+ */
+class BotSessionStore {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.ttlDays = options.ttlDays ?? SESSION_TTL_DAYS
+  }
+
+  async get(key) {
+    const { data, error } = await this.supabase
+      .from('bot_sessions')
+      .select('data, expires_at')
+      .eq('key', key)
+      .maybeSingle()
+
+    if (error) {
+      logger.warn(`Could not load session ${key}:`, error.message)
+      return undefined
+    }
+    if (!data || new Date(data.expires_at) <= new Date()) return undefined
+    return data.data
+  }
+
+  async set(key, session) {
+    const now = new Date()
+    const expiresAt = new Date(now.getTime() + this.ttlDays * 24 * 60 * 60 * 1000)
+
+    const { error } = await this.supabase
+      .from('bot_sessions')
+      .upsert({
+        key,
+        data: session,
+        expires_at: expiresAt.toISOString(),
+        updated_at: now.toISOString()
+      }, { onConflict: 'key' })
+
+    if (error) logger.warn(`Could not save session ${key}:`, error.message)
+  }
+
+  async delete(key) {
+    const { error } = await this.supabase
+      .from('bot_sessions')
+      .delete()
+      .eq('key', key)
+
+    if (error) logger.warn(`Could not delete session ${key}:`, error.message)
+  }
+
+  /**
+   * ctx.session.awaiting for a prompt, stamped with when it stops accepting a reply
+   */
+  static prompt(awaiting, now = new Date()) {
+    return { ...awaiting, expires_at: new Date(now.getTime() + PROMPT_TTL_MINUTES * 60 * 1000).toISOString() }
+  }
+
+  static isExpired(awaiting, now = new Date()) {
+    return Boolean(awaiting?.expires_at) && new Date(awaiting.expires_at) <= now
+  }
+}
+
+BotSessionStore.PROMPT_TTL_MINUTES = PROMPT_TTL_MINUTES
+
+module.exports = BotSessionStore
@@ -1,10 +1,22 @@
-const { WaveScheduleScraper } = require('../lib/wave-scraper-final.js')
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { DEFAULT_VENUE, getVenue, venueIdsFor } = require('../lib/venues')
+const ScheduleRepository = require('./scheduleRepository')
+const { filterSessions } = require('../lib/matching')
+const { whyButtonRows } = require('../utils/telegram-helpers')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+// Postgres unique_violation - the digest was already delivered today
+const UNIQUE_VIOLATION = '23505'
 
 class DigestService {
   constructor(supabase, bot) {
     this.supabase = supabase
     this.bot = bot
-    this.scraper = new WaveScheduleScraper()
+    this.schedule = new ScheduleRepository(supabase)
   }
 
   /**
@@ -22,9 +34,11 @@ class DigestService {
         user_levels (level),
         user_sides (side),
         user_days (day_of_week),
-        user_time_windows (start_time, end_time),
+        user_time_windows (start_time, end_time, day_of_week),
         user_digest_preferences (digest_type),
-        user_digest_filters (timing)
+        user_digest_filters (timing),
+        user_venues (venue),
+        alert_rules (name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
       `)
       .eq('notification_enabled', true)
     
@@ -41,29 +55,15 @@ class DigestService {
   }
 
   /**
-   * Filter sessions based on user preferences
+   * Sessions matching the user's preferences, or their alert rules that include digests
+   * (see lib/matching.js)
    */
   filterSessionsForUser(sessions, user) {
-    const userLevels = user.user_levels?.map(ul => ul.level) || []
-    const userSides = user.user_sides?.map(us => us.side === 'L' ? 'Left' : us.side === 'R' ? 'Right' : 'Any') || []
-    const userDays = user.user_days?.map(ud => ud.day_of_week) || []
-    const userTimeWindows = user.user_time_windows || []
-    
-    return this.scraper.filterSessionsForUser(
-      sessions, 
-      userLevels, 
-      userSides, 
-      userDays, 
-      true, 
-      userTimeWindows
-    ).filter(s => {
-      const availableSpots = s.spots_available || 0
-      return availableSpots > 0 && availableSpots >= user.min_spots
-    })
+    return filterSessions(sessions, user, { alertType: 'digest' })
   }
 
   /**
-   * Format session for message display - now without individual booking links
+   * Format session for message display, linking the session itself when it has its own booking page
    */
   formatSession(session, includeDate = false) {
     const spots = session.spots_available || 0
@@ -73,7 +73,14 @@ class DigestService {
       message += `<b>${session.dateLabel}</b> `
     }
     message += `<b>${session.time}</b> ${session.session_name}\n`
-    message += `${spots} spot${spots === 1 ? '' : 's'} available\n\n`
+    message += `${spots} spot${spots === 1 ? '' : 's'} available`
+    
+    // Link straight to the session when the schedule gave us its own booking page
+    const venue = getVenue(session.venue || DEFAULT_VENUE)
+    if (session.booking_url && session.booking_url !== venue.bookingUrl) {
+      message += ` · <a href="${session.booking_url}">Book</a>`
+    }
+    message += `\n\n`
     
     return message
   }
@@ -101,7 +108,19 @@ class DigestService {
     }
     
     // Get sessions for the determined timeframe
-    return await this.scraper.getSessionsInRange(days).catch(() => [])
+    return this.getSessionsForVenues(user, days)
+  }
+
+  /**
+   * Upcoming sessions from the venues a user follows (every venue if they haven't picked any)
+   */
+  async getSessionsForVenues(user, days) {
+    const venueIds = venueIdsFor(user)
+    
+    // Served from the shared schedule cache, so a digest run doesn't scrape once per user
+    const { sessions } = await this.schedule.getSessionsInRange(days, { venues: venueIds })
+      .catch(() => ({ sessions: [] }))
+    return sessions
   }
 
   /**
@@ -109,9 +128,9 @@ class DigestService {
    */
   formatDigestMessage(sessions, page, sessionsPerPage, digestType, timeframeLabel, userName = null) {
     const totalPages = Math.ceil(sessions.length / sessionsPerPage)
-    const startIdx = (page - 1) * sessionsPerPage
-    const endIdx = Math.min(startIdx + sessionsPerPage, sessions.length)
-    const sessionsToShow = sessions.slice(startIdx, endIdx)
+    const venueIds = [...new Set(sessions.map(s => s.venue || DEFAULT_VENUE))]
+    const multiVenue = venueIds.length > 1
+    const sessionsToShow = this.pageSessions(sessions, page, sessionsPerPage)
     
     let message = ''
     
@@ -132,7 +151,15 @@ class DigestService {
     
     // Display sessions for current page
     let currentDate = ''
+    let currentVenue = ''
     sessionsToShow.forEach((session, index) => {
+      const venueId = session.venue || DEFAULT_VENUE
+      if (multiVenue && venueId !== currentVenue) {
+        if (index > 0) message += '\n'
+        message += `📍 <b>${getVenue(venueId).name}</b>\n`
+        currentVenue = venueId
+        currentDate = ''
+      }
       // Add date header for multi-day views
       if (timeframeLabel !== 'Today' && timeframeLabel !== 'Tomorrow' && session.dateLabel && session.dateLabel !== currentDate) {
         if (index > 0) message += '\n'
@@ -143,7 +170,10 @@ class DigestService {
     })
     
     // Links
-    message += `<a href="https://ticketing.thewave.com/">🏄‍♂️ <b>Book at The Wave</b></a>\n\n`
+    venueIds.forEach(venueId => {
+      const venue = getVenue(venueId)
+      message += `<a href="${venue.bookingUrl}">🏄‍♂️ <b>Book at ${venue.shortName}</b></a>\n\n`
+    })
     message += `<a href="https://buymeacoffee.com/driftwithcaz">☕ <b>Support WavePing</b></a>\n\n`
     
     // Commands
@@ -157,11 +187,26 @@ class DigestService {
   }
 
   /**
-   * Create pagination keyboard for digest messages
+   * The sessions on one page of a digest, grouped by venue when the digest spans several
    */
-  createDigestPaginationKeyboard(currentPage, totalPages, digestType, timeframe) {
+  pageSessions(sessions, page, sessionsPerPage) {
+    const venueIds = [...new Set(sessions.map(s => s.venue || DEFAULT_VENUE))]
+    if (venueIds.length > 1) {
+      sessions = [...sessions].sort((a, b) =>
+        venueIds.indexOf(a.venue || DEFAULT_VENUE) - venueIds.indexOf(b.venue || DEFAULT_VENUE)
+      )
+    }
+    const startIdx = (page - 1) * sessionsPerPage
+    return sessions.slice(startIdx, startIdx + sessionsPerPage)
+  }
+
+  /**
+   * Create pagination keyboard for digest messages, with a 🔍 Why? button for each
+   * session on the page
+   */
+  createDigestPaginationKeyboard(currentPage, totalPages, digestType, timeframe, pageSessions = []) {
     const { Markup } = require('telegraf')
-    const buttons = []
+    const buttons = whyButtonRows(pageSessions, { withDay: true, perRow: 2 })
     
     // Pagination row if needed
     if (totalPages > 1) {
@@ -195,10 +240,40 @@ class DigestService {
     return Markup.inlineKeyboard(buttons)
   }
 
+  /**
+   * Record a user's digest for today (Europe/London) in digest_deliveries before it is sent.
+   * Returns the claim, or null when the digest was already delivered today.
+   */
+  async claimDelivery(user, digestType, now = dayjs()) {
+    const { data, error } = await this.supabase
+      .from('digest_deliveries')
+      .insert({
+        user_id: user.id,
+        digest_type: digestType,
+        delivery_date: now.tz('Europe/London').format('YYYY-MM-DD'),
+        sent_at: now.toISOString()
+      })
+      .select('id')
+      .single()
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return null
+      throw error
+    }
+    return data
+  }
+
+  /**
+   * Give a claim back when Telegram rejected the digest, so a rerun can deliver it
+   */
+  async releaseDelivery(delivery) {
+    await this.supabase.from('digest_deliveries').delete().eq('id', delivery.id)
+  }
+
   /**
    * Send morning digest to users
    */
-  async sendMorningDigest() {
+  async sendMorningDigest({ onProgress = () => {} } = {}) {
     console.log('🌅 Sending morning digest notifications...')
     
     const users = await this.getDigestUsers('morning')
@@ -206,7 +281,8 @@ class DigestService {
     
     const results = []
     
-    for (const user of users) {
+    for (const [index, user] of users.entries()) {
+      onProgress({ processed: index, total: users.length })
       try {
         // Get sessions based on user's timing preference
         const sessions = await this.getSessionsForTimingPreference(user)
@@ -240,11 +316,10 @@ class DigestService {
           userName
         )
         
-        // Add pagination keyboard if needed
+        // Why? buttons for the first page, and pagination if needed
         const totalPages = Math.ceil(filteredSessions.length / sessionsPerPage)
-        const keyboard = totalPages > 1 
-          ? this.createDigestPaginationKeyboard(1, totalPages, 'morning', timeframeCode)
-          : undefined
+        const keyboard = this.createDigestPaginationKeyboard(1, totalPages, 'morning', timeframeCode,
+          this.pageSessions(filteredSessions, 1, sessionsPerPage))
 
         // Store sessions in cache for pagination (you might want to use Redis or similar)
         // For now, we'll need to refetch when paginating
@@ -254,7 +329,19 @@ class DigestService {
           options.reply_markup = keyboard.reply_markup
         }
 
-        await this.bot.telegram.sendMessage(user.telegram_id, message, options)
+        // A retried or duplicate run skips users who already got today's digest
+        const delivery = await this.claimDelivery(user, 'morning')
+        if (!delivery) {
+          results.push({ telegramId: user.telegram_id, status: 'skipped', reason: 'already_delivered' })
+          continue
+        }
+
+        try {
+          await this.bot.telegram.sendMessage(user.telegram_id, message, options)
+        } catch (error) {
+          await this.releaseDelivery(delivery)
+          throw error
+        }
         results.push({ 
           telegramId: user.telegram_id, 
           status: 'sent', 
@@ -268,6 +355,8 @@ class DigestService {
       }
     }
     
+    onProgress({ processed: users.length, total: users.length })
+    
     const sent = results.filter(r => r.status === 'sent').length
     const failed = results.filter(r => r.status === 'failed').length
     console.log(`Morning digest complete: ${sent} sent, ${failed} failed`)
@@ -278,7 +367,7 @@ class DigestService {
   /**
    * Send evening digest to users
    */
-  async sendEveningDigest() {
+  async sendEveningDigest({ onProgress = () => {} } = {}) {
     console.log('🌇 Sending evening digest notifications...')
     
     const users = await this.getDigestUsers('evening')
@@ -286,7 +375,8 @@ class DigestService {
     
     const results = []
     
-    for (const user of users) {
+    for (const [index, user] of users.entries()) {
+      onProgress({ processed: index, total: users.length })
       try {
         // Get sessions based on user's timing preference
         const sessions = await this.getSessionsForTimingPreference(user)
@@ -320,18 +410,29 @@ class DigestService {
           userName
         )
         
-        // Add pagination keyboard if needed
+        // Why? buttons for the first page, and pagination if needed
         const totalPages = Math.ceil(filteredSessions.length / sessionsPerPage)
-        const keyboard = totalPages > 1 
-          ? this.createDigestPaginationKeyboard(1, totalPages, 'evening', timeframeCode)
-          : undefined
+        const keyboard = this.createDigestPaginationKeyboard(1, totalPages, 'evening', timeframeCode,
+          this.pageSessions(filteredSessions, 1, sessionsPerPage))
 
         const options = { parse_mode: 'HTML' }
         if (keyboard) {
           options.reply_markup = keyboard.reply_markup
         }
 
-        await this.bot.telegram.sendMessage(user.telegram_id, message, options)
+        // A retried or duplicate run skips users who already got today's digest
+        const delivery = await this.claimDelivery(user, 'evening')
+        if (!delivery) {
+          results.push({ telegramId: user.telegram_id, status: 'skipped', reason: 'already_delivered' })
+          continue
+        }
+
+        try {
+          await this.bot.telegram.sendMessage(user.telegram_id, message, options)
+        } catch (error) {
+          await this.releaseDelivery(delivery)
+          throw error
+        }
         results.push({ 
           telegramId: user.telegram_id, 
           status: 'sent', 
@@ -345,6 +446,8 @@ class DigestService {
       }
     }
     
+    onProgress({ processed: users.length, total: users.length })
+    
     const sent = results.filter(r => r.status === 'sent').length
     const failed = results.filter(r => r.status === 'failed').length
     console.log(`Evening digest complete: ${sent} sent, ${failed} failed`)
@@ -393,7 +496,9 @@ class DigestService {
           user_levels (level),
           user_sides (side),
           user_days (day_of_week),
-          user_time_windows (start_time, end_time)
+          user_time_windows (start_time, end_time, day_of_week),
+          user_venues (venue),
+          alert_rules (name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
         `)
         .eq('telegram_id', userId)
         .single()
@@ -418,7 +523,7 @@ class DigestService {
       }
       
       // Get sessions
-      const sessions = await this.scraper.getSessionsInRange(days).catch(() => [])
+      const sessions = await this.getSessionsForVenues(profile, days)
       const filteredSessions = this.filterSessionsForUser(sessions, profile)
       
       if (filteredSessions.length === 0) {
@@ -442,9 +547,8 @@ class DigestService {
         userName
       )
       
-      const keyboard = totalPages > 1 
-        ? this.createDigestPaginationKeyboard(validPage, totalPages, digestType, timeframeCode)
-        : undefined
+      const keyboard = this.createDigestPaginationKeyboard(validPage, totalPages, digestType, timeframeCode,
+        this.pageSessions(filteredSessions, validPage, sessionsPerPage))
       
       const options = { parse_mode: 'HTML' }
       if (keyboard) {
@@ -0,0 +1,248 @@
+const logger = require('../utils/logger').child('JobRuns')
+
+// Postgres unique_violation - job_runs allows one running row per job
+const UNIQUE_VIOLATION = '23505'
+// A running job touches its row this often, and progress is written at most this often
+const HEARTBEAT_MS = 60 * 1000
+const PROGRESS_INTERVAL_MS = 5 * 1000
+// A running row without a heartbeat for this long belongs to a dead process
+const ABANDONED_AFTER_MS = 5 * 60 * 1000
+
+// Jobs running in this process, whichever JobRunService started them. Guards against
+// overlapping runs even when job_runs can't be written.
+const activeJobs = new Set()
+
+class JobAlreadyRunningError extends Error {
+  constructor(jobName, runId = null) {
+    super(`${jobName} is already running`)
+    this.name = 'JobAlreadyRunningError'
+    this.jobName = jobName
+    this.runId = runId
+  }
+}
+
+/**
+ * Numbers worth keeping from a job result: top-level counts (`sessionsScraped`,
+ * `notificationsSent`...), objects of counts (`deleted: { sessions: 3 }`) and per-status
+ * tallies of `results` arrays (`sent`, `failed`...)
+ */
+function countsFrom(result) {
+  const counts = {}
+  if (!result || typeof result !== 'object') return counts
+
+  for (const [key, value] of Object.entries(result)) {
+    if (typeof value === 'number') {
+      counts[key] = value
+    } else if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (item?.status) counts[item.status] = (counts[item.status] || 0) + 1
+      })
+    } else if (value && typeof value === 'object' && Object.values(value).every(v => typeof v === 'number')) {
+      counts[key] = value
+    }
+  }
+  return counts
+}
+
+// The stored result leaves out per-user arrays, which grow with the user base
+const storedResult = (result) => result && typeof result === 'object'
+  ? Object.fromEntries(Object.entries(result).filter(([, value]) => !Array.isArray(value)))
+  : null
+
+/**
+ * History of job executions in job_runs, whoever triggered them: the built-in scheduler,
+ * a cron POST or an admin. Only one run per job can be active - a second start, in this
+ * process or any other, throws JobAlreadyRunningError - and running jobs persist a
+ * heartbeat and their progress.
+ * Any other failure to write history never gets in the way of the job itself.
+ */
+class JobRunService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.now = options.now || (() => new Date())
+    this.heartbeatMs = options.heartbeatMs ?? HEARTBEAT_MS
+  }
+
+  /**
+   * Run a job (see services/jobs) and record it. Resolves to the job's result and
+   * rethrows its error once the failure is recorded.
+   */
+  async run(job, context, { trigger = 'http', scheduledFor = null, instanceId = null } = {}) {
+    const runId = await this.start(job.name, { trigger, scheduledFor, instanceId })
+    return this._execute(runId, job, context)
+  }
+
+  /**
+   * Start a job in the background and resolve straight away with its run ID
+   * (null if history couldn't be written). Progress is polled with get().
+   */
+  async enqueue(job, context, { trigger = 'http', instanceId = null } = {}) {
+    const runId = await this.start(job.name, { trigger, instanceId })
+    const done = this._execute(runId, job, context)
+      .catch(error => logger.error(`${job.name} run ${runId} failed:`, error))
+    return { id: runId, done }
+  }
+
+  /**
+   * Take the job's lock and record the run. The lock is held until _execute finishes.
+   */
+  async start(jobName, options = {}) {
+    if (activeJobs.has(jobName)) throw new JobAlreadyRunningError(jobName)
+    activeJobs.add(jobName)
+
+    try {
+      return await this._insertRun(jobName, options)
+    } catch (error) {
+      activeJobs.delete(jobName)
+      throw error
+    }
+  }
+
+  async _insertRun(jobName, { trigger = 'http', scheduledFor = null, instanceId = null }) {
+    await this._failAbandoned(jobName)
+
+    const now = this.now().toISOString()
+    const { data, error } = await this.supabase
+      .from('job_runs')
+      .insert({
+        job_name: jobName,
+        trigger,
+        instance_id: instanceId,
+        scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+        started_at: now,
+        heartbeat_at: now,
+        status: 'running'
+      })
+      .select('id')
+      .single()
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        const [active] = await this.list({ jobName, status: 'running', limit: 1 }).catch(() => [])
+        throw new JobAlreadyRunningError(jobName, active?.id)
+      }
+      logger.warn(`Could not record the ${jobName} run:`, error.message)
+      return null
+    }
+    return data.id
+  }
+
+  async finish(runId, status, result = null, error = null, progress = null) {
+    if (!runId) return
+
+    const { error: updateError } = await this.supabase
+      .from('job_runs')
+      .update({
+        status,
+        finished_at: this.now().toISOString(),
+        counts: countsFrom(result),
+        result: storedResult(result),
+        ...(progress && { progress }),
+        error: error ? error.message : null
+      })
+      .eq('id', runId)
+
+    if (updateError) logger.warn(`Could not record the end of run ${runId}:`, updateError.message)
+  }
+
+  async _execute(runId, job, context) {
+    const progress = this._progressReporter(runId)
+    const heartbeat = runId ? setInterval(() => this._touch(runId, progress.latest()), this.heartbeatMs) : null
+    heartbeat?.unref?.()
+
+    try {
+      const result = await job.run({ ...context, progress })
+      await this.finish(runId, 'succeeded', result, null, progress.latest())
+      return result
+    } catch (error) {
+      await this.finish(runId, 'failed', null, error, progress.latest())
+      throw error
+    } finally {
+      if (heartbeat) clearInterval(heartbeat)
+      activeJobs.delete(job.name)
+    }
+  }
+
+  // progress({ processed, total }) for a job body; writes are throttled
+  _progressReporter(runId) {
+    let latest = null
+    let lastWrite = 0
+
+    const report = (update) => {
+      latest = { ...latest, ...update }
+      const now = this.now().getTime()
+      if (!runId || now - lastWrite < PROGRESS_INTERVAL_MS) return
+      lastWrite = now
+      this._touch(runId, latest)
+    }
+    report.latest = () => latest
+    return report
+  }
+
+  async _touch(runId, progress) {
+    const { error } = await this.supabase
+      .from('job_runs')
+      .update({ heartbeat_at: this.now().toISOString(), ...(progress && { progress }) })
+      .eq('id', runId)
+
+    if (error) logger.warn(`Could not update run ${runId}:`, error.message)
+  }
+
+  // Runs left 'running' by a process that died would block the job forever
+  async _failAbandoned(jobName) {
+    const cutoff = new Date(this.now().getTime() - ABANDONED_AFTER_MS).toISOString()
+    const { error } = await this.supabase
+      .from('job_runs')
+      .update({ status: 'failed', finished_at: this.now().toISOString(), error: 'Abandoned: no heartbeat' })
+      .eq('job_name', jobName)
+      .eq('status', 'running')
+      .lt('heartbeat_at', cutoff)
+
+    if (error) logger.warn(`Could not clear abandoned ${jobName} runs:`, error.message)
+  }
+
+  /**
+   * Recent runs, newest first
+   */
+  async list({ jobName = null, status = null, limit = 50 } = {}) {
+    let query = this.supabase
+      .from('job_runs')
+      .select('id, job_name, trigger, instance_id, scheduled_for, started_at, finished_at, heartbeat_at, status, progress, counts, error')
+
+    if (jobName) query = query.eq('job_name', jobName)
+    if (status) query = query.eq('status', status)
+
+    const { data, error } = await query
+      .order('started_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from('job_runs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * The latest runs of each job - one query per job, so rare jobs aren't crowded out
+   */
+  async latestPerJob(jobNames, { perJob = 1 } = {}) {
+    return Promise.all(jobNames.map(async name => ({
+      name,
+      runs: await this.list({ jobName: name, limit: perJob })
+    })))
+  }
+}
+
+JobRunService.countsFrom = countsFrom
+JobRunService.JobAlreadyRunningError = JobAlreadyRunningError
+
+module.exports = JobRunService
@@ -0,0 +1,136 @@
+const os = require('os')
+const { parseCron, nextRun } = require('../lib/cron')
+const JobRunService = require('./jobRunService')
+const logger = require('../utils/logger').child('Scheduler')
+
+// A crashed instance holds a job's lease for at most this long
+const DEFAULT_LEASE_SECONDS = 30 * 60
+// setTimeout can't wait longer than this (~24.8 days); longer waits are re-planned
+const MAX_TIMER_MS = 2 ** 31 - 1
+
+/**
+ * In-process scheduler for the periodic jobs in services/jobs, an alternative to external
+ * cron POSTs. Each tick takes the job's lease in job_leases first, so with several instances
+ * only one runs it, and a tick is never run twice. Runs are recorded through JobRunService.
+ */
+class JobScheduler {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.jobs = options.jobs || []
+    // The services handed to each job body
+    this.context = options.context || {}
+    this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}`
+    this.timezone = options.timezone || 'Europe/London'
+    this.leaseSeconds = options.leaseSeconds ?? DEFAULT_LEASE_SECONDS
+    this.now = options.now || (() => new Date())
+    this.runs = options.runs || new JobRunService(supabase, { now: this.now })
+    this.setTimer = options.setTimer || setTimeout
+    this.clearTimer = options.clearTimer || clearTimeout
+    this.timers = new Map()
+    this.running = new Set()
+  }
+
+  start() {
+    for (const job of this.jobs) {
+      try {
+        parseCron(job.schedule)
+      } catch (error) {
+        logger.error(`Not scheduling ${job.name}: ${error.message}`)
+        continue
+      }
+      this._plan(job)
+    }
+    logger.info(`Scheduler started on ${this.instanceId}`, {
+      jobs: this.jobs.map(job => `${job.name} (${job.schedule})`)
+    })
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) this.clearTimer(timer)
+    this.timers.clear()
+  }
+
+  /**
+   * When each job runs next
+   */
+  status() {
+    return this.jobs.map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      running: this.running.has(job.name),
+      nextRunAt: this.timers.has(job.name) ? nextRun(job.schedule, this.now(), this.timezone).toISOString() : null
+    }))
+  }
+
+  _plan(job) {
+    const at = nextRun(job.schedule, this.now(), this.timezone)
+    const delay = Math.min(Math.max(at - this.now(), 0), MAX_TIMER_MS)
+
+    const timer = this.setTimer(() => {
+      if (this.now() < at) return this._plan(job)
+      this._fire(job, at).catch(error => logger.error(`Scheduled ${job.name} failed to start:`, error))
+    }, delay)
+    timer?.unref?.()
+    this.timers.set(job.name, timer)
+  }
+
+  /**
+   * Run one scheduled tick of a job if this instance gets its lease
+   */
+  async _fire(job, scheduledFor) {
+    this._plan(job)
+
+    if (this.running.has(job.name)) {
+      logger.warn(`Skipping ${job.name}: the previous run is still going`)
+      return null
+    }
+    if (!await this.acquireLease(job.name, scheduledFor)) {
+      logger.debug(`Skipping ${job.name}: another instance has it`)
+      return null
+    }
+
+    this.running.add(job.name)
+    try {
+      return await this.runs.run(job, this.context, { trigger: 'schedule', scheduledFor, instanceId: this.instanceId })
+    } catch (error) {
+      if (error instanceof JobRunService.JobAlreadyRunningError) {
+        logger.warn(`Skipping ${job.name}: a triggered run is still going`)
+      } else {
+        logger.error(`Scheduled ${job.name} failed:`, error)
+      }
+      return null
+    } finally {
+      this.running.delete(job.name)
+      await this.releaseLease(job.name)
+    }
+  }
+
+  /**
+   * Take a job's lease for one scheduled tick. Fails while another instance holds it or
+   * once the tick has been run anywhere.
+   */
+  async acquireLease(jobName, scheduledFor) {
+    const { data, error } = await this.supabase.rpc('acquire_job_lease', {
+      p_job_name: jobName,
+      p_holder: this.instanceId,
+      p_scheduled_for: scheduledFor.toISOString(),
+      p_lease_seconds: this.leaseSeconds
+    })
+
+    if (error) {
+      logger.error(`Could not take the ${jobName} lease:`, error.message)
+      return false
+    }
+    return data === true
+  }
+
+  async releaseLease(jobName) {
+    const { error } = await this.supabase.rpc('release_job_lease', {
+      p_job_name: jobName,
+      p_holder: this.instanceId
+    })
+    if (error) logger.warn(`Could not release the ${jobName} lease:`, error.message)
+  }
+}
+
+module.exports = JobScheduler
@@ -0,0 +1,111 @@
+const logger = require('../../utils/logger').child('Jobs')
+
+/**
+ * Remove old historical data: past sessions, weather, sent notifications, expired watches,
+ * scrape health records, job run history, digest deliveries, expired bot sessions and snapshots
+ * past their retention
+ */
+async function cleanupDatabase({ supabase, watchlistService, snapshotArchive }) {
+  logger.info('Starting database cleanup...')
+
+  const today = new Date().toISOString().split('T')[0]
+
+  const threeDaysAgo = new Date()
+  threeDaysAgo.setDate(threeDaysAgo.getDate() - 3)
+  const threeDaysAgoISO = threeDaysAgo.toISOString().split('T')[0]
+
+  // Clean old sessions (keep today and future)
+  const { error: sessionsError, count: sessionsDeleted } = await supabase
+    .from('sessions')
+    .delete({ count: 'exact' })
+    .lt('date', today)
+
+  if (sessionsError) throw sessionsError
+
+  // Clean old weather cache (keep last 3 days)
+  const { error: weatherError, count: weatherDeleted } = await supabase
+    .from('weather_cache')
+    .delete({ count: 'exact' })
+    .lt('date', threeDaysAgoISO)
+
+  if (weatherError) throw weatherError
+
+  // Clean old notifications (keep last 30 days)
+  const thirtyDaysAgo = new Date()
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30)
+
+  const { error: notifError, count: notifDeleted } = await supabase
+    .from('notifications_sent')
+    .delete({ count: 'exact' })
+    .lt('sent_at', thirtyDaysAgo.toISOString())
+
+  if (notifError) throw notifError
+
+  // Clean watches for sessions that have already started
+  const watchesDeleted = await watchlistService.expireWatches()
+
+  // Clean old scrape health records (keep last 30 days)
+  const { error: runsError, count: runsDeleted } = await supabase
+    .from('scrape_runs')
+    .delete({ count: 'exact' })
+    .lt('started_at', thirtyDaysAgo.toISOString())
+
+  if (runsError) throw runsError
+
+  // Clean old job run history (keep last 30 days)
+  const { error: jobRunsError, count: jobRunsDeleted } = await supabase
+    .from('job_runs')
+    .delete({ count: 'exact' })
+    .lt('started_at', thirtyDaysAgo.toISOString())
+
+  if (jobRunsError) throw jobRunsError
+
+  // Clean old digest delivery records (keep last 30 days)
+  const { error: deliveriesError, count: deliveriesDeleted } = await supabase
+    .from('digest_deliveries')
+    .delete({ count: 'exact' })
+    .lt('sent_at', thirtyDaysAgo.toISOString())
+
+  if (deliveriesError) throw deliveriesError
+
+  // Clean bot sessions that have expired
+  const { error: botSessionsError, count: botSessionsDeleted } = await supabase
+    .from('bot_sessions')
+    .delete({ count: 'exact' })
+    .lt('expires_at', new Date().toISOString())
+
+  if (botSessionsError) throw botSessionsError
+
+  // Clean raw schedule snapshots past their retention
+  const snapshotsDeleted = await snapshotArchive.prune()
+
+  logger.info('Database cleanup completed', {
+    sessionsDeleted: sessionsDeleted || 0,
+    weatherDeleted: weatherDeleted || 0,
+    notificationsDeleted: notifDeleted || 0,
+    watchesDeleted,
+    scrapeRunsDeleted: runsDeleted || 0,
+    jobRunsDeleted: jobRunsDeleted || 0,
+    digestDeliveriesDeleted: deliveriesDeleted || 0,
+    botSessionsDeleted: botSessionsDeleted || 0,
+    snapshotsDeleted
+  })
+
+  return {
+    success: true,
+    message: 'Database cleanup completed',
+    deleted: {
+      sessions: sessionsDeleted || 0,
+      weather: weatherDeleted || 0,
+      notifications: notifDeleted || 0,
+      watches: watchesDeleted,
+      scrapeRuns: runsDeleted || 0,
+      jobRuns: jobRunsDeleted || 0,
+      digestDeliveries: deliveriesDeleted || 0,
+      botSessions: botSessionsDeleted || 0,
+      snapshots: snapshotsDeleted
+    }
+  }
+}
+
+module.exports = cleanupDatabase
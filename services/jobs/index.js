@@ -0,0 +1,39 @@
+const scrapeSchedule = require('./scrapeSchedule')
+const cleanupDatabase = require('./cleanupDatabase')
+const sendSessionNotifications = require('./sendSessionNotifications')
+
+/**
+ * Periodic jobs, named after their /api/cron/<name> endpoint. Each `run` takes the shared
+ * services built in server.js, plus a `progress({ processed, total })` reporter, and
+ * resolves to the job's JSON result.
+ * `schedule` is the default cron expression (Europe/London) for the in-process scheduler;
+ * the job's env variable overrides it, and `off` leaves the job to external triggers.
+ */
+const JOBS = [
+  { name: 'scrape-schedule', schedule: '*/30 * * * *', env: 'CRON_SCRAPE_SCHEDULE', run: scrapeSchedule },
+  { name: 'send-morning-digest', schedule: '0 8 * * *', env: 'CRON_MORNING_DIGEST', run: ({ digestService, progress }) => digestService.sendMorningDigest({ onProgress: progress }) },
+  { name: 'send-evening-digest', schedule: '0 18 * * *', env: 'CRON_EVENING_DIGEST', run: ({ digestService, progress }) => digestService.sendEveningDigest({ onProgress: progress }) },
+  { name: 'send-session-notifications', schedule: '*/15 * * * *', env: 'CRON_SESSION_NOTIFICATIONS', run: sendSessionNotifications },
+  { name: 'cleanup-database', schedule: '0 3 * * *', env: 'CRON_CLEANUP_DATABASE', run: cleanupDatabase }
+]
+
+/**
+ * Jobs with their effective schedule; jobs switched off are left out
+ */
+function scheduledJobs(env = process.env) {
+  return JOBS
+    .map(job => ({ ...job, schedule: (env[job.env] || job.schedule).trim() }))
+    .filter(job => job.schedule !== 'off')
+}
+
+function getJob(name) {
+  const job = JOBS.find(j => j.name === name)
+  if (!job) throw new Error(`Unknown job: ${name}`)
+  return job
+}
+
+module.exports = {
+  JOBS,
+  scheduledJobs,
+  getJob
+}
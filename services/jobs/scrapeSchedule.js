@@ -0,0 +1,97 @@
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final.js')
+const { listVenues } = require('../../lib/venues')
+const logger = require('../../utils/logger').child('Jobs')
+
+/**
+ * Scrape every venue, sync the stored sessions and send the alerts the changes trigger
+ */
+async function scrapeSchedule({ snapshotArchive, scrapeHealthService, scheduleReleaseService, sessionChangeService, scheduleRepository, alertService, watchlistService, progress = () => {} }) {
+  logger.info('Starting schedule scrape...')
+
+  const changes = []
+  const releases = []
+  const venues = {}
+  let sessionsScraped = 0
+  let sessionsDeactivated = 0
+
+  const venueList = listVenues()
+  for (const [index, venue] of venueList.entries()) {
+    progress({ processed: index, total: venueList.length })
+    // Fetch fresh sessions using the venue's scraper
+    const scraper = new WaveScheduleScraper({ venue: venue.id, archive: snapshotArchive })
+    const startedAt = new Date().toISOString()
+    let sessions = []
+    let published = null
+    let scrapeError = null
+
+    try {
+      // Every week the site has published, up to SCRAPE_HORIZON_WEEKS ahead
+      published = await scraper.getPublishedSessions()
+      sessions = published.sessions
+      logger.info(`Found ${sessions.length} ${venue.name} sessions to sync, published through ${published.through}`)
+    } catch (error) {
+      logger.error(`Error scraping ${venue.name} sessions:`, error)
+      // Continue with empty sessions array - don't fail the entire operation
+      scrapeError = error
+      sessions = []
+    }
+
+    // Record per-week parser health and alert admins on drift
+    const health = await scrapeHealthService.recordRun({
+      venue: venue.id,
+      startedAt,
+      weeks: scraper.weekReports,
+      error: scrapeError
+    })
+
+    // Weeks that had nothing stored before this scrape have just gone on sale
+    const venueReleases = await scheduleReleaseService.detectReleases(venue.id, sessions).catch(error => {
+      logger.error(`Error detecting ${venue.name} schedule releases:`, error)
+      return []
+    })
+    venueReleases.forEach(release => logger.info(`New ${venue.name} week released: ${release.week} (${release.sessionCount} sessions)`))
+    releases.push(...venueReleases)
+
+    // Diff against the venue's stored sessions over the published range, upsert and record changes
+    const sync = await sessionChangeService.syncSessions(sessions, { days: published?.days ?? 14, venue: venue.id })
+
+    changes.push(...sync.changes)
+    sessionsScraped += sessions.length
+    sessionsDeactivated += sync.deactivated
+    venues[venue.id] = {
+      sessionsScraped: sessions.length,
+      sessionsDeactivated: sync.deactivated,
+      publishedThrough: published?.through ?? null,
+      releasedWeeks: venueReleases.map(release => release.week),
+      health: health.status,
+      alerts: health.alerts
+    }
+  }
+
+  progress({ processed: venueList.length, total: venueList.length })
+
+  // Readers pick up the freshly synced sessions on their next request
+  scheduleRepository.clear()
+
+  // React to the changes within the same scrape cycle
+  const { alertsSent } = await alertService.sendSpotsOpenedAlerts(changes)
+  await watchlistService.expireWatches()
+  const { alertsSent: watchAlertsSent } = await watchlistService.notifyWatchers(changes)
+  const { alertsSent: releaseAlertsSent } = await alertService.sendReleaseAlerts(releases)
+
+  return {
+    success: true,
+    message: 'Schedule scraped successfully',
+    sessionsScraped,
+    sessionsDeactivated,
+    venues,
+    releases: releases.map(({ venue, week, sessionCount }) => ({ venue, week, sessionCount })),
+    changes: sessionChangeService.summarise(changes),
+    alertsSent,
+    watchAlertsSent,
+    releaseAlertsSent,
+    timestamp: new Date().toISOString()
+  }
+}
+
+module.exports = scrapeSchedule
@@ -0,0 +1,139 @@
+const dayjs = require('dayjs')
+const { Markup } = require('telegraf')
+const { DEFAULT_VENUE, getVenue, listVenues } = require('../../lib/venues')
+const { sessionKey } = require('../../lib/session-record')
+const { filterSessions } = require('../../lib/matching')
+const { REMINDER_TIMINGS, DEFAULT_GRACE_MINUTES, dueReminder } = require('../../lib/reminders')
+const logger = require('../../utils/logger').child('Jobs')
+
+// Postgres unique_violation - the reminder was already sent
+const UNIQUE_VIOLATION = '23505'
+// Postgres foreign_key_violation - the session isn't in the sessions table yet
+const FOREIGN_KEY_VIOLATION = '23503'
+
+/**
+ * Send session reminders that have fallen due for each user's notification timings.
+ * Reminders missed by a late or skipped run are still sent within the grace period
+ * (REMINDER_GRACE_MINUTES), and each one is recorded in notifications_sent under the
+ * session's key, so it goes out once.
+ */
+async function sendSessionNotifications({ supabase, bot, scheduleRepository, progress = () => {} }) {
+  logger.info('Checking for session notifications...')
+
+  const now = dayjs()
+  const graceMinutes = Number(process.env.REMINDER_GRACE_MINUTES) || DEFAULT_GRACE_MINUTES
+
+  // Get all users with notifications enabled
+  const { data: profiles, error: profilesError } = await supabase
+    .from('profiles')
+    .select(`
+      id,
+      telegram_id,
+      min_spots,
+      user_levels (level),
+      user_sides (side),
+      user_days (day_of_week),
+      user_time_windows (start_time, end_time, day_of_week),
+      user_digest_filters (timing),
+      user_venues (venue),
+      alert_rules (name, levels, sides, days, time_windows, min_spots, alert_types, is_active)
+    `)
+    .eq('notification_enabled', true)
+
+  if (profilesError) throw profilesError
+
+  logger.info(`Found ${profiles.length} users with notifications enabled`)
+
+  // Get upcoming sessions from every venue, far enough ahead for the longest timing
+  const lookaheadDays = Math.ceil(REMINDER_TIMINGS[0].hours / 24) + 1
+  const { sessions: upcomingSessions } = await scheduleRepository.getSessionsInRange(lookaheadDays, {
+    venues: listVenues().map(v => v.id)
+  })
+
+  const results = []
+  let notificationsSent = 0
+
+  for (const [index, user] of profiles.entries()) {
+    progress({ processed: index, total: profiles.length })
+    try {
+      const userNotificationTimings = user.user_digest_filters?.map(n => n.timing) || []
+      const matchingSessions = filterSessions(upcomingSessions, user, { alertType: 'reminder' })
+
+      // Send whichever reminder is due (or overdue within the grace period) and not yet sent
+      for (const session of matchingSessions) {
+        const timing = dueReminder(session, userNotificationTimings, now, { graceMinutes })
+        if (!timing) continue
+
+        if (await sendReminderOnce({ supabase, bot }, user, session, timing)) {
+          notificationsSent++
+          logger.debug(`${timing.key} reminder sent to ${user.telegram_id} for session ${session.key}`)
+        }
+      }
+
+      results.push({ telegramId: user.telegram_id, status: 'processed' })
+
+    } catch (error) {
+      logger.error(`Failed to process notifications for ${user.telegram_id}`, { error: error.message })
+      results.push({ telegramId: user.telegram_id, status: 'failed', error: error.message })
+    }
+  }
+
+  progress({ processed: profiles.length, total: profiles.length })
+  logger.info(`Session notifications complete: ${notificationsSent} sent`)
+  return { success: true, notificationsSent, results }
+}
+
+/**
+ * Claim the reminder in notifications_sent, then send it. The claim is released if
+ * Telegram rejects the message, so the next run retries it.
+ */
+async function sendReminderOnce({ supabase, bot }, user, session, timing) {
+  const key = session.key || sessionKey(session)
+  const { data: claim, error: claimError } = await supabase
+    .from('notifications_sent')
+    .insert({
+      user_id: user.id,
+      session_id: key,
+      timing: timing.key,
+      notification_type: 'reminder',
+      sent_at: new Date().toISOString()
+    })
+    .select('id')
+    .single()
+
+  if (claimError) {
+    if (claimError.code === UNIQUE_VIOLATION) return false
+    if (claimError.code === FOREIGN_KEY_VIOLATION) {
+      logger.debug(`Skipping reminder for ${key}: not stored yet`)
+      return false
+    }
+    throw claimError
+  }
+
+  const spots = session.spots_available || 0
+  const bookingUrl = session.booking_url || getVenue(session.venue || DEFAULT_VENUE).bookingUrl
+
+  const message = `🌊 *Session Alert!* 🏄‍♂️\n\n` +
+    `⏰ *${timing.label} reminder*\n\n` +
+    `📅 *${session.dateLabel || 'Today'}*\n` +
+    `🕐 *${session.time}* - ${session.session_name}\n` +
+    `📍 ${spots} spot${spots === 1 ? '' : 's'} available\n\n` +
+    `[Book Now](${bookingUrl})\n\n` +
+    `_Use /setup to manage your notifications_`
+
+  try {
+    await bot.telegram.sendMessage(user.telegram_id, message, {
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.callback('🔍 Why?', `session_why_${key}`)]
+      ]).reply_markup
+    })
+  } catch (error) {
+    await supabase.from('notifications_sent').delete().eq('id', claim.id)
+    throw error
+  }
+
+  return true
+}
+
+module.exports = sendSessionNotifications
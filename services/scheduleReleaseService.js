@@ -0,0 +1,92 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const logger = require('../utils/logger').child('ScheduleReleases')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const TZ = 'Europe/London'
+
+// Monday (YYYY-MM-DD) of the schedule week a date falls in
+const weekOf = (date) => {
+  const d = dayjs(date)
+  return d.subtract((d.day() + 6) % 7, 'day').format('YYYY-MM-DD')
+}
+
+/**
+ * Spots newly released schedule weeks: weeks after the current one that a scrape found
+ * sessions in while nothing was stored for them yet. Each release is recorded once in
+ * schedule_releases, so a week is only ever reported on the scrape that first saw it.
+ */
+class ScheduleReleaseService {
+  constructor(supabase, bot) {
+    this.supabase = supabase
+    this.bot = bot
+  }
+
+  /**
+   * Compare a venue's scraped sessions with what is stored - call before syncSessions.
+   * Returns the new releases as [{ venue, week, sessionCount, sessions }].
+   */
+  async detectReleases(venue, sessions, now = dayjs().tz(TZ)) {
+    const currentWeek = weekOf(now.format('YYYY-MM-DD'))
+    const byWeek = new Map()
+    for (const session of sessions) {
+      const week = weekOf(session.dateISO)
+      if (week <= currentWeek) continue
+      if (!byWeek.has(week)) byWeek.set(week, [])
+      byWeek.get(week).push(session)
+    }
+    if (byWeek.size === 0) return []
+
+    const weeks = [...byWeek.keys()].sort()
+    const { data: storedRows, error } = await this.supabase
+      .from('sessions')
+      .select('date')
+      .eq('venue', venue)
+      .gte('date', currentWeek)
+      .lte('date', dayjs(weeks[weeks.length - 1]).add(6, 'day').format('YYYY-MM-DD'))
+
+    if (error) throw error
+
+    const storedWeeks = new Set((storedRows || []).map(row => weekOf(row.date)))
+    const released = weeks.filter(week => !storedWeeks.has(week))
+    if (released.length === 0) return []
+
+    const rows = released.map(week => ({ venue, week, session_count: byWeek.get(week).length }))
+
+    // Nothing stored at all is a first run or a wiped table, not a release - remember the
+    // weeks so they aren't announced later, but don't raise events for them
+    if (storedWeeks.size === 0) {
+      await this.record(rows)
+      logger.info(`Seeded ${rows.length} ${venue} schedule weeks without announcing them`)
+      return []
+    }
+
+    const recorded = await this.record(rows)
+    return recorded.map(row => ({
+      venue,
+      week: row.week,
+      sessionCount: row.session_count,
+      sessions: byWeek.get(row.week) || []
+    }))
+  }
+
+  /**
+   * Insert release rows, returning only the ones that weren't recorded before
+   */
+  async record(rows) {
+    const { data, error } = await this.supabase
+      .from('schedule_releases')
+      .upsert(rows, { onConflict: 'venue,week', ignoreDuplicates: true })
+      .select('venue, week, session_count')
+
+    if (error) throw error
+    return data || []
+  }
+}
+
+ScheduleReleaseService.weekOf = weekOf
+
+module.exports = ScheduleReleaseService
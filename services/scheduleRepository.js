@@ -0,0 +1,188 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { WaveScheduleScraper } = require('../lib/wave-scraper-final.js')
+const { listVenues } = require('../lib/venues')
+const { fromSessionRow } = require('../lib/session-record')
+const SnapshotArchive = require('./snapshotArchive')
+const logger = require('../utils/logger').child('Schedule')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const TZ = 'Europe/London'
+
+// How long a loaded schedule is served from memory before the database is asked again
+const CACHE_TTL_MS = 2 * 60 * 1000
+// Stored sessions are stale, and trigger a live fetch, when the venue's last successful scrape
+// is older than this (the scrape cron runs every 30 minutes)
+const STALE_AFTER_MS = 45 * 60 * 1000
+
+// Shared by every repository in the process, so a digest fanning out to many users loads each range once
+const sharedCache = new Map()
+
+const byStart = (a, b) => (a.dateISO + a.time24).localeCompare(b.dateISO + b.time24)
+
+/**
+ * Read side of the schedule: serves sessions from the sessions table (kept fresh by the
+ * scrape cron) through an in-process TTL cache, and only scrapes the venue's site when the
+ * stored data is stale - the venue's last successful scrape (scrape_runs) is too old or
+ * failed on a week of the range. A fresh range with no sessions is served as empty.
+ * Every result carries `updatedAt` for the UI.
+ */
+class ScheduleRepository {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.ttlMs = options.ttlMs ?? CACHE_TTL_MS
+    this.staleAfterMs = options.staleAfterMs ?? STALE_AFTER_MS
+    this.cache = options.cache || sharedCache
+    this.archive = options.archive || new SnapshotArchive(supabase)
+  }
+
+  /**
+   * Sessions from `start` (inclusive) to start + N days across venues (every venue unless
+   * given, e.g. venueIdsFor(profile)).
+   * Returns { sessions, updatedAt } where updatedAt is the oldest venue's data time.
+   */
+  async getSessionsInRange(days = 14, { venues = listVenues().map(venue => venue.id), start = dayjs().tz(TZ) } = {}) {
+    const startISO = dayjs(start).tz(TZ).format('YYYY-MM-DD')
+    const results = await Promise.allSettled(venues.map(venue => this._load(venue, startISO, days)))
+
+    const loaded = results.filter(r => r.status === 'fulfilled').map(r => r.value)
+    if (loaded.length === 0 && results.length > 0) throw results[0].reason
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') logger.warn(`Skipped venue ${venues[i]}: ${result.reason.message}`)
+    })
+
+    return {
+      sessions: loaded.flatMap(r => r.sessions).sort(byStart),
+      updatedAt: loaded.reduce((oldest, r) => !oldest || r.updatedAt < oldest ? r.updatedAt : oldest, null)
+    }
+  }
+
+  async getSessionsForDate(date, options = {}) {
+    const dateISO = dayjs(date).tz(TZ).format('YYYY-MM-DD')
+    const result = await this.getSessionsInRange(0, { ...options, start: date })
+    return { ...result, sessions: result.sessions.filter(s => s.dateISO === dateISO) }
+  }
+
+  /**
+   * Today's sessions that haven't started yet
+   */
+  async getTodaysFutureSessions(options = {}) {
+    const now = dayjs().tz(TZ)
+    const result = await this.getSessionsForDate(now, options)
+    return {
+      ...result,
+      sessions: result.sessions.filter(s => dayjs.tz(`${s.dateISO} ${s.time24}`, TZ).isAfter(now))
+    }
+  }
+
+  async getTomorrowsSessions(options = {}) {
+    return this.getSessionsForDate(dayjs().tz(TZ).add(1, 'day'), options)
+  }
+
+  /**
+   * Drop cached ranges, e.g. right after the scrape cron has synced fresh sessions
+   */
+  clear() {
+    this.cache.clear()
+  }
+
+  // ---------- internals ----------
+
+  // Concurrent callers share one in-flight load; failed loads are not cached
+  _load(venue, startISO, days) {
+    const key = `${venue}|${startISO}|${days}`
+    const cached = this.cache.get(key)
+    if (cached && Date.now() - cached.loadedAt < this.ttlMs) return cached.promise
+
+    const entry = { loadedAt: Date.now(), promise: this._loadFresh(venue, startISO, days) }
+    this.cache.set(key, entry)
+    entry.promise.catch(() => {
+      if (this.cache.get(key) === entry) this.cache.delete(key)
+    })
+    return entry.promise
+  }
+
+  async _loadFresh(venue, startISO, days) {
+    const endISO = dayjs.tz(startISO, TZ).add(days, 'day').format('YYYY-MM-DD')
+
+    const [stored, lastScrape] = await Promise.all([
+      this._fromDatabase(venue, startISO, endISO).catch(error => {
+        logger.warn(`Could not read stored sessions for ${venue}:`, error.message)
+        return null
+      }),
+      this._lastScrape(venue).catch(error => {
+        logger.warn(`Could not read the last ${venue} scrape:`, error.message)
+        return null
+      })
+    ])
+
+    if (stored && this._isFresh(lastScrape, startISO, endISO)) {
+      return { ...stored, updatedAt: lastScrape.finished_at }
+    }
+
+    const hasStored = stored && stored.sessions.length > 0
+
+    try {
+      const sessions = await new WaveScheduleScraper({ venue, archive: this.archive }).getSessionsInRange(days, dayjs.tz(startISO, TZ))
+      return { sessions, updatedAt: new Date().toISOString() }
+    } catch (error) {
+      if (!hasStored) throw error
+      logger.warn(`Live fetch for ${venue} failed, serving stored sessions:`, error.message)
+      return stored
+    }
+  }
+
+  // The scrape covered the range: it finished recently and none of the range's published
+  // weeks failed (a failed probe week past the schedule has nothing to fetch live either)
+  _isFresh(lastScrape, startISO, endISO) {
+    if (!lastScrape?.finished_at) return false
+    if (Date.now() - new Date(lastScrape.finished_at).getTime() >= this.staleAfterMs) return false
+
+    // weeks are keyed by their Monday
+    const start = dayjs.tz(startISO, TZ)
+    const firstMonday = start.subtract((start.day() + 6) % 7, 'day').format('YYYY-MM-DD')
+    return !(lastScrape.weeks || []).some(week =>
+      week.error && !week.probe && week.week >= firstMonday && week.week <= endISO
+    )
+  }
+
+  // The venue's latest scrape run that synced sessions
+  async _lastScrape(venue) {
+    const { data, error } = await this.supabase
+      .from('scrape_runs')
+      .select('finished_at, weeks')
+      .eq('venue', venue)
+      .in('status', ['ok', 'degraded'])
+      .order('finished_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async _fromDatabase(venue, startISO, endISO) {
+    const { data, error } = await this.supabase
+      .from('sessions')
+      .select('*')
+      .eq('venue', venue)
+      .eq('is_active', true)
+      .gte('date', startISO)
+      .lte('date', endISO)
+
+    if (error) throw error
+
+    const rows = data || []
+    const latest = Math.max(...rows.map(row => new Date(row.last_updated).getTime()).filter(Boolean))
+    return {
+      sessions: rows.map(fromSessionRow).sort(byStart),
+      updatedAt: rows.length > 0 && latest > 0 ? new Date(latest).toISOString() : null
+    }
+  }
+}
+
+module.exports = ScheduleRepository
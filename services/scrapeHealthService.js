@@ -0,0 +1,152 @@
+const { toHTML, parseChatIds } = require('../utils/telegram-helpers')
+const logger = require('../utils/logger').child('ScrapeHealth')
+
+// A week whose session count falls below this share of the previous run counts as a sharp drop
+const COUNT_DROP_RATIO = 0.5
+// Weeks with fewer sessions than this last run are too small to judge a drop on
+const MIN_SESSIONS_FOR_DROP = 10
+
+class ScrapeHealthService {
+  constructor(supabase, bot, options = {}) {
+    this.supabase = supabase
+    this.bot = bot
+    this.adminChatIds = options.adminChatIds || parseChatIds(process.env.ADMIN_CHAT_IDS)
+  }
+
+  /**
+   * Store the health of one venue's scrape and alert admins when the parser looks off.
+   * `weeks` are the scraper's weekReports; `error` is the scrape error, if any.
+   */
+  async recordRun({ venue, startedAt, weeks = [], error = null }) {
+    const previous = await this.getLastRun(venue)
+    const alerts = this.evaluate(weeks, previous, error)
+
+    const run = {
+      venue,
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      status: error || weeks.length === 0 ? 'failed' : alerts.length > 0 ? 'degraded' : 'ok',
+      sessions_total: weeks.reduce((sum, week) => sum + (week.sessions || 0), 0),
+      skipped_total: weeks.reduce((sum, week) => sum + (week.skipped || 0), 0),
+      parser_fallback: weeks.some(week => week.parser === 'text'),
+      weeks,
+      error: error ? error.message : null,
+      alerts
+    }
+
+    const { error: insertError } = await this.supabase
+      .from('scrape_runs')
+      .insert(run)
+
+    if (insertError) {
+      logger.error('Failed to record scrape run:', insertError)
+    }
+
+    if (alerts.length > 0) {
+      await this.notifyAdmins(venue, alerts)
+    }
+
+    return run
+  }
+
+  async getLastRun(venue) {
+    const { data, error } = await this.supabase
+      .from('scrape_runs')
+      .select('*')
+      .eq('venue', venue)
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) {
+      logger.warn('Could not load previous scrape run:', error)
+      return null
+    }
+    return data
+  }
+
+  async getRecentRuns(limit = 20) {
+    const { data, error } = await this.supabase
+      .from('scrape_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Alert lines for a run: zero sessions, text fallback, sharp per-week drops and fetch errors.
+   * A failed probe week (the one past the last published week) is only alerted on when the
+   * previous run had sessions for it, i.e. when it was expected to exist.
+   */
+  evaluate(weeks, previous, error = null) {
+    const alerts = []
+
+    if (error) {
+      alerts.push(`Scrape failed: ${error.message}`)
+    }
+
+    const total = weeks.reduce((sum, week) => sum + (week.sessions || 0), 0)
+    if (!error && total === 0) {
+      alerts.push('Scrape returned zero sessions')
+    }
+
+    const previousWeeks = new Map((previous?.weeks || []).map(week => [week.week, week]))
+
+    for (const week of weeks) {
+      if (week.error) {
+        if (week.probe && !(previousWeeks.get(week.week)?.sessions > 0)) continue
+        alerts.push(`Week of ${week.week}: fetch failed (HTTP ${week.http_status || 'n/a'}, ${week.attempts} attempts)`)
+        continue
+      }
+
+      if (week.stale) {
+        alerts.push(`Week of ${week.week}: site unavailable, served the last good page`)
+      }
+
+      if (week.parser === 'text') {
+        alerts.push(`Week of ${week.week}: structured data missing, fell back to text parsing`)
+      }
+
+      const before = previousWeeks.get(week.week)?.sessions || 0
+      if (before >= MIN_SESSIONS_FOR_DROP && week.sessions < before * COUNT_DROP_RATIO) {
+        alerts.push(`Week of ${week.week}: sessions dropped from ${before} to ${week.sessions}`)
+      }
+    }
+
+    return alerts
+  }
+
+  formatAlert(venue, alerts) {
+    let message = `🩺 <b>Scrape health alert</b>\n📍 ${toHTML(venue)}\n\n`
+    alerts.forEach(alert => {
+      message += `• ${toHTML(alert)}\n`
+    })
+    return message
+  }
+
+  async notifyAdmins(venue, alerts) {
+    if (this.adminChatIds.length === 0) {
+      logger.warn(`Scrape health alerts for ${venue} (no ADMIN_CHAT_IDS configured):`, alerts)
+      return 0
+    }
+
+    const message = this.formatAlert(venue, alerts)
+    let sent = 0
+
+    for (const chatId of this.adminChatIds) {
+      try {
+        await this.bot.telegram.sendMessage(chatId, message, { parse_mode: 'HTML' })
+        sent++
+      } catch (error) {
+        logger.error(`Failed to send scrape health alert to ${chatId}:`, error.message)
+      }
+    }
+
+    return sent
+  }
+}
+
+module.exports = ScrapeHealthService
@@ -0,0 +1,274 @@
+const { randomUUID } = require('crypto')
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { sessionKey, toSessionRow } = require('../lib/session-record')
+const { DEFAULT_VENUE } = require('../lib/venues')
+const logger = require('../utils/logger').child('SessionChanges')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const TZ = 'Europe/London'
+
+// Postgres returns time columns as HH:MM:SS, the scraper uses HH:MM
+const hhmm = (time) => String(time || '').slice(0, 5)
+const slotKey = (row) => `${row.date}|${hhmm(row.start_time)}|${row.side}`
+const nameKey = (row) => `${row.date}|${row.side}|${row.session_name}`
+
+class SessionChangeService {
+  constructor(supabase) {
+    this.supabase = supabase
+  }
+
+  /**
+   * Diff freshly scraped rows against the rows already stored for the same date range.
+   *
+   * Returns the change records to write to session_changes (each carrying the scraped
+   * `session` object for the notification layer), the rows to upsert, the IDs of stored rows
+   * that should be deactivated and the session_aliases to record. Stored rows that have
+   * already started are never treated as cancelled, since the site stops listing them once
+   * they are under way.
+   *
+   * A session renamed in its slot, or moved to another time on the same day under the same
+   * name, keeps its stored ID: its new canonical key becomes an alias of that ID, so watches
+   * and sent notifications stay attached. `aliases` maps keys linked before to their IDs.
+   */
+  detectChanges(storedRows, scrapedSessions, now = dayjs().tz(TZ), aliases = new Map()) {
+    const stored = new Map(storedRows.map(row => [row.id, row]))
+    const scraped = new Map()
+    for (const session of scrapedSessions) {
+      const row = toSessionRow(session)
+      row.id = aliases.get(row.id) || row.id
+      if (!scraped.has(row.id)) scraped.set(row.id, { row, session })
+    }
+
+    const changes = []
+    const added = []
+
+    for (const { row, session } of scraped.values()) {
+      const previous = stored.get(row.id)
+
+      if (!previous) {
+        added.push({ row, session })
+        continue
+      }
+
+      if (previous.is_active === false) {
+        changes.push(this._change(row, 'reinstated', session, { old_spots: null, new_spots: row.spots_available }))
+      }
+      changes.push(...this._diff(previous, row, session))
+    }
+
+    // Active rows the site no longer lists, ignoring sessions that have already started
+    const vanished = storedRows.filter(row =>
+      row.is_active !== false &&
+      !scraped.has(row.id) &&
+      dayjs.tz(`${row.date} ${hhmm(row.start_time)}`, TZ).isAfter(now)
+    )
+
+    // A vanished row and a new row in the same date/time/side slot is a rename; with the same
+    // date, side and name at another time it's a retime. Either way it's the same session.
+    const linked = new Set()
+    for (const [reason, keyOf] of [['renamed', slotKey], ['retimed', nameKey]]) {
+      const unlinked = vanished.filter(row => !linked.has(row.id))
+      const candidates = added.filter(entry => !entry.previous)
+
+      for (const previous of unlinked) {
+        const key = keyOf(previous)
+        const matches = candidates.filter(({ row }) => keyOf(row) === key)
+        if (matches.length !== 1 || unlinked.filter(row => keyOf(row) === key).length !== 1) continue
+
+        Object.assign(matches[0], { previous, reason })
+        linked.add(previous.id)
+      }
+    }
+
+    const newAliases = []
+    for (const { row, session, previous, reason } of added) {
+      if (!previous) {
+        changes.push(this._change(row, 'new', session, { old_spots: null, new_spots: row.spots_available }))
+        continue
+      }
+
+      newAliases.push({ alias_key: row.id, session_id: previous.id, reason })
+      row.id = previous.id
+      changes.push(...this._diff(previous, row, session))
+    }
+
+    for (const row of vanished) {
+      if (linked.has(row.id)) continue
+      changes.push(this._change(row, 'cancelled', null, { old_spots: row.spots_available ?? 0, new_spots: 0, old_value: row.session_name }))
+    }
+
+    return {
+      changes,
+      rows: [...scraped.values()].map(({ row }) => row),
+      deactivateIds: vanished.filter(row => !linked.has(row.id)).map(row => row.id),
+      aliases: newAliases
+    }
+  }
+
+  /**
+   * Store a scrape: upsert the scraped sessions, deactivate the ones that vanished
+   * and record every detected change in session_changes.
+   * Scoped to one venue, so a scrape of one venue never cancels another venue's sessions.
+   */
+  async syncSessions(sessions, { days = 14, now = dayjs().tz(TZ), venue = DEFAULT_VENUE } = {}) {
+    const from = now.format('YYYY-MM-DD')
+    const to = now.add(days, 'day').format('YYYY-MM-DD')
+    const updatedAt = new Date().toISOString()
+
+    const { data: storedRows, error: storedError } = await this.supabase
+      .from('sessions')
+      .select('id, venue, date, start_time, session_name, level, side, spots_available, is_active')
+      .eq('venue', venue)
+      .gte('date', from)
+      .lte('date', to)
+
+    if (storedError) throw storedError
+
+    // An empty scrape almost always means the site or the parser failed, not that
+    // every session was cancelled - only upsert, never deactivate, in that case
+    if (sessions.length === 0) {
+      logger.warn('Empty scrape - skipping change detection', { venue, from, to, stored: storedRows?.length || 0 })
+      return { changes: [], upserted: 0, deactivated: 0 }
+    }
+
+    const aliases = await this.loadAliases(sessions)
+    const { changes, rows, deactivateIds, aliases: newAliases } = this.detectChanges(storedRows || [], sessions, now, aliases)
+    rows.forEach(row => { row.last_updated = updatedAt })
+
+    const { error: upsertError } = await this.supabase
+      .from('sessions')
+      .upsert(rows, { onConflict: 'id' })
+
+    if (upsertError) throw upsertError
+
+    if (deactivateIds.length > 0) {
+      const { error: deactivateError } = await this.supabase
+        .from('sessions')
+        .update({ is_active: false, last_updated: updatedAt })
+        .in('id', deactivateIds)
+
+      if (deactivateError) throw deactivateError
+    }
+
+    if (newAliases.length > 0) {
+      const { error: aliasError } = await this.supabase
+        .from('session_aliases')
+        .upsert(newAliases, { onConflict: 'alias_key' })
+
+      if (aliasError) throw aliasError
+    }
+
+    await this.moveWatches(changes)
+
+    if (changes.length > 0) {
+      const { error: changesError } = await this.supabase
+        .from('session_changes')
+        .insert(changes.map(({ session, ...change }) => ({ ...change, detected_at: updatedAt })))
+
+      if (changesError) throw changesError
+    }
+
+    logger.info('Sessions synced', {
+      venue,
+      upserted: rows.length,
+      deactivated: deactivateIds.length,
+      linked: newAliases.length,
+      changes: this.summarise(changes)
+    })
+
+    return { changes, upserted: rows.length, deactivated: deactivateIds.length }
+  }
+
+  /**
+   * Watches expire when their session starts, so a retimed session moves its watches'
+   * expires_at to the new start time
+   */
+  async moveWatches(changes) {
+    for (const change of changes.filter(c => c.change_type === 'time_changed')) {
+      const expiresAt = dayjs.tz(`${change.session_date} ${change.new_value}`, TZ).toISOString()
+      const { error } = await this.supabase
+        .from('session_watches')
+        .update({ expires_at: expiresAt })
+        .eq('session_id', change.session_id)
+
+      if (error) throw error
+    }
+  }
+
+  /**
+   * Stored IDs of scraped sessions that were linked to an earlier identity, by canonical key
+   */
+  async loadAliases(sessions) {
+    const keys = [...new Set(sessions.map(session => session.key || sessionKey(session)))]
+    const { data, error } = await this.supabase
+      .from('session_aliases')
+      .select('alias_key, session_id')
+      .in('alias_key', keys)
+
+    if (error) {
+      logger.warn('Could not load session aliases:', error.message)
+      return new Map()
+    }
+    return new Map((data || []).map(alias => [alias.alias_key, alias.session_id]))
+  }
+
+  /**
+   * Count changes per type, e.g. { new: 3, spots_decreased: 12 }
+   */
+  summarise(changes) {
+    return changes.reduce((counts, change) => {
+      counts[change.change_type] = (counts[change.change_type] || 0) + 1
+      return counts
+    }, {})
+  }
+
+  // Changes between a stored row and the scraped row for the same session
+  _diff(previous, row, session) {
+    const changes = []
+
+    const oldSpots = previous.spots_available ?? 0
+    if (row.spots_available > oldSpots) {
+      changes.push(this._change(row, 'spots_increased', session, { old_spots: oldSpots, new_spots: row.spots_available }))
+    } else if (row.spots_available < oldSpots) {
+      changes.push(this._change(row, 'spots_decreased', session, { old_spots: oldSpots, new_spots: row.spots_available }))
+    }
+
+    if (previous.session_name !== row.session_name) {
+      changes.push(this._change(row, 'name_changed', session, { old_value: previous.session_name, new_value: row.session_name }))
+    }
+    if (hhmm(previous.start_time) !== row.start_time) {
+      changes.push(this._change(row, 'time_changed', session, { old_value: hhmm(previous.start_time), new_value: row.start_time }))
+    }
+    if (previous.level !== row.level) {
+      changes.push(this._change(row, 'level_changed', session, { old_value: previous.level, new_value: row.level }))
+    }
+    return changes
+  }
+
+  // `row` is the session as stored or scraped; its date, time and name are copied onto the
+  // change so the history outlives the session row (session_id goes NULL when it's cleaned up)
+  // The ID is assigned here so alerts can claim a change before it's read back
+  _change(row, changeType, session, values) {
+    return {
+      id: randomUUID(),
+      session_id: row.id,
+      venue: row.venue || null,
+      session_date: row.date,
+      start_time: hhmm(row.start_time),
+      session_name: row.session_name,
+      change_type: changeType,
+      old_spots: null,
+      new_spots: null,
+      old_value: null,
+      new_value: null,
+      ...values,
+      session
+    }
+  }
+}
+
+module.exports = SessionChangeService
@@ -0,0 +1,121 @@
+const crypto = require('crypto')
+const zlib = require('zlib')
+const logger = require('../utils/logger').child('Snapshots')
+
+// Snapshots older than this are pruned by the cleanup cron
+const RETENTION_DAYS = 90
+
+const contentHash = (body) => crypto.createHash('sha256').update(body).digest('hex')
+
+/**
+ * Archive of raw schedule pages exactly as fetched, so a past parse can be reproduced.
+ * Pages are gzipped (base64 in `content_gz`) and stored once per venue, week and content hash;
+ * refetching an unchanged page keeps the original fetch time.
+ */
+class SnapshotArchive {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.retentionDays = options.retentionDays ?? RETENTION_DAYS
+  }
+
+  async store({ venue, week, body, httpStatus = null, fetchedAt = new Date().toISOString() }) {
+    const raw = typeof body === 'string' ? body : JSON.stringify(body)
+    const compressed = zlib.gzipSync(raw)
+
+    const { error } = await this.supabase
+      .from('schedule_snapshots')
+      .upsert({
+        venue,
+        week,
+        fetched_at: fetchedAt,
+        http_status: httpStatus,
+        content_hash: contentHash(raw),
+        size_bytes: Buffer.byteLength(raw),
+        content_gz: compressed.toString('base64')
+      }, { onConflict: 'venue,week,content_hash', ignoreDuplicates: true })
+
+    if (error) {
+      logger.warn(`Could not archive ${venue} week ${week}:`, error.message)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Snapshot metadata, newest first
+   */
+  async list({ venue = null, week = null, limit = 50 } = {}) {
+    let query = this.supabase
+      .from('schedule_snapshots')
+      .select('id, venue, week, fetched_at, http_status, content_hash, size_bytes')
+
+    if (venue) query = query.eq('venue', venue)
+    if (week) query = query.eq('week', week)
+
+    const { data, error } = await query
+      .order('fetched_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * A snapshot with its page decompressed into `body`
+   */
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from('schedule_snapshots')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error(`Snapshot ${id} not found`)
+
+    const { content_gz: contentGz, ...snapshot } = data
+    return { ...snapshot, body: zlib.gunzipSync(Buffer.from(contentGz, 'base64')).toString('utf8') }
+  }
+
+  async prune() {
+    const cutoff = new Date()
+    cutoff.setDate(cutoff.getDate() - this.retentionDays)
+
+    const { error, count } = await this.supabase
+      .from('schedule_snapshots')
+      .delete({ count: 'exact' })
+      .lt('fetched_at', cutoff.toISOString())
+
+    if (error) throw error
+    return count || 0
+  }
+}
+
+/**
+ * Session-level diff between two parses: added, removed and changed (level, side, spots)
+ */
+function diffSessions(before, after) {
+  const key = s => `${s.dateISO} ${s.time24} ${s.session_name}`
+  const previous = new Map(before.map(s => [key(s), s]))
+  const current = new Map(after.map(s => [key(s), s]))
+
+  const added = after.filter(s => !previous.has(key(s)))
+  const removed = before.filter(s => !current.has(key(s)))
+  const changed = []
+
+  for (const [k, s] of current) {
+    const old = previous.get(k)
+    if (!old) continue
+    const fields = ['level', 'side', 'spots_available'].filter(field => old[field] !== s[field])
+    if (fields.length > 0) {
+      changed.push({ key: k, changes: fields.map(field => ({ field, from: old[field], to: s[field] })) })
+    }
+  }
+
+  return { added, removed, changed }
+}
+
+SnapshotArchive.contentHash = contentHash
+SnapshotArchive.diffSessions = diffSessions
+
+module.exports = SnapshotArchive
@@ -0,0 +1,238 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { Markup } = require('telegraf')
+const { DEFAULT_VENUE, getVenue } = require('../lib/venues')
+const { toHTML } = require('../utils/telegram-helpers')
+const logger = require('../utils/logger').child('Watchlist')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const TZ = 'Europe/London'
+const UNIQUE_VIOLATION = '23505'
+
+// Changes a watcher hears about
+const WATCHED_CHANGES = ['spots_increased', 'spots_decreased', 'cancelled', 'reinstated']
+
+class WatchlistService {
+  constructor(supabase, bot) {
+    this.supabase = supabase
+    this.bot = bot
+  }
+
+  /**
+   * Find a stored session from the session key used in callback data. A session that was
+   * renamed or retimed is stored under its earlier key, with the new one as an alias.
+   */
+  async resolveSession(key) {
+    const { data: row, error } = await this.supabase
+      .from('sessions')
+      .select('*')
+      .eq('id', key)
+      .maybeSingle()
+
+    if (error) throw error
+    if (row) return row
+
+    const { data: alias, error: aliasError } = await this.supabase
+      .from('session_aliases')
+      .select('sessions (*)')
+      .eq('alias_key', key)
+      .maybeSingle()
+
+    if (aliasError) throw aliasError
+    return alias?.sessions || null
+  }
+
+  /**
+   * Active (not yet started) watches for a user, soonest first
+   */
+  async getUserWatches(userId) {
+    const { data, error } = await this.supabase
+      .from('session_watches')
+      .select(`
+        id,
+        session_id,
+        expires_at,
+        sessions (date, start_time, session_name, spots_available, is_active, book_url)
+      `)
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async isWatching(userId, sessionId) {
+    const { data } = await this.supabase
+      .from('session_watches')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('session_id', sessionId)
+      .maybeSingle()
+
+    return data || null
+  }
+
+  /**
+   * Watch or unwatch a stored session. Watches expire when the session starts.
+   */
+  async toggleWatch(userId, sessionRow) {
+    const existing = await this.isWatching(userId, sessionRow.id)
+
+    if (existing) {
+      await this.removeWatch(userId, existing.id)
+      return { watching: false }
+    }
+
+    const startsAt = dayjs.tz(`${sessionRow.date} ${String(sessionRow.start_time).slice(0, 5)}`, TZ)
+    if (!startsAt.isAfter(dayjs())) {
+      throw new Error('Session has already started')
+    }
+
+    const { error } = await this.supabase
+      .from('session_watches')
+      .insert({
+        user_id: userId,
+        session_id: sessionRow.id,
+        expires_at: startsAt.toISOString()
+      })
+
+    if (error) throw error
+    return { watching: true }
+  }
+
+  async removeWatch(userId, watchId) {
+    const { error } = await this.supabase
+      .from('session_watches')
+      .delete()
+      .eq('id', watchId)
+      .eq('user_id', userId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Remove watches for sessions that have started
+   */
+  async expireWatches() {
+    const { error, count } = await this.supabase
+      .from('session_watches')
+      .delete({ count: 'exact' })
+      .lte('expires_at', new Date().toISOString())
+
+    if (error) throw error
+    return count || 0
+  }
+
+  /**
+   * Tell watchers about spot changes and cancellations on their sessions.
+   * Takes the changes returned by SessionChangeService.syncSessions.
+   */
+  async notifyWatchers(changes) {
+    const relevant = changes.filter(change => WATCHED_CHANGES.includes(change.change_type))
+    if (relevant.length === 0) return { alertsSent: 0 }
+
+    const { data: watches, error } = await this.supabase
+      .from('session_watches')
+      .select(`
+        id,
+        session_id,
+        profiles (telegram_id, notification_enabled),
+        sessions (venue, date, start_time, session_name, spots_available, book_url)
+      `)
+      .in('session_id', [...new Set(relevant.map(change => change.session_id))])
+      .gt('expires_at', new Date().toISOString())
+
+    if (error) throw error
+
+    let alertsSent = 0
+    for (const watch of watches || []) {
+      if (!watch.profiles?.notification_enabled) continue
+
+      for (const change of relevant.filter(c => c.session_id === watch.session_id)) {
+        try {
+          if (!(await this._claim(watch, change))) continue
+          await this._sendWatchAlert(watch, change)
+          alertsSent++
+        } catch (sendError) {
+          logger.error(`Failed to send watch alert to ${watch.profiles.telegram_id}`, { error: sendError.message })
+        }
+      }
+    }
+
+    logger.info(`Watch alerts complete: ${alertsSent} sent`)
+    return { alertsSent }
+  }
+
+  /**
+   * Claim a watch alert in watch_notifications, keyed on the watch and the session_changes
+   * row, so a retried scrape job can't send the same alert twice. False if already claimed.
+   */
+  async _claim(watch, change) {
+    const { error } = await this.supabase
+      .from('watch_notifications')
+      .insert({ watch_id: watch.id, change_id: change.id, sent_at: new Date().toISOString() })
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return false
+      throw error
+    }
+    return true
+  }
+
+  // Send one watch alert; the claim is released if Telegram rejects it, so a retry can send it
+  async _sendWatchAlert(watch, change) {
+    try {
+      await this.bot.telegram.sendMessage(
+        watch.profiles.telegram_id,
+        this.formatWatchAlert(change, watch.sessions),
+        {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+          reply_markup: Markup.inlineKeyboard([
+            [
+              Markup.button.callback('🙈 Unwatch', `session_unwatch_${watch.id}`),
+              Markup.button.callback('🔍 Why?', `session_why_${watch.session_id}`)
+            ]
+          ]).reply_markup
+        }
+      )
+    } catch (error) {
+      await this.supabase.from('watch_notifications').delete()
+        .eq('watch_id', watch.id)
+        .eq('change_id', change.id)
+      throw error
+    }
+  }
+
+  formatWatchAlert(change, sessionRow) {
+    const when = dayjs(sessionRow.date).format('ddd D MMM')
+    const time = String(sessionRow.start_time).slice(0, 5)
+    const venue = getVenue(sessionRow.venue || DEFAULT_VENUE)
+    const bookingUrl = sessionRow.book_url || venue.bookingUrl
+
+    const headline = {
+      spots_increased: `📈 <b>Spots went up:</b> ${change.old_spots} → ${change.new_spots}`,
+      spots_decreased: `📉 <b>Spots went down:</b> ${change.old_spots} → ${change.new_spots}`,
+      cancelled: '❌ <b>This session has been cancelled</b>',
+      reinstated: '✅ <b>This session is back on the schedule</b>'
+    }[change.change_type]
+
+    let message = `👁 <b>Watched session update</b>\n\n`
+    message += `📅 <b>${when}</b>\n`
+    message += `🕐 <b>${time}</b> ${toHTML(sessionRow.session_name)}\n\n`
+    message += `${headline}\n`
+
+    if (change.change_type !== 'cancelled') {
+      message += `\n<a href="${bookingUrl}">🏄‍♂️ <b>Book at ${toHTML(venue.shortName || venue.name)}</b></a>\n`
+    }
+
+    message += `\n<i>Use /watching to manage your watchlist</i>`
+    return message
+  }
+}
+
+module.exports = WatchlistService
@@ -0,0 +1,26 @@
+-- Record every kind of schedule change detected by the scraper, not just spot counts
+-- old_value / new_value hold the previous and current name or level for rename/reclassification changes
+
+ALTER TABLE session_changes DROP CONSTRAINT IF EXISTS session_changes_change_type_check;
+ALTER TABLE session_changes ADD CONSTRAINT session_changes_change_type_check
+  CHECK (change_type IN (
+    'new',
+    'reinstated',
+    'spots_increased',
+    'spots_decreased',
+    'cancelled',
+    'name_changed',
+    'level_changed'
+  ));
+
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS old_value text;
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS new_value text;
+
+-- Sessions are no longer wiped on every scrape, but the cleanup cron still deletes past
+-- sessions - take their change history with them
+ALTER TABLE session_changes DROP CONSTRAINT IF EXISTS session_changes_session_id_fkey;
+ALTER TABLE session_changes ADD CONSTRAINT session_changes_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_session_changes_session_detected ON session_changes(session_id, detected_at);
+CREATE INDEX IF NOT EXISTS idx_session_changes_detected_at ON session_changes(detected_at);
@@ -0,0 +1,14 @@
+-- Instant "spots just opened" alerts
+-- notifications_sent now tracks more than timed reminders: alerts have no timing and are
+-- deduplicated per user, session and notification type
+
+ALTER TABLE notifications_sent ADD COLUMN IF NOT EXISTS notification_type text NOT NULL DEFAULT 'reminder';
+
+ALTER TABLE notifications_sent DROP CONSTRAINT IF EXISTS notifications_sent_notification_type_check;
+ALTER TABLE notifications_sent ADD CONSTRAINT notifications_sent_notification_type_check
+  CHECK (notification_type IN ('reminder', 'spots_opened'));
+
+-- The existing (user_id, session_id, timing) constraint can't dedupe rows with a NULL timing
+CREATE UNIQUE INDEX IF NOT EXISTS notifications_sent_alert_uidx
+  ON notifications_sent(user_id, session_id, notification_type)
+  WHERE timing IS NULL;
@@ -0,0 +1,22 @@
+-- Per-session watchlist
+-- Users can watch any individual session, even outside their saved preferences, and get
+-- alerted on spot changes until the session starts (expires_at)
+
+CREATE TABLE IF NOT EXISTS session_watches (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    session_id text NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    expires_at timestamptz NOT NULL,
+    created_at timestamptz DEFAULT NOW(),
+    UNIQUE(user_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_watches_session_id ON session_watches(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_watches_expires_at ON session_watches(expires_at);
+
+ALTER TABLE session_watches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own watches" ON session_watches
+    FOR ALL USING (user_id IN (
+        SELECT id FROM profiles WHERE telegram_id = current_setting('app.telegram_id', true)::bigint
+    ));
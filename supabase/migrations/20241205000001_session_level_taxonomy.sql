@@ -0,0 +1,60 @@
+-- Full session taxonomy
+-- The scraper now classifies into every session_level value and flags names it doesn't
+-- recognise as 'unclassified' instead of guessing 'intermediate'
+
+ALTER TYPE session_level ADD VALUE IF NOT EXISTS 'unclassified';
+
+-- Parent family of a finer session level (mirrors lib/session-levels.js).
+-- Users who picked a broad level keep matching its finer categories.
+CREATE OR REPLACE FUNCTION session_level_parent(level text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE level
+        WHEN 'improver_lesson' THEN 'improver'
+        WHEN 'intermediate_lesson' THEN 'intermediate'
+        WHEN 'advanced_plus' THEN 'advanced'
+        WHEN 'advanced_coaching' THEN 'advanced'
+        WHEN 'expert_turns' THEN 'expert'
+        WHEN 'expert_barrels' THEN 'expert'
+        ELSE NULL
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_users_for_session_notification(
+    session_level text,
+    session_side text, 
+    session_date date,
+    session_start_time time,
+    notification_timing_param notification_timing
+)
+RETURNS TABLE(
+    user_id uuid, 
+    telegram_id bigint,
+    notification_timings notification_timing[]
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT DISTINCT
+        p.id,
+        p.telegram_id,
+        array_agg(DISTINCT un.timing) AS notification_timings
+    FROM profiles p
+    JOIN user_levels ul ON ul.user_id = p.id
+    LEFT JOIN user_sides us ON us.user_id = p.id
+    LEFT JOIN user_days ud ON ud.user_id = p.id
+    LEFT JOIN user_time_windows utw ON utw.user_id = p.id
+    JOIN user_notifications un ON un.user_id = p.id
+    WHERE p.notification_enabled = true
+    AND un.timing = notification_timing_param
+    AND (ul.level::text = session_level OR ul.level::text = session_level_parent(session_level))
+    AND (us.side IS NULL OR us.side = session_side OR us.side = 'Any')
+    AND (ud.day_of_week IS NULL OR ud.day_of_week = EXTRACT(DOW FROM session_date))
+    AND (utw.start_time IS NULL OR utw.end_time IS NULL OR 
+         session_start_time BETWEEN utw.start_time AND utw.end_time)
+    GROUP BY p.id, p.telegram_id;
+END;
+$$;
@@ -0,0 +1,20 @@
+-- Multiple venues
+-- Sessions now come from venue adapters (lib/venues). Existing rows all belong to The Wave Bristol.
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS venue text NOT NULL DEFAULT 'the-wave-bristol';
+
+CREATE INDEX IF NOT EXISTS idx_sessions_venue_date ON sessions(venue, date);
+
+-- Venues a user wants sessions from. No rows means every venue.
+CREATE TABLE IF NOT EXISTS user_venues (
+    user_id uuid REFERENCES profiles(id) ON DELETE CASCADE,
+    venue text NOT NULL,
+    PRIMARY KEY (user_id, venue)
+);
+
+ALTER TABLE user_venues ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own venues" ON user_venues
+    FOR ALL USING (user_id IN (
+        SELECT id FROM profiles WHERE telegram_id = current_setting('app.telegram_id', true)::bigint
+    ));
@@ -0,0 +1,23 @@
+-- Scrape health monitoring
+-- One row per venue per scrape run, with a per-week breakdown (sessions, parser path, HTTP status,
+-- latency, skipped malformed entries) so parser drift can be spotted against the previous run
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    venue text NOT NULL,
+    started_at timestamptz NOT NULL,
+    finished_at timestamptz,
+    status text NOT NULL CHECK (status IN ('ok', 'degraded', 'failed')),
+    sessions_total integer NOT NULL DEFAULT 0,
+    skipped_total integer NOT NULL DEFAULT 0,
+    parser_fallback boolean NOT NULL DEFAULT false,
+    weeks jsonb NOT NULL DEFAULT '[]'::jsonb,
+    error text,
+    alerts text[] NOT NULL DEFAULT '{}',
+    created_at timestamptz DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_venue_started_at ON scrape_runs(venue, started_at DESC);
+
+-- Written and read by the service role only
+ALTER TABLE scrape_runs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,21 @@
+-- Raw schedule snapshot archive
+-- Every fetched schedule page, gzipped, so a past parse can be reproduced with
+-- scripts/snapshots.js. One row per venue, week and content hash; pruned after 90 days.
+
+CREATE TABLE IF NOT EXISTS schedule_snapshots (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    venue text NOT NULL,
+    week date NOT NULL,
+    fetched_at timestamptz NOT NULL DEFAULT NOW(),
+    http_status integer,
+    content_hash text NOT NULL,
+    size_bytes integer NOT NULL,
+    content_gz text NOT NULL, -- base64 of the gzipped page
+    UNIQUE(venue, week, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_snapshots_venue_week ON schedule_snapshots(venue, week, fetched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_schedule_snapshots_fetched_at ON schedule_snapshots(fetched_at);
+
+-- Written and read by the service role only
+ALTER TABLE schedule_snapshots ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,9 @@
+-- Richer session records
+-- The schedule markup carries more than name/time/availability: per-session booking links,
+-- prices, ticket types and other data-event-* attributes. book_url now holds the session's own
+-- booking page when the schedule links one, otherwise the venue's ticketing homepage.
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS price numeric(8,2);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ticket_type text;
+-- Every data-event-* attribute as scraped, keyed without the prefix (e.g. "wave-direction")
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS raw_attributes jsonb;
@@ -0,0 +1,16 @@
+-- Schedule releases
+-- One row per venue per schedule week, written the first time a scrape finds sessions in a
+-- week that had none stored - i.e. when a fresh block of sessions goes on sale
+
+CREATE TABLE IF NOT EXISTS schedule_releases (
+    venue text NOT NULL,
+    week date NOT NULL, -- Monday of the released week
+    session_count integer NOT NULL DEFAULT 0,
+    first_seen_at timestamptz NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (venue, week)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_releases_first_seen_at ON schedule_releases(first_seen_at DESC);
+
+-- Written and read by the service role only
+ALTER TABLE schedule_releases ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- "New week released" alerts
+-- Users opt in with a 'release' row in user_digest_preferences, next to morning and evening.
+-- release_notifications is claimed before each alert is sent, so a week is announced to a
+-- user at most once even when scrapes overlap
+
+ALTER TABLE user_digest_preferences DROP CONSTRAINT IF EXISTS user_digest_preferences_digest_type_check;
+ALTER TABLE user_digest_preferences ADD CONSTRAINT user_digest_preferences_digest_type_check
+    CHECK (digest_type IN ('morning', 'evening', 'release'));
+
+CREATE TABLE IF NOT EXISTS release_notifications (
+    user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    venue text NOT NULL,
+    week date NOT NULL, -- Monday of the released week
+    sent_at timestamptz NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, venue, week)
+);
+
+-- Written and read by the service role only
+ALTER TABLE release_notifications ENABLE ROW LEVEL SECURITY;
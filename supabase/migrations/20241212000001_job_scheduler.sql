@@ -0,0 +1,68 @@
+-- In-process job scheduler
+-- job_leases lets only one instance run each scheduled job tick: a lease is taken per tick and
+-- held until the run ends (or expires if the instance dies), and last_scheduled_for stops the
+-- same tick from running twice. job_runs keeps the history of scheduled runs.
+
+CREATE TABLE IF NOT EXISTS job_leases (
+    job_name text PRIMARY KEY,
+    holder text,
+    locked_until timestamptz,
+    last_scheduled_for timestamptz,
+    updated_at timestamptz DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_name text NOT NULL,
+    instance_id text,
+    scheduled_for timestamptz,
+    started_at timestamptz NOT NULL DEFAULT NOW(),
+    finished_at timestamptz,
+    status text NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+    result jsonb,
+    error text
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started_at ON job_runs(job_name, started_at DESC);
+
+-- Written and read by the service role only
+ALTER TABLE job_leases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
+-- Take a job's lease for one scheduled tick; true when this holder got it
+CREATE OR REPLACE FUNCTION acquire_job_lease(
+    p_job_name text,
+    p_holder text,
+    p_scheduled_for timestamptz,
+    p_lease_seconds integer DEFAULT 1800
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    acquired boolean;
+BEGIN
+    INSERT INTO job_leases (job_name, holder, locked_until, last_scheduled_for, updated_at)
+    VALUES (p_job_name, p_holder, NOW() + make_interval(secs => p_lease_seconds), p_scheduled_for, NOW())
+    ON CONFLICT (job_name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        locked_until = EXCLUDED.locked_until,
+        last_scheduled_for = EXCLUDED.last_scheduled_for,
+        updated_at = NOW()
+    WHERE (job_leases.locked_until IS NULL OR job_leases.locked_until < NOW())
+      AND (job_leases.last_scheduled_for IS NULL OR job_leases.last_scheduled_for < p_scheduled_for)
+    RETURNING true INTO acquired;
+
+    RETURN COALESCE(acquired, false);
+END;
+$$;
+
+-- Give a lease back once the run has ended, keeping the tick it ran
+CREATE OR REPLACE FUNCTION release_job_lease(p_job_name text, p_holder text)
+RETURNS void
+LANGUAGE sql
+AS $$
+    UPDATE job_leases
+    SET locked_until = NULL, holder = NULL, updated_at = NOW()
+    WHERE job_name = p_job_name AND holder = p_holder;
+$$;
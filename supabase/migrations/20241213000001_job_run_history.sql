@@ -0,0 +1,9 @@
+-- Job run history for every trigger
+-- job_runs now records runs started by cron POSTs and admins as well as the built-in
+-- scheduler, with the counts from each job's result (sessions scraped, alerts sent, rows deleted...)
+
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS trigger text NOT NULL DEFAULT 'schedule'
+    CHECK (trigger IN ('schedule', 'http', 'admin'));
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS counts jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON job_runs(started_at DESC);
@@ -0,0 +1,13 @@
+-- Background job runs
+-- Cron endpoints now start jobs in the background: a running job writes a heartbeat and its
+-- progress (users processed / total), and only one run per job may be active at a time
+
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS heartbeat_at timestamptz;
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS progress jsonb;
+
+-- Runs interrupted before this migration can never finish
+UPDATE job_runs
+SET status = 'failed', finished_at = NOW(), error = 'Abandoned: no heartbeat'
+WHERE status = 'running';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_one_running ON job_runs(job_name) WHERE status = 'running';
@@ -0,0 +1,18 @@
+-- Digest delivery log
+-- A row is claimed right before each morning/evening digest is sent, so a digest that runs
+-- twice in a day (a retried cron call, two instances) reaches each user at most once.
+-- The date is the Europe/London calendar day of the send.
+
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    digest_type text NOT NULL CHECK (digest_type IN ('morning', 'evening')),
+    delivery_date date NOT NULL,
+    sent_at timestamptz NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, digest_type, delivery_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_deliveries_date ON digest_deliveries(delivery_date);
+
+-- Written and read by the service role only
+ALTER TABLE digest_deliveries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,86 @@
+-- Canonical session keys
+-- sessions.id becomes <venue prefix>-<YYYYMMDD>-<HHMM>-<side>-<first 6 hex of md5(name)>,
+-- e.g. twb-20250911-1500-l-3f2a9c, the key the scraper emits (lib/session-record.js).
+-- Every reference to a session follows an ID change (ON UPDATE CASCADE), and session_aliases
+-- maps other keys to a stored session: the IDs rewritten here, and the new keys of sessions
+-- that were renamed or retimed, which keep their earlier ID.
+
+-- References to sessions follow a rewritten ID
+ALTER TABLE notifications_sent DROP CONSTRAINT IF EXISTS notifications_sent_session_id_fkey;
+ALTER TABLE notifications_sent ADD CONSTRAINT notifications_sent_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE user_sessions DROP CONSTRAINT IF EXISTS user_sessions_session_id_fkey;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE session_changes DROP CONSTRAINT IF EXISTS session_changes_session_id_fkey;
+ALTER TABLE session_changes ADD CONSTRAINT session_changes_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE session_watches DROP CONSTRAINT IF EXISTS session_watches_session_id_fkey;
+ALTER TABLE session_watches ADD CONSTRAINT session_watches_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE TABLE IF NOT EXISTS session_aliases (
+    alias_key text PRIMARY KEY,
+    session_id text NOT NULL REFERENCES sessions(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    reason text NOT NULL CHECK (reason IN ('legacy', 'renamed', 'retimed')),
+    created_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_aliases_session_id ON session_aliases(session_id);
+
+-- Written and read by the service role only
+ALTER TABLE session_aliases ENABLE ROW LEVEL SECURITY;
+
+-- Same key as sessionKey() in lib/session-record.js
+CREATE OR REPLACE FUNCTION session_key(p_venue text, p_date date, p_start_time time, p_side text, p_session_name text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT concat_ws('-',
+        CASE p_venue WHEN 'the-wave-bristol' THEN 'twb' ELSE p_venue END,
+        to_char(p_date, 'YYYYMMDD'),
+        to_char(p_start_time, 'HH24MI'),
+        lower(coalesce(p_side, 'A')),
+        left(md5(trim(p_session_name)), 6)
+    );
+$$;
+
+-- Rewrite existing IDs, keeping the old ones as legacy aliases. Rows whose new key is
+-- taken (two old IDs for the same session) keep their old ID.
+CREATE TEMP TABLE rekeyed ON COMMIT DROP AS
+SELECT DISTINCT ON (new_id) id AS old_id, new_id
+FROM (
+    SELECT id, session_key(venue, date, start_time, side, session_name) AS new_id, last_updated
+    FROM sessions
+) s
+WHERE id <> new_id
+  AND NOT EXISTS (SELECT 1 FROM sessions taken WHERE taken.id = s.new_id)
+ORDER BY new_id, last_updated DESC NULLS LAST;
+
+-- Inserted under the old ID, then carried to the new one by the cascade
+INSERT INTO session_aliases (alias_key, session_id, reason)
+SELECT old_id, old_id, 'legacy' FROM rekeyed
+ON CONFLICT (alias_key) DO NOTHING;
+
+UPDATE sessions
+SET id = rekeyed.new_id
+FROM rekeyed
+WHERE sessions.id = rekeyed.old_id;
+
+-- A retimed session is logged with its old and new start time
+ALTER TABLE session_changes DROP CONSTRAINT IF EXISTS session_changes_change_type_check;
+ALTER TABLE session_changes ADD CONSTRAINT session_changes_change_type_check
+  CHECK (change_type IN (
+    'new',
+    'reinstated',
+    'spots_increased',
+    'spots_decreased',
+    'cancelled',
+    'name_changed',
+    'time_changed',
+    'level_changed'
+  ));
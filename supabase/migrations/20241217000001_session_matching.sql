@@ -0,0 +1,133 @@
+-- One matching rule set
+-- session_matches_profile() mirrors lib/matching.js, which the bot, digests, reminders and
+-- alerts all use:
+--   venue - no venues picked, or the session's venue is one of them
+--   level - no levels picked, or the session's level or its family is picked
+--   side  - no sides picked, 'A' (any) picked, a bay session (side 'A'), or the session's side
+--   day   - no days picked, or the weekday of the session's date (0 = Monday, like user_days)
+--   time  - no time windows, or the whole session fits in one window
+--   spots - spots left, and at least the user's min_spots (default 1)
+-- A NULL venue, end time or spot count leaves that part of its rule out.
+-- get_matching_users() and get_users_for_session_notification() used Sunday = 0 weekdays
+-- and start-time-only windows; both now go through this function.
+
+CREATE OR REPLACE FUNCTION session_matches_profile(
+    p_profile_id uuid,
+    p_venue text,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            p_venue IS NULL
+            OR NOT EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id)
+            OR EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id AND venue = p_venue)
+        )
+        AND (
+            NOT EXISTS (SELECT 1 FROM user_levels WHERE user_id = p_profile_id)
+            OR EXISTS (
+                SELECT 1 FROM user_levels
+                WHERE user_id = p_profile_id
+                AND (level::text = p_level OR level::text = session_level_parent(p_level))
+            )
+        )
+        AND (
+            NOT EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id)
+            OR p_side = 'A'
+            OR EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id AND side IN ('A', p_side))
+        )
+        AND (
+            NOT EXISTS (SELECT 1 FROM user_days WHERE user_id = p_profile_id)
+            OR EXISTS (
+                SELECT 1 FROM user_days
+                WHERE user_id = p_profile_id
+                AND day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1
+            )
+        )
+        AND (
+            NOT EXISTS (SELECT 1 FROM user_time_windows WHERE user_id = p_profile_id)
+            OR EXISTS (
+                SELECT 1 FROM user_time_windows
+                WHERE user_id = p_profile_id
+                AND p_start_time >= start_time
+                AND coalesce(p_end_time, p_start_time) <= end_time
+            )
+        )
+        AND (
+            p_spots_available IS NULL
+            OR (
+                p_spots_available > 0
+                AND p_spots_available >= (SELECT greatest(coalesce(min_spots, 1), 1) FROM profiles WHERE id = p_profile_id)
+            )
+        );
+$$;
+
+DROP FUNCTION IF EXISTS get_matching_users(sessions);
+
+CREATE OR REPLACE FUNCTION get_matching_users(session_record sessions)
+RETURNS TABLE(
+    user_id uuid,
+    telegram_id bigint,
+    notification_timings notification_timing[]
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        p.id,
+        p.telegram_id,
+        array_agg(DISTINCT un.timing) FILTER (WHERE un.timing IS NOT NULL) AS notification_timings
+    FROM profiles p
+    LEFT JOIN user_notifications un ON un.user_id = p.id
+    WHERE p.notification_enabled = true
+    AND session_matches_profile(
+        p.id,
+        session_record.venue,
+        session_record.level::text,
+        session_record.side,
+        session_record.date,
+        session_record.start_time,
+        session_record.end_time,
+        session_record.spots_available
+    )
+    GROUP BY p.id, p.telegram_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_users_for_session_notification(
+    session_level text,
+    session_side text,
+    session_date date,
+    session_start_time time,
+    notification_timing_param notification_timing
+)
+RETURNS TABLE(
+    user_id uuid,
+    telegram_id bigint,
+    notification_timings notification_timing[]
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        p.id,
+        p.telegram_id,
+        array_agg(DISTINCT un.timing) AS notification_timings
+    FROM profiles p
+    JOIN user_notifications un ON un.user_id = p.id
+    WHERE p.notification_enabled = true
+    AND un.timing = notification_timing_param
+    AND session_matches_profile(p.id, NULL, session_level, session_side, session_date, session_start_time, NULL, NULL)
+    GROUP BY p.id, p.telegram_id;
+END;
+$$;
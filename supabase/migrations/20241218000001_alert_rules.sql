@@ -0,0 +1,145 @@
+-- Named alert rules
+-- A user can keep several rules instead of one flat preference set, e.g. "Weekday lunch:
+-- intermediate, Mon-Fri 12-14, any side" and "Weekend dawn: advanced L, Sat-Sun 6-9, 2 spots".
+-- Each rule has its own levels, sides, days, time windows, min spots and alert types.
+-- A session matches a user with active rules when any of them matches (lib/matching.js);
+-- users without rules keep matching on user_levels, user_sides, user_days,
+-- user_time_windows and profiles.min_spots. Venues stay per user.
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 40),
+    -- Empty arrays mean "any", like an empty user_* table
+    levels text[] NOT NULL DEFAULT '{}',
+    sides text[] NOT NULL DEFAULT '{}' CHECK (sides <@ ARRAY['L', 'R', 'A']),
+    days smallint[] NOT NULL DEFAULT '{}' CHECK (days <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::smallint[]),
+    -- [{"start_time": "12:00", "end_time": "14:00"}, ...]
+    time_windows jsonb NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(time_windows) = 'array'),
+    min_spots integer NOT NULL DEFAULT 1 CHECK (min_spots >= 1),
+    alert_types text[] NOT NULL DEFAULT ARRAY['digest', 'spots_opened', 'reminder', 'release']
+        CHECK (alert_types <@ ARRAY['digest', 'spots_opened', 'reminder', 'release']),
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+    updated_at timestamptz NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user_id ON alert_rules(user_id);
+
+-- Written and read by the service role only
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION session_matches_rule(
+    p_rule alert_rules,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            cardinality(p_rule.levels) = 0
+            OR p_level = ANY(p_rule.levels)
+            OR session_level_parent(p_level) = ANY(p_rule.levels)
+        )
+        AND (
+            cardinality(p_rule.sides) = 0
+            OR p_side = 'A'
+            OR 'A' = ANY(p_rule.sides)
+            OR p_side = ANY(p_rule.sides)
+        )
+        AND (
+            cardinality(p_rule.days) = 0
+            OR (EXTRACT(ISODOW FROM p_date)::int - 1) = ANY(p_rule.days)
+        )
+        AND (
+            jsonb_array_length(p_rule.time_windows) = 0
+            OR EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_rule.time_windows) w
+                WHERE p_start_time >= (w->>'start_time')::time
+                AND coalesce(p_end_time, p_start_time) <= (w->>'end_time')::time
+            )
+        )
+        AND (
+            p_spots_available IS NULL
+            OR (p_spots_available > 0 AND p_spots_available >= greatest(p_rule.min_spots, 1))
+        );
+$$;
+
+-- Same arguments as before, so get_matching_users() and
+-- get_users_for_session_notification() pick up the rules unchanged
+CREATE OR REPLACE FUNCTION session_matches_profile(
+    p_profile_id uuid,
+    p_venue text,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            p_venue IS NULL
+            OR NOT EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id)
+            OR EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id AND venue = p_venue)
+        )
+        AND CASE
+            WHEN EXISTS (SELECT 1 FROM alert_rules WHERE user_id = p_profile_id AND is_active) THEN
+                EXISTS (
+                    SELECT 1 FROM alert_rules r
+                    WHERE r.user_id = p_profile_id
+                    AND r.is_active
+                    AND session_matches_rule(r, p_level, p_side, p_date, p_start_time, p_end_time, p_spots_available)
+                )
+            ELSE
+                (
+                    NOT EXISTS (SELECT 1 FROM user_levels WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_levels
+                        WHERE user_id = p_profile_id
+                        AND (level::text = p_level OR level::text = session_level_parent(p_level))
+                    )
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id)
+                    OR p_side = 'A'
+                    OR EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id AND side IN ('A', p_side))
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_days WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_days
+                        WHERE user_id = p_profile_id
+                        AND day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1
+                    )
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_time_windows WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_time_windows
+                        WHERE user_id = p_profile_id
+                        AND p_start_time >= start_time
+                        AND coalesce(p_end_time, p_start_time) <= end_time
+                    )
+                )
+                AND (
+                    p_spots_available IS NULL
+                    OR (
+                        p_spots_available > 0
+                        AND p_spots_available >= (SELECT greatest(coalesce(min_spots, 1), 1) FROM profiles WHERE id = p_profile_id)
+                    )
+                )
+        END;
+$$;
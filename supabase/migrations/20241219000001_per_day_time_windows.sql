@@ -0,0 +1,169 @@
+-- Per-day time windows
+-- A time window can be scoped to one weekday (0 = Monday, like user_days), so "weekday
+-- evenings plus all day at the weekend" is five Mon-Fri 18:00-21:00 windows and two
+-- Sat/Sun 06:00-21:00 ones. A NULL day_of_week keeps the window on every day, as before.
+-- A session must fit one of the windows for its own weekday; lib/matching.js has the same
+-- rule. Alert rules' time_windows entries take an optional "day_of_week" too.
+
+ALTER TABLE user_time_windows
+  ADD COLUMN IF NOT EXISTS day_of_week smallint CHECK (day_of_week BETWEEN 0 AND 6);
+
+CREATE INDEX IF NOT EXISTS idx_user_time_windows_user_day ON user_time_windows(user_id, day_of_week);
+
+CREATE OR REPLACE FUNCTION session_matches_rule(
+    p_rule alert_rules,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            cardinality(p_rule.levels) = 0
+            OR p_level = ANY(p_rule.levels)
+            OR session_level_parent(p_level) = ANY(p_rule.levels)
+        )
+        AND (
+            cardinality(p_rule.sides) = 0
+            OR p_side = 'A'
+            OR 'A' = ANY(p_rule.sides)
+            OR p_side = ANY(p_rule.sides)
+        )
+        AND (
+            cardinality(p_rule.days) = 0
+            OR (EXTRACT(ISODOW FROM p_date)::int - 1) = ANY(p_rule.days)
+        )
+        AND (
+            jsonb_array_length(p_rule.time_windows) = 0
+            OR EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_rule.time_windows) w
+                WHERE (w->>'day_of_week' IS NULL OR (w->>'day_of_week')::int = EXTRACT(ISODOW FROM p_date)::int - 1)
+                AND p_start_time >= (w->>'start_time')::time
+                AND coalesce(p_end_time, p_start_time) <= (w->>'end_time')::time
+            )
+        )
+        AND (
+            p_spots_available IS NULL
+            OR (p_spots_available > 0 AND p_spots_available >= greatest(p_rule.min_spots, 1))
+        );
+$$;
+
+CREATE OR REPLACE FUNCTION session_matches_profile(
+    p_profile_id uuid,
+    p_venue text,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            p_venue IS NULL
+            OR NOT EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id)
+            OR EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id AND venue = p_venue)
+        )
+        AND CASE
+            WHEN EXISTS (SELECT 1 FROM alert_rules WHERE user_id = p_profile_id AND is_active) THEN
+                EXISTS (
+                    SELECT 1 FROM alert_rules r
+                    WHERE r.user_id = p_profile_id
+                    AND r.is_active
+                    AND session_matches_rule(r, p_level, p_side, p_date, p_start_time, p_end_time, p_spots_available)
+                )
+            ELSE
+                (
+                    NOT EXISTS (SELECT 1 FROM user_levels WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_levels
+                        WHERE user_id = p_profile_id
+                        AND (level::text = p_level OR level::text = session_level_parent(p_level))
+                    )
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id)
+                    OR p_side = 'A'
+                    OR EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id AND side IN ('A', p_side))
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_days WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_days
+                        WHERE user_id = p_profile_id
+                        AND day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1
+                    )
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_time_windows WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_time_windows
+                        WHERE user_id = p_profile_id
+                        AND (day_of_week IS NULL OR day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1)
+                        AND p_start_time >= start_time
+                        AND coalesce(p_end_time, p_start_time) <= end_time
+                    )
+                )
+                AND (
+                    p_spots_available IS NULL
+                    OR (
+                        p_spots_available > 0
+                        AND p_spots_available >= (SELECT greatest(coalesce(min_spots, 1), 1) FROM profiles WHERE id = p_profile_id)
+                    )
+                )
+        END;
+$$;
+
+-- p_time_windows entries take an optional "day_of_week"; without it a window covers every day
+CREATE OR REPLACE FUNCTION save_preferences(
+  p_user_id uuid,
+  p_levels text[],
+  p_sides text[],
+  p_days int[],
+  p_time_windows jsonb,
+  p_notifications text[]
+) RETURNS void LANGUAGE plpgsql AS $$
+BEGIN
+  DELETE FROM user_levels WHERE user_id = p_user_id;
+  DELETE FROM user_sides WHERE user_id = p_user_id;
+  DELETE FROM user_days WHERE user_id = p_user_id;
+  DELETE FROM user_time_windows WHERE user_id = p_user_id;
+  DELETE FROM user_notifications WHERE user_id = p_user_id;
+
+  IF array_length(p_levels, 1) > 0 THEN
+    INSERT INTO user_levels(user_id, level)
+      SELECT p_user_id, unnest(p_levels);
+  END IF;
+
+  IF array_length(p_sides, 1) > 0 THEN
+    INSERT INTO user_sides(user_id, side)
+      SELECT p_user_id, unnest(p_sides);
+  END IF;
+
+  IF array_length(p_days, 1) > 0 THEN
+    INSERT INTO user_days(user_id, day_of_week)
+      SELECT p_user_id, unnest(p_days);
+  END IF;
+
+  IF p_time_windows IS NOT NULL AND jsonb_array_length(p_time_windows) > 0 THEN
+    INSERT INTO user_time_windows(user_id, start_time, end_time, day_of_week)
+      SELECT p_user_id, (tw->>'start_time')::time, (tw->>'end_time')::time, (tw->>'day_of_week')::smallint
+      FROM jsonb_array_elements(p_time_windows) tw;
+  END IF;
+
+  IF array_length(p_notifications, 1) > 0 THEN
+    INSERT INTO user_notifications(user_id, timing)
+      SELECT p_user_id, unnest(p_notifications);
+  END IF;
+END;
+$$;
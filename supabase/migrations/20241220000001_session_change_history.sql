@@ -0,0 +1,24 @@
+-- Keep the schedule change history after past sessions are cleaned up
+-- The cleanup cron deletes sessions the day after they run, and the cascading foreign key
+-- took their session_changes rows with them. Each change now carries the session's venue,
+-- date, start time and name, and session_id is set to NULL when the session row goes.
+
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS venue text;
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS session_date date;
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS start_time time;
+ALTER TABLE session_changes ADD COLUMN IF NOT EXISTS session_name text;
+
+UPDATE session_changes c
+SET venue = s.venue,
+    session_date = s.date,
+    start_time = s.start_time,
+    session_name = s.session_name
+FROM sessions s
+WHERE c.session_id = s.id
+AND c.session_date IS NULL;
+
+ALTER TABLE session_changes DROP CONSTRAINT IF EXISTS session_changes_session_id_fkey;
+ALTER TABLE session_changes ADD CONSTRAINT session_changes_session_id_fkey
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_session_changes_session_date ON session_changes(session_date);
@@ -0,0 +1,14 @@
+-- Watch alert delivery claims
+-- A watch alert is claimed here before it is sent, keyed on the watch and the
+-- session_changes row it reports, so a retried scrape job can't alert a watcher twice
+-- about the same change. The claim is removed again if Telegram rejects the message.
+
+CREATE TABLE IF NOT EXISTS watch_notifications (
+    watch_id uuid NOT NULL REFERENCES session_watches(id) ON DELETE CASCADE,
+    change_id uuid NOT NULL REFERENCES session_changes(id) ON DELETE CASCADE,
+    sent_at timestamptz NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (watch_id, change_id)
+);
+
+-- Written and read by the service role only
+ALTER TABLE watch_notifications ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- "Spots just opened" once per reopening
+-- A spots_opened claim was unique per user and session, so a session that sold out and
+-- reopened a second time never alerted again. Claims now carry the session_changes row
+-- the session is reopening from (the change that left it with no spots), and are unique
+-- per user and that change.
+
+ALTER TABLE notifications_sent
+  ADD COLUMN IF NOT EXISTS change_id uuid REFERENCES session_changes(id) ON DELETE CASCADE;
+
+DROP INDEX IF EXISTS notifications_sent_alert_uidx;
+
+CREATE UNIQUE INDEX IF NOT EXISTS notifications_sent_alert_uidx
+  ON notifications_sent(user_id, session_id, notification_type, change_id)
+  WHERE timing IS NULL;
+
+-- Sell-outs are looked up by session when spots come back
+CREATE INDEX IF NOT EXISTS idx_session_changes_sold_out
+  ON session_changes(session_id, detected_at)
+  WHERE new_spots = 0;
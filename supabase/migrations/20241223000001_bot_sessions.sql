@@ -0,0 +1,18 @@
+-- Persistent bot sessions
+-- Telegraf kept ctx.session in memory, so a restart or redeploy dropped the setup wizard and
+-- any prompt waiting for a reply (a rule name, a typed time window) and the reply was then
+-- ignored. The whole session (setup wizard, pending Min Spots, prompts) is now stored here
+-- per chat and user (Telegraf's "<from id>:<chat id>" key) and expires after a week without
+-- activity; the cleanup cron deletes expired rows.
+
+CREATE TABLE IF NOT EXISTS bot_sessions (
+    key text PRIMARY KEY,
+    data jsonb NOT NULL DEFAULT '{}'::jsonb,
+    expires_at timestamptz NOT NULL,
+    updated_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_sessions_expires_at ON bot_sessions(expires_at);
+
+-- Written and read by the service role only
+ALTER TABLE bot_sessions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,126 @@
+-- Days without time windows match any time
+-- With only per-day time windows (say Saturday 06:00-09:00 and no every-day ones), every
+-- other day used to fail the time check. A window scoped to a weekday now only restricts
+-- that day: a session whose weekday has no applicable window (every-day or its own) passes,
+-- as when a user has no time windows at all. lib/matching.js has the same rule.
+
+CREATE OR REPLACE FUNCTION session_matches_rule(
+    p_rule alert_rules,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            cardinality(p_rule.levels) = 0
+            OR p_level = ANY(p_rule.levels)
+            OR session_level_parent(p_level) = ANY(p_rule.levels)
+        )
+        AND (
+            cardinality(p_rule.sides) = 0
+            OR p_side = 'A'
+            OR 'A' = ANY(p_rule.sides)
+            OR p_side = ANY(p_rule.sides)
+        )
+        AND (
+            cardinality(p_rule.days) = 0
+            OR (EXTRACT(ISODOW FROM p_date)::int - 1) = ANY(p_rule.days)
+        )
+        AND (
+            NOT EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_rule.time_windows) w
+                WHERE (w->>'day_of_week' IS NULL OR (w->>'day_of_week')::int = EXTRACT(ISODOW FROM p_date)::int - 1)
+            )
+            OR EXISTS (
+                SELECT 1 FROM jsonb_array_elements(p_rule.time_windows) w
+                WHERE (w->>'day_of_week' IS NULL OR (w->>'day_of_week')::int = EXTRACT(ISODOW FROM p_date)::int - 1)
+                AND p_start_time >= (w->>'start_time')::time
+                AND coalesce(p_end_time, p_start_time) <= (w->>'end_time')::time
+            )
+        )
+        AND (
+            p_spots_available IS NULL
+            OR (p_spots_available > 0 AND p_spots_available >= greatest(p_rule.min_spots, 1))
+        );
+$$;
+
+CREATE OR REPLACE FUNCTION session_matches_profile(
+    p_profile_id uuid,
+    p_venue text,
+    p_level text,
+    p_side text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_spots_available integer
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (
+            p_venue IS NULL
+            OR NOT EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id)
+            OR EXISTS (SELECT 1 FROM user_venues WHERE user_id = p_profile_id AND venue = p_venue)
+        )
+        AND CASE
+            WHEN EXISTS (SELECT 1 FROM alert_rules WHERE user_id = p_profile_id AND is_active) THEN
+                EXISTS (
+                    SELECT 1 FROM alert_rules r
+                    WHERE r.user_id = p_profile_id
+                    AND r.is_active
+                    AND session_matches_rule(r, p_level, p_side, p_date, p_start_time, p_end_time, p_spots_available)
+                )
+            ELSE
+                (
+                    NOT EXISTS (SELECT 1 FROM user_levels WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_levels
+                        WHERE user_id = p_profile_id
+                        AND (level::text = p_level OR level::text = session_level_parent(p_level))
+                    )
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id)
+                    OR p_side = 'A'
+                    OR EXISTS (SELECT 1 FROM user_sides WHERE user_id = p_profile_id AND side IN ('A', p_side))
+                )
+                AND (
+                    NOT EXISTS (SELECT 1 FROM user_days WHERE user_id = p_profile_id)
+                    OR EXISTS (
+                        SELECT 1 FROM user_days
+                        WHERE user_id = p_profile_id
+                        AND day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1
+                    )
+                )
+                AND (
+                    NOT EXISTS (
+                        SELECT 1 FROM user_time_windows
+                        WHERE user_id = p_profile_id
+                        AND (day_of_week IS NULL OR day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1)
+                    )
+                    OR EXISTS (
+                        SELECT 1 FROM user_time_windows
+                        WHERE user_id = p_profile_id
+                        AND (day_of_week IS NULL OR day_of_week = EXTRACT(ISODOW FROM p_date)::int - 1)
+                        AND p_start_time >= start_time
+                        AND coalesce(p_end_time, p_start_time) <= end_time
+                    )
+                )
+                AND (
+                    p_spots_available IS NULL
+                    OR (
+                        p_spots_available > 0
+                        AND p_spots_available >= (SELECT greatest(coalesce(min_spots, 1), 1) FROM profiles WHERE id = p_profile_id)
+                    )
+                )
+        END;
+$$;
@@ -0,0 +1,32 @@
+const { parseCron, nextRun } = require('../../lib/cron')
+
+describe('cron', () => {
+  const next = (expression, from) => nextRun(expression, new Date(from)).toISOString()
+
+  test.each([
+    ['*/30 * * * *', '2025-09-08T10:05:00Z', '2025-09-08T10:30:00.000Z'],
+    ['0 8 * * *', '2025-09-08T10:05:00Z', '2025-09-09T07:00:00.000Z'],
+    ['0 3 * * 0', '2025-09-08T10:05:00Z', '2025-09-14T02:00:00.000Z'],
+    ['0 9 * * 1-5', '2025-09-12T09:00:00Z', '2025-09-15T08:00:00.000Z'],
+    ['0 0 1 * *', '2025-12-08T10:05:00Z', '2026-01-01T00:00:00.000Z']
+  ])('%s after %s is %s', (expression, from, expected) => {
+    expect(next(expression, from)).toBe(expected)
+  })
+
+  test('should keep local times across clock changes', () => {
+    // 08:00 London is 07:00 UTC in summer and 08:00 UTC in winter
+    expect(next('0 8 * * *', '2025-10-25T10:00:00Z')).toBe('2025-10-26T08:00:00.000Z')
+    expect(next('0 8 * * *', '2025-03-29T10:00:00Z')).toBe('2025-03-30T07:00:00.000Z')
+  })
+
+  test('should match either day field when both are set', () => {
+    // The 13th, or any Friday
+    expect(next('0 12 13 * 5', '2025-09-06T00:00:00Z')).toBe('2025-09-12T11:00:00.000Z')
+  })
+
+  test('should reject malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('5 fields')
+    expect(() => parseCron('61 * * * *')).toThrow('minute')
+    expect(() => nextRun('0 0 31 2 *')).toThrow('never matches')
+  })
+})
@@ -0,0 +1,123 @@
+const { HttpClient, CircuitOpenError } = require('../../lib/http-client')
+
+const URL = 'https://www.thewave.com/lake-schedule/?date=2025-09-08'
+const ok = (data = 'page', headers = {}) => ({ status: 200, data, headers })
+
+describe('HttpClient', () => {
+  let http
+  let sleep
+  let clock
+
+  const client = (opts = {}) => new HttpClient({
+    http,
+    sleep,
+    now: () => clock,
+    random: () => 0.5,
+    minIntervalMs: 0,
+    ...opts
+  })
+
+  beforeEach(() => {
+    http = { get: jest.fn() }
+    sleep = jest.fn().mockResolvedValue()
+    clock = 1000000
+  })
+
+  test('should send conditional headers and reuse the page on 304', async () => {
+    http.get
+      .mockResolvedValueOnce(ok('v1', { etag: '"abc"', 'last-modified': 'Mon, 08 Sep 2025 06:00:00 GMT' }))
+      .mockResolvedValueOnce({ status: 304, data: '', headers: {} })
+    const httpClient = client()
+    const report = {}
+
+    await httpClient.get(URL)
+    const body = await httpClient.get(URL, { report })
+
+    expect(body).toBe('v1')
+    expect(report.not_modified).toBe(true)
+    expect(http.get).toHaveBeenLastCalledWith(URL, {
+      headers: { 'If-None-Match': '"abc"', 'If-Modified-Since': 'Mon, 08 Sep 2025 06:00:00 GMT' }
+    })
+  })
+
+  test('should honour Retry-After and back off with jitter otherwise', async () => {
+    http.get
+      .mockResolvedValueOnce({ status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '7' } })
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce(ok())
+    const report = {}
+
+    await client().get(URL, { report })
+
+    expect(sleep).toHaveBeenNthCalledWith(1, 7000)
+    // attempt 2: ceiling 1000ms, half fixed + half jittered
+    expect(sleep).toHaveBeenNthCalledWith(2, 750)
+    expect(report).toMatchObject({ attempts: 3, http_status: 200 })
+  })
+
+  test('should not retry client errors', async () => {
+    http.get.mockResolvedValue({ status: 404, statusText: 'Not Found', headers: {} })
+
+    await expect(client().get(URL)).rejects.toThrow('HTTP 404')
+    expect(http.get).toHaveBeenCalledTimes(1)
+  })
+
+  test('should retry responses rejected by validate', async () => {
+    http.get.mockResolvedValueOnce(ok('')).mockResolvedValueOnce(ok('full page'))
+    const validate = (data) => { if (!data) throw new Error('Minimal content') }
+
+    await expect(client().get(URL, { validate })).resolves.toBe('full page')
+  })
+
+  test('should keep to the concurrency limit and spacing', async () => {
+    let running = 0
+    let peak = 0
+    http.get.mockImplementation(async () => {
+      running++
+      peak = Math.max(peak, running)
+      await new Promise(resolve => setImmediate(resolve))
+      running--
+      return ok()
+    })
+    const httpClient = client({ maxConcurrent: 2, minIntervalMs: 1000 })
+
+    await Promise.all([1, 2, 3, 4, 5].map(week => httpClient.get(`${URL}&w=${week}`)))
+
+    expect(peak).toBe(2)
+    // The clock doesn't move, so every later start waits for its slot
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000, 3000, 4000])
+  })
+
+  describe('circuit breaker', () => {
+    test('should open after repeated failures and serve the last good page', async () => {
+      const httpClient = client({ retries: 1, failureThreshold: 2, cooldownMs: 60000 })
+      http.get.mockResolvedValueOnce(ok('good'))
+      await httpClient.get(URL)
+
+      http.get.mockResolvedValue({ status: 503, statusText: 'Service Unavailable', headers: {} })
+      await expect(httpClient.get(URL)).rejects.toThrow('HTTP 503')
+
+      const report = {}
+      await expect(httpClient.get(URL, { report })).resolves.toBe('good')
+      expect(report.stale).toBe(true)
+      expect(httpClient.status().hosts['www.thewave.com']).toMatchObject({ state: 'open', failures: 2 })
+
+      // Pages never fetched before can't be served while open
+      await expect(httpClient.get(`${URL}&w=2`)).rejects.toThrow(CircuitOpenError)
+      expect(http.get).toHaveBeenCalledTimes(3)
+    })
+
+    test('should close again after a successful trial once the cooldown has passed', async () => {
+      const httpClient = client({ retries: 1, failureThreshold: 1, cooldownMs: 60000 })
+      http.get.mockRejectedValueOnce(new Error('ECONNRESET'))
+      await expect(httpClient.get(URL)).rejects.toThrow('ECONNRESET')
+      expect(httpClient.status().hosts['www.thewave.com'].state).toBe('open')
+
+      clock += 60000
+      http.get.mockResolvedValueOnce(ok('back'))
+
+      await expect(httpClient.get(URL)).resolves.toBe('back')
+      expect(httpClient.status().hosts['www.thewave.com']).toMatchObject({ state: 'closed', failures: 0 })
+    })
+  })
+})
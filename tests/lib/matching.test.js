@@ -0,0 +1,166 @@
+const { matchSession, matchProfile, filterSessions } = require('../../lib/matching')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+
+describe('session matching', () => {
+  // 2099-09-14 is a Monday
+  const session = (overrides = {}) => ({
+    venue: 'the-wave-bristol',
+    dateISO: '2099-09-14',
+    time24: '09:00',
+    end_time24: '10:00',
+    session_name: 'Advanced Plus (L)',
+    level: 'advanced_plus',
+    side: 'Left',
+    spots_available: 3,
+    ...overrides
+  })
+
+  const profile = (overrides = {}) => ({
+    min_spots: 2,
+    user_venues: [],
+    user_levels: [{ level: 'advanced' }],
+    user_sides: [{ side: 'L' }],
+    user_days: [{ day_of_week: 0 }],
+    user_time_windows: [{ start_time: '08:00:00', end_time: '12:00:00' }],
+    ...overrides
+  })
+
+  test('should match and explain every rule', () => {
+    const { match, reasons } = matchSession(session(), profile())
+
+    expect(match).toBe(true)
+    expect(reasons.map(reason => reason.rule)).toEqual(['venue', 'level', 'side', 'day', 'time', 'spots'])
+    expect(reasons.every(reason => reason.ok)).toBe(true)
+    expect(reasons.find(reason => reason.rule === 'level').text).toBe('Advanced Plus is one of your levels')
+  })
+
+  test('should check days against the session date, not today', () => {
+    const tuesday = session({ dateISO: '2099-09-15' })
+    const { match, reasons } = matchSession(tuesday, profile())
+
+    expect(match).toBe(false)
+    expect(reasons.filter(reason => !reason.ok)).toEqual([{ rule: 'day', ok: false, text: 'Tuesday isn\'t one of your days' }])
+    expect(new WaveScheduleScraper().filterSessionsForUser([session(), tuesday], [], [], [0])).toEqual([session()])
+  })
+
+  test('should need the whole session inside a time window', () => {
+    expect(matchSession(session({ time24: '11:30', end_time24: '12:30' }), profile()).match).toBe(false)
+  })
+
+  test('should apply time windows scoped to a weekday only on that day', () => {
+    // Weekday evenings, plus all day on Saturday
+    const user = profile({
+      user_days: [],
+      user_time_windows: [
+        ...[0, 1, 2, 3, 4].map(day => ({ start_time: '18:00:00', end_time: '21:00:00', day_of_week: day })),
+        { start_time: '06:00:00', end_time: '21:00:00', day_of_week: 5 }
+      ]
+    })
+    const saturday = '2099-09-19'
+
+    expect(matchSession(session(), user).reasons.find(reason => reason.rule === 'time'))
+      .toEqual({ rule: 'time', ok: false, text: '09:00-10:00 doesn\'t fit your Monday time windows' })
+    expect(matchSession(session({ time24: '18:00', end_time24: '19:00' }), user).match).toBe(true)
+    expect(matchSession(session({ dateISO: saturday }), user).match).toBe(true)
+    expect(matchSession(session({ dateISO: '2099-09-20' }), user).reasons.find(reason => reason.rule === 'time'))
+      .toEqual({ rule: 'time', ok: true, text: 'No time windows on Sundays - any time suits you' })
+  })
+
+  test('should leave days without a window unrestricted when only per-day windows are set', () => {
+    // Saturday dawn only - the other days stay open
+    const user = profile({
+      user_days: [],
+      user_time_windows: [{ start_time: '06:00:00', end_time: '09:00:00', day_of_week: 5 }]
+    })
+
+    expect(matchSession(session(), user).match).toBe(true)
+    expect(matchSession(session({ dateISO: '2099-09-19' }), user).reasons.find(reason => reason.rule === 'time'))
+      .toEqual({ rule: 'time', ok: false, text: '09:00-10:00 doesn\'t fit your Saturday time windows' })
+    expect(matchSession(session({ dateISO: '2099-09-19', time24: '07:00', end_time24: '08:00' }), user).match).toBe(true)
+  })
+
+  test('should keep every-day windows on days without their own when per-day windows are set too', () => {
+    const user = profile({
+      user_days: [],
+      user_time_windows: [
+        { start_time: '08:00:00', end_time: '12:00:00' },
+        { start_time: '15:00:00', end_time: '18:00:00', day_of_week: 5 }
+      ]
+    })
+
+    expect(matchSession(session({ time24: '16:00', end_time24: '17:00' }), user).match).toBe(false)
+    expect(matchSession(session({ dateISO: '2099-09-19', time24: '16:00', end_time24: '17:00' }), user).match).toBe(true)
+    expect(matchSession(session({ dateISO: '2099-09-19' }), user).match).toBe(true)
+  })
+
+  test('should need spots left and at least min_spots', () => {
+    expect(matchSession(session({ spots_available: 1 }), profile()).reasons.pop())
+      .toEqual({ rule: 'spots', ok: false, text: 'Only 1 spot left (you want 2+)' })
+    expect(matchSession(session({ spots_available: 0 }), profile({ min_spots: 0 })).match).toBe(false)
+    expect(matchSession(session({ spots_available: 0 }), profile(), { skip: ['spots'] }).match).toBe(true)
+  })
+
+  test('should match everything for a user without preferences', () => {
+    const sessions = [session(), session({ side: 'Right', level: 'beginner', venue: 'elsewhere' })]
+
+    expect(filterSessions(sessions, { min_spots: 1 })).toEqual(sessions)
+  })
+
+  describe('alert rules', () => {
+    const weekdayLunch = {
+      name: 'Weekday lunch',
+      levels: ['intermediate'],
+      sides: [],
+      days: [0, 1, 2, 3, 4],
+      time_windows: [{ start_time: '12:00', end_time: '15:00' }],
+      min_spots: 1,
+      alert_types: ['digest', 'spots_opened'],
+      is_active: true
+    }
+    const weekendDawn = {
+      name: 'Weekend dawn',
+      levels: ['advanced'],
+      sides: ['L'],
+      days: [5, 6],
+      time_windows: [{ start_time: '06:00', end_time: '09:00' }],
+      min_spots: 2,
+      alert_types: ['reminder'],
+      is_active: true
+    }
+    const lunch = session({ time24: '12:00', end_time24: '13:00', session_name: 'Intermediate (R)', level: 'intermediate', side: 'Right' })
+    // 2099-09-19 is a Saturday
+    const dawn = session({ dateISO: '2099-09-19', time24: '07:00', end_time24: '08:00' })
+
+    test('should match a session that fits any active rule instead of the flat preferences', () => {
+      const user = profile({ alert_rules: [weekdayLunch, weekendDawn] })
+
+      expect(filterSessions([session(), lunch, dawn], user)).toEqual([lunch, dawn])
+
+      const { match, rules } = matchProfile(dawn, user)
+      expect(match).toBe(true)
+      expect(rules.map(rule => [rule.name, rule.match])).toEqual([['Weekday lunch', false], ['Weekend dawn', true]])
+    })
+
+    test('should only use the rules covering an alert type', () => {
+      const user = profile({ alert_rules: [weekdayLunch, weekendDawn] })
+
+      expect(filterSessions([lunch, dawn], user, { alertType: 'digest' })).toEqual([lunch])
+      expect(filterSessions([lunch, dawn], user, { alertType: 'reminder' })).toEqual([dawn])
+      expect(filterSessions([lunch, dawn], user, { alertType: 'release' })).toEqual([])
+    })
+
+    test('should apply each rule\'s own min spots and keep venues per user', () => {
+      const user = profile({ alert_rules: [weekendDawn], user_venues: [{ venue: 'the-wave-bristol' }] })
+
+      expect(matchProfile({ ...dawn, spots_available: 1 }, user).match).toBe(false)
+      expect(matchProfile({ ...dawn, venue: 'elsewhere' }, user).match).toBe(false)
+    })
+
+    test('should fall back to the flat preferences when every rule is paused', () => {
+      const user = profile({ alert_rules: [{ ...weekdayLunch, is_active: false }] })
+
+      expect(filterSessions([session(), lunch], user)).toEqual([session()])
+      expect(matchProfile(session(), user).rules[0].name).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,26 @@
+const dayjs = require('dayjs')
+const { dueReminder, reminderDueAt } = require('../../lib/reminders')
+
+describe('session reminders', () => {
+  const session = { dateISO: '2025-07-10', time24: '09:00', time: '09:00' }
+  const at = (time) => dayjs.tz(time, 'Europe/London')
+
+  test('should be due a lead time before the session, in London time', () => {
+    expect(reminderDueAt(session, '24h').toISOString()).toBe('2025-07-09T08:00:00.000Z')
+    expect(reminderDueAt(session, '1w').toISOString()).toBe('2025-07-03T08:00:00.000Z')
+  })
+
+  test('should send a reminder missed by a late run within the grace period', () => {
+    expect(dueReminder(session, ['24h'], at('2025-07-09 08:59'))).toBeNull()
+    expect(dueReminder(session, ['24h'], at('2025-07-09 09:00'))).toMatchObject({ key: '24h' })
+    expect(dueReminder(session, ['24h'], at('2025-07-09 11:30'))).toMatchObject({ key: '24h' })
+    expect(dueReminder(session, ['24h'], at('2025-07-09 12:01'))).toBeNull()
+    expect(dueReminder(session, ['24h'], at('2025-07-09 12:01'), { graceMinutes: 300 })).toMatchObject({ key: '24h' })
+  })
+
+  test('should pick the most recently due timing and nothing once the session starts', () => {
+    expect(dueReminder(session, ['1w', '24h', '2h'], at('2025-07-10 07:30'), { graceMinutes: 24 * 60 })).toMatchObject({ key: '2h' })
+    expect(dueReminder(session, ['2h'], at('2025-07-10 09:00'))).toBeNull()
+    expect(dueReminder(session, [], at('2025-07-09 09:00'))).toBeNull()
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Golden tests for the schedule parsers
+ * Every recorded page in tests/fixtures/<venue>/week-YYYY-MM-DD.html is replayed through the
+ * scraper and compared with tests/fixtures/<venue>/golden/week-YYYY-MM-DD.json.
+ *
+ * After an intended parser change, regenerate the goldens and review the diff:
+ *   UPDATE_GOLDEN=1 npx jest tests/lib/schedule-golden.test.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { listVenues } = require('../../lib/venues')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures')
+const UPDATE = process.env.UPDATE_GOLDEN === '1'
+
+const recordedWeeks = (venueId) => {
+  const dir = path.join(FIXTURES, venueId)
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^week-(\d{4}-\d{2}-\d{2})\.(html|json)$/))
+    .filter(Boolean)
+    .map(match => match[1])
+}
+
+const replay = async (venueId, week) => {
+  const scraper = new WaveScheduleScraper({ venue: venueId, replayDir: FIXTURES })
+  const monday = dayjs.tz(week, scraper.TIMEZONE)
+  return scraper._parseSchedule(await scraper._fetchWeek(monday), monday)
+}
+
+describe.each(listVenues().map(venue => venue.id))('%s golden output', (venueId) => {
+  const weeks = recordedWeeks(venueId)
+
+  if (weeks.length === 0) {
+    test.todo(`record schedule pages for ${venueId}`)
+    return
+  }
+
+  test.each(weeks)('week of %s', async (week) => {
+    const sessions = await replay(venueId, week)
+    const goldenFile = path.join(FIXTURES, venueId, 'golden', `week-${week}.json`)
+
+    if (UPDATE) {
+      fs.mkdirSync(path.dirname(goldenFile), { recursive: true })
+      fs.writeFileSync(goldenFile, JSON.stringify(sessions, null, 2) + '\n')
+    }
+
+    expect(sessions).toEqual(JSON.parse(fs.readFileSync(goldenFile, 'utf8')))
+  })
+})
+
+describe('the-wave-bristol parser edge cases', () => {
+  test('structured parser places Jan dates of a Dec week in the next year', async () => {
+    const sessions = await replay('the-wave-bristol', '2025-12-29')
+    const dates = [...new Set(sessions.map(s => s.dateISO))]
+
+    expect(dates).toEqual(['2025-12-29', '2025-12-31', '2026-01-01', '2026-01-04'])
+  })
+
+  test('text parser places Jan dates of a Dec week in the next year', async () => {
+    const sessions = await replay('the-wave-bristol', '2024-12-30')
+    const dates = [...new Set(sessions.map(s => s.dateISO))]
+
+    expect(dates).toEqual(['2024-12-30', '2024-12-31', '2025-01-01'])
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('falling back to text parsing'))
+  })
+
+  test('fully booked rows are kept with zero spots', async () => {
+    const structured = await replay('the-wave-bristol', '2025-12-29')
+    const text = await replay('the-wave-bristol', '2024-12-30')
+
+    expect(structured.find(s => s.session_name === 'Advanced (R)')).toMatchObject({ spots_available: 0, is_full: true })
+    expect(text.find(s => s.session_name === 'Intermediate (R)')).toMatchObject({ spots_available: 0, is_full: true })
+    expect(text.find(s => s.session_name === 'Advanced Plus (L)')).toMatchObject({ spots_available: 0, is_full: true })
+    expect(text.find(s => s.session_name === 'Advanced Plus (R)')).toMatchObject({ spots_available: 2 })
+  })
+
+  test('per-session booking links, prices and ticket types are kept', async () => {
+    const sessions = await replay('the-wave-bristol', '2025-09-15')
+    const byName = name => sessions.find(s => s.session_name === name)
+
+    expect(byName('Intermediate (R)')).toMatchObject({
+      booking_url: 'https://ticketing.thewave.com/ticketSale/tickets?eventId=48213',
+      price: 52,
+      ticket_type: 'Lake Session'
+    })
+    // Link wrapped around the session button
+    expect(byName('Advanced (L)').booking_url).toBe('https://ticketing.thewave.com/ticketSale/tickets?eventId=48215')
+    expect(byName('Advanced (L)').raw_attributes.colour).toBe('#0a5')
+    // Script links fall back to the venue's ticketing page
+    expect(byName('Women Only Intermediate').booking_url).toBe('https://ticketing.thewave.com/')
+  })
+
+  test('malformed and duplicate entries are dropped', async () => {
+    const sessions = await replay('the-wave-bristol', '2025-12-29')
+    const names = sessions.map(s => s.session_name)
+
+    expect(names).not.toContain('Private Hire')
+    expect(names).not.toContain('XX')
+    expect(names).not.toContain('New Year Social')
+    expect(names).not.toContain('Advanced (L)')
+    expect(names.filter(name => name === 'Intermediate (L)')).toHaveLength(1)
+  })
+})
+
+describe('replay mode', () => {
+  test('serves getSessionsInRange from recorded pages across the year boundary', async () => {
+    const scraper = new WaveScheduleScraper({ replayDir: FIXTURES })
+    scraper._fetchWithRetries = jest.fn()
+
+    const sessions = await scraper.getSessionsInRange(6, dayjs.tz('2025-12-29', scraper.TIMEZONE))
+
+    expect(scraper._fetchWithRetries).not.toHaveBeenCalled()
+    expect(sessions[0].dateISO).toBe('2025-12-29')
+    expect(sessions[sessions.length - 1].dateISO).toBe('2026-01-04')
+  })
+
+  test('fails loudly when a week was never recorded', async () => {
+    const scraper = new WaveScheduleScraper({ replayDir: FIXTURES })
+
+    await expect(scraper.getSessionsInRange(1, dayjs.tz('2030-06-03', scraper.TIMEZONE)))
+      .rejects.toThrow('No recorded page for the-wave-bristol week 2030-06-03')
+  })
+})
@@ -0,0 +1,54 @@
+const { durationMinutes, sessionSpan } = require('../../lib/session-durations')
+const { fromSessionRow } = require('../../lib/session-record')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+const ui = require('../../bot/ui')
+
+describe('session durations', () => {
+  test.each([
+    ['Advanced (L)', 'advanced', 60],
+    ['Improver Lesson', 'improver_lesson', 90],
+    ['Little Rippers', 'beginner', 45],
+    ['Sunset Social', 'unclassified', 90]
+  ])('%s lasts %i minutes', (name, level, minutes) => {
+    expect(durationMinutes(name, level)).toBe(minutes)
+  })
+
+  test('should take a venue table with name overrides before levels', () => {
+    const table = { byName: [[/barrels/i, 45]], byLevel: { expert_barrels: 75 }, defaultMinutes: 50 }
+
+    expect(durationMinutes('Expert Barrels (L)', 'expert_barrels', table)).toBe(45)
+    expect(durationMinutes('Expert Turns (L)', 'expert_turns', table)).toBe(50)
+  })
+
+  test('should prefer a stored end time', () => {
+    expect(sessionSpan({ time24: '09:00', end_time24: '09:45', session_name: 'Advanced (L)', level: 'advanced' }))
+      .toEqual({ start: 540, end: 585 })
+    expect(fromSessionRow({ date: '2025-09-08', start_time: '09:00:00', end_time: '10:30:00', side: 'A' }))
+      .toMatchObject({ end_time24: '10:30', duration_minutes: 90 })
+  })
+
+  test('should show the session as a time range', () => {
+    expect(ui.timeRange({ time: '09:00', end_time24: '10:00' })).toBe('09:00–10:00')
+    expect(ui.timeRange({ time: '09:00' })).toBe('09:00')
+  })
+
+  describe('time window matching', () => {
+    const scraper = new WaveScheduleScraper()
+    const lunch = [{ start_time: '12:00:00', end_time: '14:00:00' }]
+    const session = (time24, extra = {}) => ({ time24, session_name: 'Advanced (L)', level: 'advanced', side: 'Left', ...extra })
+
+    test('should only keep sessions that end inside the window', () => {
+      const sessions = [session('12:00'), session('13:00'), session('13:30'), session('14:00')]
+
+      const filtered = scraper.filterSessionsForUser(sessions, [], [], [], true, lunch)
+
+      expect(filtered.map(s => s.time24)).toEqual(['12:00', '13:00'])
+    })
+
+    test('should use the longer duration of lessons', () => {
+      const lesson = session('12:45', { session_name: 'Improver Lesson', level: 'improver_lesson' })
+
+      expect(scraper.filterSessionsForUser([lesson], [], [], [], true, lunch)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,68 @@
+const { classifyLevel, levelMatches, LEVEL_KEYS } = require('../../lib/session-levels')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+
+describe('session levels', () => {
+  describe('classifyLevel', () => {
+    test.each([
+      ['Expert Barrels (L)', 'expert_barrels'],
+      ['Expert Turns (R)', 'expert_turns'],
+      ['Expert (L)', 'expert'],
+      ['Advanced Plus (R)', 'advanced_plus'],
+      ['Advanced Coaching', 'advanced_coaching'],
+      ['Advanced (L)', 'advanced'],
+      ['Intermediate Lesson', 'intermediate_lesson'],
+      ['Intermediate (R)', 'intermediate'],
+      ['Improver Lesson', 'improver_lesson'],
+      ['Improver', 'improver'],
+      ['Women Only Intermediate', 'women_only'],
+      ['High Performance Coaching', 'high_performance_coaching'],
+      ['Play in the Bay', 'beginner'],
+      ['Little Rippers', 'beginner']
+    ])('%s -> %s', (name, level) => {
+      expect(classifyLevel(name)).toBe(level)
+    })
+
+    test('should flag unknown names instead of guessing', () => {
+      expect(classifyLevel('Mystery Session')).toBe('unclassified')
+      expect(classifyLevel('')).toBe('unclassified')
+    })
+
+    test('should only produce session_level enum values', () => {
+      expect([...LEVEL_KEYS, 'unclassified']).toEqual(expect.arrayContaining([
+        classifyLevel('Expert Barrels'),
+        classifyLevel('Something new')
+      ]))
+    })
+  })
+
+  describe('levelMatches', () => {
+    test('should match a whole family when the parent level is picked', () => {
+      expect(levelMatches('expert_barrels', ['expert'])).toBe(true)
+      expect(levelMatches('expert_turns', ['expert'])).toBe(true)
+    })
+
+    test('should keep finer categories apart', () => {
+      expect(levelMatches('expert_turns', ['expert_barrels'])).toBe(false)
+      expect(levelMatches('expert', ['expert_barrels'])).toBe(false)
+      expect(levelMatches('unclassified', ['intermediate'])).toBe(false)
+    })
+  })
+
+  describe('filterSessionsForUser', () => {
+    const scraper = new WaveScheduleScraper()
+    const sessions = [
+      { session_name: 'Expert Barrels (L)', level: 'expert_barrels', side: 'Left', time24: '09:00' },
+      { session_name: 'Expert Turns (L)', level: 'expert_turns', side: 'Left', time24: '10:00' }
+    ]
+
+    test('should give barrel riders barrels sessions only', () => {
+      const filtered = scraper.filterSessionsForUser(sessions, ['expert_barrels'], [], [], true)
+      expect(filtered.map(s => s.level)).toEqual(['expert_barrels'])
+    })
+
+    test('should still give broad expert picks every expert session', () => {
+      const filtered = scraper.filterSessionsForUser(sessions, ['expert'], [], [], true)
+      expect(filtered).toHaveLength(2)
+    })
+  })
+})
@@ -0,0 +1,45 @@
+const { parseTimeWindow, parseClockTime, TimeWindowError } = require('../../lib/time-window-parser')
+
+describe('time-window-parser', () => {
+  test.each([
+    ['7:30-9', '07:30', '09:00'],
+    ['07.30 to 09.00', '07:30', '09:00'],
+    ['from 12 to 14:30', '12:00', '14:30'],
+    ['between 6 and 9', '06:00', '09:00'],
+    ['1730–1930', '17:30', '19:30'],
+    ['6pm to 9pm', '18:00', '21:00'],
+    ['7-9pm', '19:00', '21:00'],
+    ['11-1pm', '11:00', '13:00'],
+    ['9-5', '09:00', '17:00'],
+    ['12-2', '12:00', '14:00'],
+    ['after 17:00', '17:00', '23:59'],
+    ['After 5pm', '17:00', '23:59'],
+    ['from 16:00', '16:00', '23:59'],
+    ['before noon', '00:00', '12:00'],
+    ['until 8:30am', '00:00', '08:30'],
+    ['18:00 - midnight', '18:00', '23:59']
+  ])('%s is %s-%s', (text, start, end) => {
+    expect(parseTimeWindow(text)).toEqual({ start_time: start, end_time: end })
+  })
+
+  test('should reject windows that end before they start', () => {
+    expect(() => parseTimeWindow('21:00-18:00')).toThrow('has to be after the start')
+    expect(() => parseTimeWindow('after 23:59')).toThrow(TimeWindowError)
+  })
+
+  test('should explain what it could not read', () => {
+    expect(() => parseTimeWindow('')).toThrow('Send a time window')
+    expect(() => parseTimeWindow('7:30')).toThrow('single time')
+    expect(() => parseTimeWindow('25:00-26:00')).toThrow('"25:00" isn\'t a time')
+    expect(() => parseTimeWindow('sometime tomorrow')).toThrow(TimeWindowError)
+  })
+
+  test('should parse single clock times', () => {
+    expect(parseClockTime('15:00')).toBe('15:00')
+    expect(parseClockTime('1500')).toBe('15:00')
+    expect(parseClockTime('3pm')).toBe('15:00')
+    expect(parseClockTime('3:30PM')).toBe('15:30')
+    expect(parseClockTime('13pm')).toBeNull()
+    expect(parseClockTime('soon')).toBeNull()
+  })
+})
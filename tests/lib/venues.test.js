@@ -0,0 +1,182 @@
+const fs = require('fs')
+const path = require('path')
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const { getVenue, listVenues, registerVenue, venueIdsFor, DEFAULT_VENUE } = require('../../lib/venues')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+const { HttpClient } = require('../../lib/http-client')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const fixture = (venue, name) =>
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', venue, name), 'utf8')
+
+describe('venue registry', () => {
+  test('should register The Wave Bristol as the default venue', () => {
+    expect(DEFAULT_VENUE).toBe('the-wave-bristol')
+    expect(listVenues().map(venue => venue.id)).toContain('the-wave-bristol')
+    expect(getVenue().name).toBe('The Wave Bristol')
+  })
+
+  test('should reject unknown venues and incomplete adapters', () => {
+    expect(() => getVenue('nowhere')).toThrow('Unknown venue: nowhere')
+    expect(() => registerVenue({ id: 'half-built', name: 'Half Built' })).toThrow('missing')
+  })
+
+  test('should read a user\'s venues, or every venue when they have picked none', () => {
+    expect(venueIdsFor({ user_venues: [{ venue: 'the-wave-bristol' }] })).toEqual(['the-wave-bristol'])
+    expect(venueIdsFor({ user_venues: [] })).toEqual(listVenues().map(venue => venue.id))
+    expect(venueIdsFor(null)).toEqual(listVenues().map(venue => venue.id))
+  })
+})
+
+describe('the-wave-bristol adapter', () => {
+  const venue = getVenue('the-wave-bristol')
+  const monday = dayjs.tz('2025-09-08', venue.timezone)
+  const html = fixture('the-wave-bristol', 'week-2025-09-08.html')
+
+  test('should build the weekly schedule URL', async () => {
+    const fetchPage = jest.fn().mockResolvedValue(html)
+
+    await venue.fetchWeek(monday, fetchPage)
+
+    expect(fetchPage).toHaveBeenCalledWith('https://www.thewave.com/lake-schedule/?date=2025-09-08')
+  })
+
+  test('should parse and normalise a saved schedule page', () => {
+    const sessions = venue.parseWeek(html, monday).map(record => venue.normalise(record, monday))
+
+    expect(sessions).toHaveLength(6)
+    expect(sessions[1]).toEqual({
+      venue: 'the-wave-bristol',
+      dateLabel: 'Mon 8th Sep',
+      dateISO: '2025-09-08',
+      time: '10:00',
+      time24: '10:00',
+      session_name: 'Advanced Plus (L)',
+      level: 'advanced_plus',
+      side: 'Left',
+      spots: 0,
+      spots_available: 0,
+      is_full: true,
+      booking_url: 'https://ticketing.thewave.com/',
+      price: null,
+      ticket_type: null,
+      raw_attributes: {
+        name: 'Advanced Plus (L)',
+        time: '10:00am',
+        date: 'Mon 8th Sep 25',
+        availability: '0',
+        'wave-direction': 'left'
+      }
+    })
+    expect(sessions.map(s => s.level)).toEqual([
+      'beginner', 'advanced_plus', 'advanced_plus', 'expert_barrels', 'expert_turns', 'unclassified'
+    ])
+  })
+
+  test('should fall back to text parsing when there are no session buttons', () => {
+    const text = '<body>Session Calendar\nSat 13th Sep\n6:00pm\nExpert Turns (R)\n1 space\n</body>'
+
+    const [session] = venue.parseWeek(text, monday).map(record => venue.normalise(record, monday))
+
+    expect(session).toMatchObject({ dateISO: '2025-09-13', time24: '18:00', side: 'Right', spots_available: 1 })
+  })
+
+  test('should ignore pages that are not a schedule', () => {
+    expect(venue.parseWeek('<body>Maintenance</body>', monday)).toEqual([])
+  })
+
+  test('should run through the scraper pipeline offline', async () => {
+    const scraper = new WaveScheduleScraper({ venue: 'the-wave-bristol' })
+    scraper._fetchWithRetries = jest.fn().mockResolvedValue(html)
+
+    const sessions = await scraper.getSessionsInRange(6, dayjs.tz('2025-09-08', venue.timezone))
+
+    expect(sessions).toHaveLength(6)
+    expect(sessions.every(s => s.venue === 'the-wave-bristol')).toBe(true)
+  })
+
+  test('should keep same-named left and right sessions at the same time apart', () => {
+    const scraper = new WaveScheduleScraper({ venue: 'the-wave-bristol' })
+    const session = { dateISO: '2025-09-08', time24: '15:00', session_name: 'Advanced', venue: 'the-wave-bristol' }
+
+    const sessions = scraper._inRange(
+      [{ ...session, side: 'Left' }, { ...session, side: 'Right' }, { ...session, side: 'Left' }],
+      dayjs.tz('2025-09-08', venue.timezone),
+      dayjs.tz('2025-09-08', venue.timezone).endOf('day')
+    )
+
+    expect(sessions.map(s => s.side)).toEqual(['Left', 'Right'])
+  })
+
+  test('should report per-week parser health', async () => {
+    const http = { get: jest.fn().mockResolvedValue({ status: 200, data: html, headers: {} }) }
+    const scraper = new WaveScheduleScraper({ venue: 'the-wave-bristol', httpClient: new HttpClient({ http, minIntervalMs: 0 }) })
+
+    await scraper.getSessionsInRange(6, dayjs.tz('2025-09-08', venue.timezone))
+
+    expect(scraper.weekReports).toEqual([
+      expect.objectContaining({ week: '2025-09-08', sessions: 6, parser: 'structured', http_status: 200, attempts: 1, skipped: 0, error: null })
+    ])
+  })
+})
+
+describe('published week discovery', () => {
+  const pages = {
+    '2025-09-08': fixture('the-wave-bristol', 'week-2025-09-08.html'),
+    '2025-09-15': fixture('the-wave-bristol', 'week-2025-09-15.html'),
+    '2025-09-22': '<html><body><p>No sessions available yet</p></body></html>'
+  }
+
+  const scraperFor = (options = {}) => {
+    const scraper = new WaveScheduleScraper({ venue: 'the-wave-bristol', ...options })
+    scraper._fetchWeek = jest.fn(async monday => {
+      const page = pages[monday.format('YYYY-MM-DD')]
+      if (page === undefined) throw new Error('Request failed with status code 503')
+      return page
+    })
+    return scraper
+  }
+
+  test('should stop at the first unpublished week', async () => {
+    const scraper = scraperFor()
+
+    const published = await scraper.getPublishedSessions({ maxWeeks: 6, startDate: dayjs.tz('2025-09-08', 'Europe/London') })
+
+    expect(scraper._fetchWeek).toHaveBeenCalledTimes(3)
+    expect(published.lastPublishedWeek).toBe('2025-09-15')
+    expect(published.through).toBe('2025-09-21')
+    expect(published.days).toBe(13)
+    expect(published.sessions.every(s => s.dateISO <= '2025-09-21')).toBe(true)
+    expect(scraper.weekReports.map(week => week.week)).toEqual(['2025-09-08', '2025-09-15', '2025-09-22'])
+    expect(scraper.weekReports.map(week => Boolean(week.probe))).toEqual([false, false, true])
+  })
+
+  test('should not look past the configured horizon', async () => {
+    const scraper = scraperFor({ horizonWeeks: '1' })
+
+    const published = await scraper.getPublishedSessions({ startDate: dayjs.tz('2025-09-08', 'Europe/London') })
+
+    expect(scraper._fetchWeek).toHaveBeenCalledTimes(1)
+    expect(published.through).toBe('2025-09-14')
+  })
+
+  test('should keep the published weeks when a later week fails', async () => {
+    const scraper = scraperFor()
+    const fetchWeek = scraper._fetchWeek
+    scraper._fetchWeek = jest.fn(async monday => {
+      if (monday.format('YYYY-MM-DD') === '2025-09-22') throw new Error('Request failed with status code 503')
+      return fetchWeek(monday)
+    })
+
+    const published = await scraper.getPublishedSessions({ maxWeeks: 6, startDate: dayjs.tz('2025-09-08', 'Europe/London') })
+
+    expect(published.through).toBe('2025-09-21')
+    expect(scraper.weekReports[2]).toMatchObject({ week: '2025-09-22', error: 'Request failed with status code 503', probe: true })
+    await expect(scraper.getPublishedSessions({ maxWeeks: 6, startDate: dayjs.tz('2025-09-01', 'Europe/London') }))
+      .rejects.toThrow('503')
+  })
+})
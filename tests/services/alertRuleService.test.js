@@ -0,0 +1,116 @@
+const AlertRuleService = require('../../services/alertRuleService')
+
+describe('AlertRuleService', () => {
+  let alertRules
+  let mockSupabase
+
+  const rule = {
+    id: '8f14e45f-ceea-467f-a0e6-1b2c3d4e5f60',
+    user_id: 'user-1',
+    name: 'Weekend dawn',
+    levels: ['advanced'],
+    sides: ['L'],
+    days: [5, 6],
+    time_windows: [{ start_time: '06:00', end_time: '09:00' }],
+    min_spots: 2,
+    alert_types: ['digest', 'spots_opened', 'reminder', 'release'],
+    is_active: true
+  }
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockReturnThis(),
+      update: jest.fn().mockReturnThis(),
+      delete: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn().mockResolvedValue({ data: rule, error: null }),
+      single: jest.fn().mockResolvedValue({ data: rule, error: null })
+    }
+    alertRules = new AlertRuleService(mockSupabase)
+  })
+
+  describe('create', () => {
+    const profile = {
+      min_spots: 2,
+      user_levels: [{ level: 'intermediate' }],
+      user_sides: [{ side: 'A' }],
+      user_days: [{ day_of_week: 0 }, { day_of_week: 1 }],
+      user_time_windows: [{ start_time: '12:00:00', end_time: '14:00:00' }]
+    }
+
+    test('should start a new rule from the user\'s current preferences', async () => {
+      mockSupabase.eq.mockResolvedValueOnce({ count: 1, error: null })
+
+      await alertRules.create('user-1', '  Weekday   lunch ', profile)
+
+      expect(mockSupabase.insert).toHaveBeenCalledWith({
+        user_id: 'user-1',
+        name: 'Weekday lunch',
+        levels: ['intermediate'],
+        sides: ['A'],
+        days: [0, 1],
+        time_windows: [{ start_time: '12:00', end_time: '14:00' }],
+        min_spots: 2
+      })
+    })
+
+    test('should refuse a duplicate name with a message for the user', async () => {
+      mockSupabase.eq.mockResolvedValueOnce({ count: 1, error: null })
+      mockSupabase.single.mockResolvedValue({ data: null, error: { code: '23505' } })
+
+      await expect(alertRules.create('user-1', 'Weekend dawn', profile))
+        .rejects.toThrow(new AlertRuleService.AlertRuleError('You already have a rule called "Weekend dawn"'))
+    })
+
+    test('should refuse empty names and more than the maximum number of rules', async () => {
+      await expect(alertRules.create('user-1', '   ')).rejects.toBeInstanceOf(AlertRuleService.AlertRuleError)
+
+      mockSupabase.eq.mockResolvedValueOnce({ count: AlertRuleService.MAX_RULES, error: null })
+      await expect(alertRules.create('user-1', 'One more')).rejects.toThrow(/up to 10 rules/)
+      expect(mockSupabase.insert).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('toggles', () => {
+    test('should add and remove values of an array column', async () => {
+      await alertRules.toggleValue('user-1', rule.id, 'days', 0)
+      expect(mockSupabase.update).toHaveBeenLastCalledWith(expect.objectContaining({ days: [5, 6, 0] }))
+
+      await alertRules.toggleValue('user-1', rule.id, 'sides', 'L')
+      expect(mockSupabase.update).toHaveBeenLastCalledWith(expect.objectContaining({ sides: [] }))
+    })
+
+    test('should reject values a column can\'t hold', async () => {
+      await expect(alertRules.toggleValue('user-1', rule.id, 'alert_types', 'weekly')).rejects.toThrow()
+      expect(mockSupabase.update).not.toHaveBeenCalled()
+    })
+
+    test('should toggle time windows whatever their seconds format', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({
+        data: { ...rule, time_windows: [{ start_time: '06:00:00', end_time: '09:00:00' }] },
+        error: null
+      })
+
+      await alertRules.toggleTimeWindow('user-1', rule.id, { start_time: '06:00', end_time: '09:00' })
+      expect(mockSupabase.update).toHaveBeenLastCalledWith(expect.objectContaining({ time_windows: [] }))
+    })
+
+    test('should keep a weekday\'s window apart from the every-day one', async () => {
+      await alertRules.toggleTimeWindow('user-1', rule.id, { start_time: '06:00', end_time: '09:00', day_of_week: 5 })
+      expect(mockSupabase.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        time_windows: [
+          { start_time: '06:00', end_time: '09:00' },
+          { start_time: '06:00', end_time: '09:00', day_of_week: 5 }
+        ]
+      }))
+    })
+
+    test('should report a rule that no longer exists', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({ data: null, error: null })
+
+      await expect(alertRules.toggleValue('user-1', rule.id, 'days', 0)).rejects.toThrow('That rule no longer exists')
+    })
+  })
+})
@@ -0,0 +1,221 @@
+const AlertService = require('../../services/alertService')
+
+describe('AlertService', () => {
+  let alertService
+  let mockSupabase
+  let mockBot
+
+  const session = {
+    dateISO: '2025-09-13', // Saturday
+    dateLabel: 'Sat 13th Sep',
+    time: '09:00',
+    time24: '09:00',
+    session_name: 'Advanced (L)',
+    level: 'advanced',
+    side: 'Left',
+    spots_available: 2,
+    booking_url: 'https://ticketing.thewave.com/'
+  }
+
+  const reopened = {
+    id: 'change-1',
+    session_id: '2025-09-13_09_00_Advanced__L_',
+    change_type: 'spots_increased',
+    old_spots: 0,
+    new_spots: 2,
+    session
+  }
+
+  const user = (overrides = {}) => ({
+    id: 'user-1',
+    telegram_id: 123,
+    min_spots: 1,
+    user_levels: [{ level: 'advanced' }],
+    user_sides: [{ side: 'L' }],
+    user_days: [{ day_of_week: 5 }],
+    user_time_windows: [{ start_time: '06:00', end_time: '12:00' }],
+    ...overrides
+  })
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockResolvedValue({ data: [user()], error: null }),
+      insert: jest.fn().mockReturnThis(),
+      delete: jest.fn().mockReturnThis(),
+      single: jest.fn().mockResolvedValue({ data: { id: 'claim-1' }, error: null })
+    }
+    mockBot = {
+      telegram: {
+        sendMessage: jest.fn().mockResolvedValue(true)
+      }
+    }
+    alertService = new AlertService(mockSupabase, mockBot)
+    jest.spyOn(alertService, 'loadSoldOuts').mockResolvedValue(new Map())
+  })
+
+  describe('sessionMatchesUser', () => {
+    test('should match on the session date rather than today', () => {
+      expect(alertService.sessionMatchesUser(session, user())).toBe(true)
+      expect(alertService.sessionMatchesUser(session, user({ user_days: [{ day_of_week: 0 }] }))).toBe(false)
+    })
+
+    test('should require at least the user min spots', () => {
+      expect(alertService.sessionMatchesUser(session, user({ min_spots: 3 }))).toBe(false)
+    })
+
+    test('should respect levels and sides', () => {
+      expect(alertService.sessionMatchesUser(session, user({ user_levels: [{ level: 'expert' }] }))).toBe(false)
+      expect(alertService.sessionMatchesUser(session, user({ user_sides: [{ side: 'R' }] }))).toBe(false)
+    })
+  })
+
+  describe('sendSpotsOpenedAlerts', () => {
+    test('should only react to spots going up', async () => {
+      const result = await alertService.sendSpotsOpenedAlerts([{ ...reopened, change_type: 'spots_decreased' }])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockSupabase.from).not.toHaveBeenCalled()
+    })
+
+    test('should ignore sessions that were never full', async () => {
+      const result = await alertService.sendSpotsOpenedAlerts([{ ...reopened, old_spots: 1 }])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should alert once spots reach the user min spots after a sell-out', async () => {
+      mockSupabase.eq.mockResolvedValue({ data: [user({ min_spots: 2 })], error: null })
+      alertService.loadSoldOuts.mockResolvedValue(new Map([[reopened.session_id, 'sold-out-1']]))
+      const climbing = { ...reopened, id: 'change-2', old_spots: 1, new_spots: 3, session: { ...session, spots_available: 3 } }
+
+      const result = await alertService.sendSpotsOpenedAlerts([climbing])
+
+      expect(result.alertsSent).toBe(1)
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ change_id: 'sold-out-1', notification_type: 'spots_opened' }))
+    })
+
+    test('should not alert again while spots stay above the user min spots', async () => {
+      mockSupabase.eq.mockResolvedValue({ data: [user({ min_spots: 2 })], error: null })
+      alertService.loadSoldOuts.mockResolvedValue(new Map([[reopened.session_id, 'sold-out-1']]))
+      const more = { ...reopened, old_spots: 2, new_spots: 4, session: { ...session, spots_available: 4 } }
+
+      const result = await alertService.sendSpotsOpenedAlerts([more])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockSupabase.insert).not.toHaveBeenCalled()
+    })
+
+    test('should key the alert on the latest sell-out so a second reopening alerts again', async () => {
+      alertService.loadSoldOuts.mockResolvedValue(new Map([[reopened.session_id, 'sold-out-2']]))
+
+      await alertService.sendSpotsOpenedAlerts([reopened])
+
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ change_id: 'sold-out-2' }))
+    })
+
+    test('should alert matching users and record the alert', async () => {
+      const result = await alertService.sendSpotsOpenedAlerts([reopened])
+
+      expect(result.alertsSent).toBe(1)
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        session_id: reopened.session_id,
+        notification_type: 'spots_opened'
+      }))
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledWith(
+        123,
+        expect.stringContaining('Spots just opened'),
+        expect.objectContaining({ parse_mode: 'HTML' })
+      )
+    })
+
+    test('should offer a Why? button for the session', async () => {
+      await alertService.sendSpotsOpenedAlerts([reopened])
+
+      const { reply_markup } = mockBot.telegram.sendMessage.mock.calls[0][2]
+      expect(reply_markup.inline_keyboard[0][0]).toMatchObject({
+        text: '🔍 Why?',
+        callback_data: `session_why_${reopened.session_id}`
+      })
+    })
+
+    test('should skip users who were already alerted', async () => {
+      mockSupabase.single.mockResolvedValue({ data: null, error: { code: '23505' } })
+
+      const result = await alertService.sendSpotsOpenedAlerts([reopened])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should release the claim when sending fails', async () => {
+      mockBot.telegram.sendMessage.mockRejectedValue(new Error('blocked'))
+
+      const result = await alertService.sendSpotsOpenedAlerts([reopened])
+
+      expect(result.results[0].status).toBe('failed')
+      expect(mockSupabase.delete).toHaveBeenCalled()
+    })
+  })
+  describe('formatSpotsOpenedMessage', () => {
+    test('should name the session\'s venue and fall back to its booking page', () => {
+      const message = alertService.formatSpotsOpenedMessage({ ...session, venue: 'the-wave-bristol', booking_url: null })
+
+      expect(message).toContain('at The Wave Bristol')
+      expect(message).toContain('href="https://ticketing.thewave.com/"')
+    })
+  })
+
+  describe('sendReleaseAlerts', () => {
+    const release = {
+      venue: 'the-wave-bristol',
+      week: '2025-09-08',
+      sessionCount: 3,
+      sessions: [
+        { ...session, dateISO: '2025-09-13', end_time24: '10:00' },
+        { ...session, dateISO: '2025-09-13', time: '10:00', time24: '10:00', end_time24: '11:00' },
+        { ...session, dateISO: '2025-09-14', session_name: 'Beginner (R)', level: 'beginner', side: 'Right' }
+      ]
+    }
+    const subscriber = (overrides = {}) => user({ user_digest_preferences: [{ digest_type: 'release' }], ...overrides })
+
+    test('should send subscribers their matching sessions grouped by day', async () => {
+      mockSupabase.eq.mockResolvedValue({ data: [subscriber(), user()], error: null })
+
+      const result = await alertService.sendReleaseAlerts([release])
+
+      expect(result.alertsSent).toBe(1)
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'user-1', venue: 'the-wave-bristol', week: '2025-09-08' }))
+      const message = mockBot.telegram.sendMessage.mock.calls[0][1]
+      expect(message).toContain('New week released')
+      expect(message).toContain('<b>Saturday 13 Sep</b>\n🕐 09:00–10:00 Advanced (L)')
+      expect(message).toContain('10:00–11:00')
+      expect(message).not.toContain('Beginner')
+      expect(message).toContain('href="https://ticketing.thewave.com/"')
+      const { reply_markup } = mockBot.telegram.sendMessage.mock.calls[0][2]
+      expect(reply_markup.inline_keyboard[0].map(button => button.text)).toEqual(['🔍 Why? Sat 09:00 Advanced (L)', '🔍 Why? Sat 10:00 Advanced (L)'])
+    })
+
+    test('should skip subscribers with nothing matching', async () => {
+      mockSupabase.eq.mockResolvedValue({ data: [subscriber({ user_levels: [{ level: 'expert' }] })], error: null })
+
+      const result = await alertService.sendReleaseAlerts([release])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should announce a week to a user only once', async () => {
+      mockSupabase.eq.mockResolvedValue({ data: [subscriber()], error: null })
+      mockSupabase.insert.mockResolvedValue({ error: { code: '23505' } })
+
+      const result = await alertService.sendReleaseAlerts([release])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+  })
+})
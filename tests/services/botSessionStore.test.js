@@ -0,0 +1,63 @@
+const BotSessionStore = require('../../services/botSessionStore')
+
+describe('BotSessionStore', () => {
+  let store
+  let mockSupabase
+
+  const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      upsert: jest.fn().mockResolvedValue({ error: null }),
+      delete: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn()
+    }
+    store = new BotSessionStore(mockSupabase)
+  })
+
+  describe('get', () => {
+    test('should return the stored session', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({ data: { data: { awaiting: { type: 'rule_name' } }, expires_at: inHours(1) }, error: null })
+
+      expect(await store.get('123:123')).toEqual({ awaiting: { type: 'rule_name' } })
+      expect(mockSupabase.eq).toHaveBeenCalledWith('key', '123:123')
+    })
+
+    test('should treat an expired session as no session', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({ data: { data: { awaiting: { type: 'rule_name' } }, expires_at: inHours(-1) }, error: null })
+
+      expect(await store.get('123:123')).toBeUndefined()
+    })
+
+    test('should treat a failed read as no session', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({ data: null, error: { message: 'timeout' } })
+
+      expect(await store.get('123:123')).toBeUndefined()
+    })
+  })
+
+  test('should upsert the session with a fresh expiry', async () => {
+    await store.set('123:123', { setup: { levels: ['advanced'] } })
+
+    const [row, options] = mockSupabase.upsert.mock.calls[0]
+    expect(options).toEqual({ onConflict: 'key' })
+    expect(row).toMatchObject({ key: '123:123', data: { setup: { levels: ['advanced'] } } })
+    expect(new Date(row.expires_at).getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000)
+  })
+
+  describe('prompts', () => {
+    test('should stop accepting a reply after the prompt TTL', () => {
+      const now = new Date('2025-09-13T09:00:00Z')
+      const awaiting = BotSessionStore.prompt({ type: 'time_window', day: 5 }, now)
+
+      expect(awaiting).toMatchObject({ type: 'time_window', day: 5 })
+      expect(BotSessionStore.isExpired(awaiting, now)).toBe(false)
+
+      const later = new Date(now.getTime() + (BotSessionStore.PROMPT_TTL_MINUTES + 1) * 60 * 1000)
+      expect(BotSessionStore.isExpired(awaiting, later)).toBe(true)
+    })
+  })
+})
@@ -13,7 +13,10 @@ describe('DigestService', () => {
       select: jest.fn().mockReturnThis(),
       eq: jest.fn().mockResolvedValue({ data: [], error: null }),
       gte: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis()
+      limit: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockReturnThis(),
+      delete: jest.fn().mockReturnThis(),
+      single: jest.fn().mockResolvedValue({ data: { id: 'delivery-1' }, error: null })
     }
 
     // Mock Telegram bot
@@ -26,11 +29,9 @@ describe('DigestService', () => {
     // Create service instance
     digestService = new DigestService(mockSupabase, mockBot)
 
-    // Mock scraper methods
-    digestService.scraper.getTodaysSessions = jest.fn().mockResolvedValue([])
-    digestService.scraper.getTomorrowsSessions = jest.fn().mockResolvedValue([])
-    digestService.scraper.getSessionsInRange = jest.fn().mockResolvedValue([])
-    digestService.scraper.filterSessionsForUser = jest.fn().mockReturnValue([])
+    // Keep the schedule offline - tests pick the matching sessions themselves
+    digestService.getSessionsForVenues = jest.fn().mockResolvedValue([])
+    jest.spyOn(digestService, 'filterSessionsForUser').mockReturnValue([])
   })
 
   describe('getDigestUsers', () => {
@@ -84,10 +85,13 @@ describe('DigestService', () => {
 
   describe('filterSessionsForUser', () => {
     test('should filter sessions based on user preferences', () => {
+      digestService.filterSessionsForUser.mockRestore()
+      const session = { venue: 'the-wave-bristol', dateISO: '2099-09-14', time24: '09:00', side: 'Left' }
       const sessions = [
-        { spots_available: 5, level: 'beginner' },
-        { spots_available: 2, level: 'intermediate' },
-        { spots_available: 0, level: 'beginner' }
+        { ...session, spots_available: 5, level: 'beginner' },
+        { ...session, spots_available: 2, level: 'beginner' },
+        { ...session, spots_available: 5, level: 'intermediate' },
+        { ...session, spots_available: 0, level: 'beginner' }
       ]
       const user = {
         min_spots: 3,
@@ -97,11 +101,6 @@ describe('DigestService', () => {
         user_time_windows: []
       }
 
-      digestService.scraper.filterSessionsForUser.mockReturnValue([
-        { spots_available: 5, level: 'beginner' },
-        { spots_available: 0, level: 'beginner' }
-      ])
-
       const filtered = digestService.filterSessionsForUser(sessions, user)
 
       expect(filtered).toHaveLength(1)
@@ -179,8 +178,8 @@ describe('DigestService', () => {
         error: null 
       })
 
-      digestService.scraper.getTodaysSessions.mockResolvedValue(mockSessions)
-      digestService.scraper.filterSessionsForUser.mockReturnValue(mockSessions)
+      digestService.getSessionsForVenues.mockResolvedValue(mockSessions)
+      digestService.filterSessionsForUser.mockReturnValue(mockSessions)
 
       const result = await digestService.sendMorningDigest()
 
@@ -208,7 +207,7 @@ describe('DigestService', () => {
         error: null 
       })
 
-      digestService.scraper.filterSessionsForUser.mockReturnValue([])
+      digestService.filterSessionsForUser.mockReturnValue([])
 
       const result = await digestService.sendMorningDigest()
 
@@ -230,7 +229,7 @@ describe('DigestService', () => {
         error: null 
       })
 
-      digestService.scraper.filterSessionsForUser.mockReturnValue([
+      digestService.filterSessionsForUser.mockReturnValue([
         { spots_available: 3 }
       ])
 
@@ -279,9 +278,8 @@ describe('DigestService', () => {
         error: null 
       })
 
-      digestService.scraper.getTomorrowsSessions.mockResolvedValue(tomorrowSessions)
-      digestService.scraper.getSessionsInRange.mockResolvedValue(upcomingSessions)
-      digestService.scraper.filterSessionsForUser
+      digestService.getSessionsForVenues.mockResolvedValue(upcomingSessions)
+      digestService.filterSessionsForUser
         .mockReturnValueOnce(tomorrowSessions)
         .mockReturnValueOnce(upcomingSessions)
 
@@ -298,6 +296,51 @@ describe('DigestService', () => {
     })
   })
 
+  describe('digest deliveries', () => {
+    const mockUser = {
+      id: '1',
+      telegram_id: 123,
+      min_spots: 1,
+      user_digest_preferences: [{ digest_type: 'morning' }]
+    }
+
+    beforeEach(() => {
+      mockSupabase.eq.mockResolvedValue({ data: [mockUser], error: null })
+      digestService.filterSessionsForUser.mockReturnValue([{ spots_available: 3 }])
+    })
+
+    test('should record the delivery for the user, type and date', async () => {
+      await digestService.sendMorningDigest()
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('digest_deliveries')
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: '1',
+        digest_type: 'morning',
+        delivery_date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+      }))
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledTimes(1)
+    })
+
+    test('should skip users who already got today\'s digest', async () => {
+      mockSupabase.single.mockResolvedValue({ data: null, error: { code: '23505' } })
+
+      const result = await digestService.sendMorningDigest()
+
+      expect(result.results).toEqual([{ telegramId: 123, status: 'skipped', reason: 'already_delivered' }])
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should release the delivery when sending fails', async () => {
+      mockBot.telegram.sendMessage.mockRejectedValue(new Error('Network error'))
+
+      const result = await digestService.sendMorningDigest()
+
+      expect(result.results[0].status).toBe('failed')
+      expect(mockSupabase.delete).toHaveBeenCalled()
+      expect(mockSupabase.eq).toHaveBeenCalledWith('id', 'delivery-1')
+    })
+  })
+
   describe('getQuickCommands', () => {
     test('should return morning quick commands', () => {
       const commands = digestService.getQuickCommands()
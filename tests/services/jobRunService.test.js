@@ -0,0 +1,138 @@
+const JobRunService = require('../../services/jobRunService')
+const ui = require('../../bot/ui')
+
+describe('JobRunService', () => {
+  let mockSupabase
+  let jobRuns
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      single: jest.fn().mockResolvedValue({ data: { id: 'run-1' }, error: null }),
+      update: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      lt: jest.fn().mockResolvedValue({ error: null }),
+      order: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue({ data: [], error: null })
+    }
+    jobRuns = new JobRunService(mockSupabase)
+  })
+
+  test('should record a run with its trigger and counts', async () => {
+    const job = {
+      name: 'cleanup-database',
+      run: jest.fn().mockResolvedValue({ success: true, deleted: { sessions: 3, watches: 1 } })
+    }
+
+    await jobRuns.run(job, {}, { trigger: 'http' })
+
+    expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ job_name: 'cleanup-database', trigger: 'http', status: 'running' }))
+    expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'succeeded',
+      counts: { deleted: { sessions: 3, watches: 1 } },
+      error: null
+    }))
+  })
+
+  test('should record a failure and rethrow it', async () => {
+    const job = { name: 'send-morning-digest', run: jest.fn().mockRejectedValue(new Error('Telegram down')) }
+
+    await expect(jobRuns.run(job, {})).rejects.toThrow('Telegram down')
+    expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error: 'Telegram down' }))
+  })
+
+  test('should still run the job when history cannot be written', async () => {
+    mockSupabase.single.mockResolvedValue({ data: null, error: { message: 'relation "job_runs" does not exist' } })
+    const job = { name: 'scrape-schedule', run: jest.fn().mockResolvedValue({ success: true }) }
+
+    await expect(jobRuns.run(job, {})).resolves.toEqual({ success: true })
+    expect(mockSupabase.update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'succeeded' }))
+  })
+
+  test('should run queued jobs in the background with their progress', async () => {
+    const job = {
+      name: 'send-morning-digest',
+      run: jest.fn(async ({ progress }) => {
+        progress({ processed: 0, total: 2 })
+        progress({ processed: 2, total: 2 })
+        return { success: true, results: [{ status: 'sent' }, { status: 'sent' }] }
+      })
+    }
+
+    const { id, done } = await jobRuns.enqueue(job, {})
+    expect(id).toBe('run-1')
+    await done
+
+    expect(mockSupabase.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: 'succeeded',
+      progress: { processed: 2, total: 2 },
+      counts: { sent: 2 },
+      result: { success: true }
+    }))
+  })
+
+  test('should refuse a second run while one is active', async () => {
+    mockSupabase.single.mockResolvedValue({ data: null, error: { code: '23505' } })
+    mockSupabase.limit.mockResolvedValue({ data: [{ id: 'run-0' }], error: null })
+    const job = { name: 'send-morning-digest', run: jest.fn() }
+
+    const attempt = jobRuns.enqueue(job, {})
+
+    await expect(attempt).rejects.toBeInstanceOf(JobRunService.JobAlreadyRunningError)
+    await expect(attempt).rejects.toMatchObject({ runId: 'run-0' })
+    expect(job.run).not.toHaveBeenCalled()
+  })
+
+  test('should refuse an overlapping run in this process even without history', async () => {
+    mockSupabase.single.mockResolvedValue({ data: null, error: { message: 'connection refused' } })
+    let finish
+    const running = new Promise(resolve => { finish = resolve })
+    const job = { name: 'send-evening-digest', run: jest.fn(() => running) }
+
+    const first = jobRuns.run(job, {})
+    await expect(new JobRunService(mockSupabase).run(job, {})).rejects.toBeInstanceOf(JobRunService.JobAlreadyRunningError)
+
+    finish({ success: true })
+    await first
+    await expect(jobRuns.run({ ...job, run: jest.fn().mockResolvedValue({ success: true }) }, {})).resolves.toEqual({ success: true })
+    expect(job.run).toHaveBeenCalledTimes(1)
+  })
+
+  test('should clear runs abandoned by a dead process before starting', async () => {
+    const job = { name: 'scrape-schedule', run: jest.fn().mockResolvedValue({ success: true }) }
+
+    await jobRuns.run(job, {})
+
+    expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error: 'Abandoned: no heartbeat' }))
+    expect(mockSupabase.lt).toHaveBeenCalledWith('heartbeat_at', expect.any(String))
+  })
+
+  test('should count numbers and result statuses', () => {
+    expect(JobRunService.countsFrom({
+      success: true,
+      sessionsScraped: 212,
+      notificationsSent: 4,
+      results: [{ status: 'sent' }, { status: 'sent' }, { status: 'failed' }]
+    })).toEqual({ sessionsScraped: 212, notificationsSent: 4, sent: 2, failed: 1 })
+  })
+
+  test('should summarise the latest runs for admins', () => {
+    const now = new Date('2025-09-08T10:15:00Z').getTime()
+    const message = ui.createJobsMessage([
+      {
+        name: 'scrape-schedule',
+        runs: [
+          { status: 'succeeded', trigger: 'schedule', started_at: '2025-09-08T10:00:00Z', finished_at: '2025-09-08T10:00:04.200Z', counts: { sessionsScraped: 212 } },
+          { status: 'failed', trigger: 'http', started_at: '2025-09-08T09:30:00Z', finished_at: '2025-09-08T09:30:01Z', counts: {}, error: 'Request failed <503>' }
+        ]
+      },
+      { name: 'cleanup-database', runs: [] }
+    ], now)
+
+    expect(message).toContain('✅ 15 min ago · 4.2s · schedule · sessionsScraped 212')
+    expect(message).toContain('❌ 45 min ago · 1.0s · http · Request failed &lt;503&gt;')
+    expect(message).toContain('<b>cleanup-database</b>\n<i>No runs recorded</i>')
+  })
+})
@@ -0,0 +1,85 @@
+const JobScheduler = require('../../services/jobScheduler')
+const { scheduledJobs } = require('../../services/jobs')
+
+describe('JobScheduler', () => {
+  const now = new Date('2025-09-08T10:05:00Z')
+  const tick = new Date('2025-09-08T10:30:00Z')
+  let mockSupabase
+  let job
+  let timers
+  let scheduler
+
+  beforeEach(() => {
+    mockSupabase = {
+      rpc: jest.fn().mockResolvedValue({ data: true, error: null }),
+      from: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      single: jest.fn().mockResolvedValue({ data: { id: 'run-1' }, error: null }),
+      update: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      lt: jest.fn().mockResolvedValue({ error: null }),
+      order: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue({ data: [], error: null })
+    }
+    job = { name: 'scrape-schedule', schedule: '*/30 * * * *', run: jest.fn().mockResolvedValue({ success: true }) }
+    timers = []
+    scheduler = new JobScheduler(mockSupabase, {
+      jobs: [job],
+      context: { digestService: {} },
+      instanceId: 'instance-a',
+      now: () => now,
+      setTimer: (fn, delay) => timers.push({ fn, delay }) && timers.length,
+      clearTimer: jest.fn()
+    })
+  })
+
+  test('should plan each job for its next cron time', () => {
+    scheduler.start()
+
+    expect(timers).toEqual([expect.objectContaining({ delay: 25 * 60 * 1000 })])
+    expect(scheduler.status()).toEqual([expect.objectContaining({ name: 'scrape-schedule', nextRunAt: tick.toISOString() })])
+  })
+
+  test('should run a tick under its lease and record the run', async () => {
+    const result = await scheduler._fire(job, tick)
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('acquire_job_lease', {
+      p_job_name: 'scrape-schedule',
+      p_holder: 'instance-a',
+      p_scheduled_for: tick.toISOString(),
+      p_lease_seconds: 1800
+    })
+    expect(job.run).toHaveBeenCalledWith({ digestService: {}, progress: expect.any(Function) })
+    expect(result).toEqual({ success: true })
+    expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ job_name: 'scrape-schedule', trigger: 'schedule', instance_id: 'instance-a', status: 'running' }))
+    expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'succeeded', result: { success: true } }))
+    expect(mockSupabase.rpc).toHaveBeenLastCalledWith('release_job_lease', { p_job_name: 'scrape-schedule', p_holder: 'instance-a' })
+  })
+
+  test('should leave the tick to the instance holding the lease', async () => {
+    mockSupabase.rpc.mockResolvedValue({ data: false, error: null })
+
+    await scheduler._fire(job, tick)
+
+    expect(job.run).not.toHaveBeenCalled()
+    expect(timers).toHaveLength(1) // the next tick is still planned
+  })
+
+  test('should record failed runs', async () => {
+    job.run.mockRejectedValue(new Error('site down'))
+
+    await scheduler._fire(job, tick)
+
+    expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error: 'site down' }))
+    expect(scheduler.running.size).toBe(0)
+  })
+
+  test('should take schedules from the environment', () => {
+    const jobs = scheduledJobs({ CRON_SCRAPE_SCHEDULE: '*/10 * * * *', CRON_CLEANUP_DATABASE: 'off' })
+
+    expect(jobs.find(j => j.name === 'scrape-schedule').schedule).toBe('*/10 * * * *')
+    expect(jobs.find(j => j.name === 'send-morning-digest').schedule).toBe('0 8 * * *')
+    expect(jobs.map(j => j.name)).not.toContain('cleanup-database')
+  })
+})
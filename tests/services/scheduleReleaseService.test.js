@@ -0,0 +1,75 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const ScheduleReleaseService = require('../../services/scheduleReleaseService')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+describe('ScheduleReleaseService', () => {
+  const now = dayjs.tz('2025-09-10 12:00', 'Europe/London')
+  const session = (dateISO, time24 = '09:00') => ({ dateISO, time24, session_name: 'Advanced (L)' })
+  let service
+  let mockSupabase
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      gte: jest.fn().mockReturnThis(),
+      lte: jest.fn(),
+      upsert: jest.fn().mockReturnThis()
+    }
+    service = new ScheduleReleaseService(mockSupabase, {})
+  })
+
+  test('should report future weeks that had nothing stored', async () => {
+    mockSupabase.lte.mockResolvedValue({ data: [{ date: '2025-09-11' }, { date: '2025-09-16' }], error: null })
+    mockSupabase.select
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: [{ venue: 'the-wave-bristol', week: '2025-09-22', session_count: 2 }], error: null })
+
+    const releases = await service.detectReleases('the-wave-bristol', [
+      session('2025-09-11'), session('2025-09-16'), session('2025-09-22'), session('2025-09-27')
+    ], now)
+
+    expect(mockSupabase.upsert).toHaveBeenCalledWith(
+      [{ venue: 'the-wave-bristol', week: '2025-09-22', session_count: 2 }],
+      { onConflict: 'venue,week', ignoreDuplicates: true }
+    )
+    expect(releases).toEqual([{
+      venue: 'the-wave-bristol',
+      week: '2025-09-22',
+      sessionCount: 2,
+      sessions: [session('2025-09-22'), session('2025-09-27')]
+    }])
+  })
+
+  test('should not report a week that was already recorded', async () => {
+    mockSupabase.lte.mockResolvedValue({ data: [{ date: '2025-09-11' }], error: null })
+    mockSupabase.select
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: [], error: null })
+
+    await expect(service.detectReleases('the-wave-bristol', [session('2025-09-11'), session('2025-09-16')], now))
+      .resolves.toEqual([])
+  })
+
+  test('should seed rather than report on a first run', async () => {
+    mockSupabase.lte.mockResolvedValue({ data: [], error: null })
+    mockSupabase.select
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: [{ venue: 'the-wave-bristol', week: '2025-09-15', session_count: 1 }], error: null })
+
+    const releases = await service.detectReleases('the-wave-bristol', [session('2025-09-11'), session('2025-09-16')], now)
+
+    expect(mockSupabase.upsert).toHaveBeenCalled()
+    expect(releases).toEqual([])
+  })
+
+  test('should ignore the current week', async () => {
+    await expect(service.detectReleases('the-wave-bristol', [session('2025-09-14')], now)).resolves.toEqual([])
+    expect(mockSupabase.from).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,197 @@
+const ScheduleRepository = require('../../services/scheduleRepository')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+const { registerVenue, venueIdsFor } = require('../../lib/venues')
+const ui = require('../../bot/ui')
+
+describe('ScheduleRepository', () => {
+  let schedule
+  let mockSupabase
+  let liveFetch
+
+  const row = (overrides = {}) => ({
+    id: '2099-09-13_09_00_Advanced__L_',
+    venue: 'the-wave-bristol',
+    date: '2099-09-13',
+    start_time: '09:00:00',
+    session_name: 'Advanced (L)',
+    level: 'advanced',
+    side: 'L',
+    total_spots: 4,
+    spots_available: 4,
+    book_url: 'https://ticketing.thewave.com/',
+    is_active: true,
+    last_updated: new Date().toISOString(),
+    ...overrides
+  })
+
+  const scrapeRun = (overrides = {}) => ({
+    finished_at: new Date().toISOString(),
+    weeks: [{ week: '2099-09-07', sessions: 40, error: null }],
+    ...overrides
+  })
+
+  const liveSession = {
+    venue: 'the-wave-bristol',
+    dateISO: '2099-09-13',
+    time24: '10:00',
+    session_name: 'Expert Turns (R)',
+    spots_available: 2
+  }
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      gte: jest.fn().mockReturnThis(),
+      lte: jest.fn().mockResolvedValue({ data: [row()], error: null }),
+      in: jest.fn().mockReturnThis(),
+      order: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn().mockResolvedValue({ data: scrapeRun(), error: null })
+    }
+    liveFetch = jest.spyOn(WaveScheduleScraper.prototype, 'getSessionsInRange').mockResolvedValue([liveSession])
+    schedule = new ScheduleRepository(mockSupabase, { cache: new Map() })
+  })
+
+  afterEach(() => {
+    liveFetch.mockRestore()
+  })
+
+  test('should serve fresh stored sessions in the scraper shape', async () => {
+    const { sessions, updatedAt } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).not.toHaveBeenCalled()
+    expect(updatedAt).toBeTruthy()
+    expect(sessions).toEqual([expect.objectContaining({
+      dateISO: '2099-09-13',
+      dateLabel: 'Sun 13th Sep',
+      time24: '09:00',
+      side: 'Left',
+      spots_available: 4,
+      booking_url: 'https://ticketing.thewave.com/'
+    })])
+  })
+
+  test('should answer repeat requests from the cache', async () => {
+    await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+    await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(mockSupabase.from).toHaveBeenCalledTimes(2)
+  })
+
+  test('should fetch live when the last scrape is stale', async () => {
+    mockSupabase.maybeSingle.mockResolvedValue({ data: scrapeRun({ finished_at: '2020-01-01T00:00:00Z' }), error: null })
+
+    const { sessions } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).toHaveBeenCalledTimes(1)
+    expect(sessions).toEqual([liveSession])
+  })
+
+  test('should fetch live when the last scrape failed on a week of the range', async () => {
+    mockSupabase.maybeSingle.mockResolvedValue({
+      data: scrapeRun({ weeks: [{ week: '2099-09-07', sessions: 0, error: 'HTTP 503' }] }),
+      error: null
+    })
+
+    await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('should not count a failed probe past the published schedule against the range', async () => {
+    mockSupabase.maybeSingle.mockResolvedValue({
+      data: scrapeRun({ weeks: [{ week: '2099-09-07', sessions: 0, error: 'HTTP 404', probe: true }] }),
+      error: null
+    })
+
+    await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).not.toHaveBeenCalled()
+  })
+
+  test('should serve a freshly scraped range with no sessions without fetching live', async () => {
+    mockSupabase.lte.mockResolvedValue({ data: [], error: null })
+
+    const { sessions, updatedAt } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).not.toHaveBeenCalled()
+    expect(sessions).toEqual([])
+    expect(updatedAt).toBeTruthy()
+  })
+
+  test('should fall back to stale stored sessions when the live fetch fails', async () => {
+    mockSupabase.maybeSingle.mockResolvedValue({ data: scrapeRun({ finished_at: '2020-01-01T00:00:00Z' }), error: null })
+    liveFetch.mockRejectedValue(new Error('HTTP 503'))
+
+    const { sessions } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+    expect(liveFetch).toHaveBeenCalledTimes(1)
+    expect(sessions).toHaveLength(1)
+    expect(sessions[0].session_name).toBe('Advanced (L)')
+  })
+
+  test('should fetch live when the venue was never scraped and not cache failures', async () => {
+    mockSupabase.lte.mockResolvedValue({ data: [], error: null })
+    mockSupabase.maybeSingle.mockResolvedValue({ data: null, error: null })
+    liveFetch.mockRejectedValueOnce(new Error('HTTP 503'))
+
+    await expect(schedule.getSessionsInRange(1, { start: '2099-09-13' })).rejects.toThrow('HTTP 503')
+
+    const { sessions } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+    expect(sessions).toEqual([liveSession])
+  })
+
+  describe('venues', () => {
+    const otherRow = row({ id: 'tsr-20990913-1100-a-1a2b3c', venue: 'test-surf-reef', start_time: '11:00:00', session_name: 'Reef Session' })
+
+    beforeAll(() => {
+      registerVenue({
+        id: 'test-surf-reef',
+        name: 'Test Surf Reef',
+        timezone: 'Europe/London',
+        fetchWeek: jest.fn(),
+        parseWeek: jest.fn(),
+        normalise: jest.fn()
+      })
+    })
+
+    test('should read every venue when none are given', async () => {
+      mockSupabase.lte
+        .mockResolvedValueOnce({ data: [row()], error: null })
+        .mockResolvedValueOnce({ data: [otherRow], error: null })
+
+      const { sessions } = await schedule.getSessionsInRange(1, { start: '2099-09-13' })
+
+      expect(mockSupabase.eq).toHaveBeenCalledWith('venue', 'test-surf-reef')
+      expect(sessions.map(s => s.session_name)).toEqual(['Advanced (L)', 'Reef Session'])
+    })
+
+    test('should return a non-default venue\'s sessions to a user following it', async () => {
+      mockSupabase.lte.mockResolvedValue({ data: [otherRow], error: null })
+      const profile = { user_venues: [{ venue: 'test-surf-reef' }] }
+
+      const { sessions } = await schedule.getSessionsInRange(1, { venues: venueIdsFor(profile), start: '2099-09-13' })
+
+      expect(mockSupabase.eq).not.toHaveBeenCalledWith('venue', 'the-wave-bristol')
+      expect(sessions).toEqual([expect.objectContaining({ venue: 'test-surf-reef', session_name: 'Reef Session' })])
+    })
+  })
+})
+
+describe('ui.updatedLabel', () => {
+  const now = new Date('2099-09-13T09:30:00Z').getTime()
+
+  test.each([
+    ['2099-09-13T09:29:40Z', 'Updated just now'],
+    ['2099-09-13T09:18:00Z', 'Updated 12 min ago'],
+    ['2099-09-13T07:15:00Z', 'Updated 2h 15m ago']
+  ])('%s -> %s', (updatedAt, label) => {
+    expect(ui.updatedLabel(updatedAt, now)).toContain(label)
+  })
+
+  test('should show nothing without a timestamp', () => {
+    expect(ui.updatedLabel(null)).toBe('')
+  })
+})
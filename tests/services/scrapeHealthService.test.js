@@ -0,0 +1,122 @@
+const ScrapeHealthService = require('../../services/scrapeHealthService')
+
+describe('ScrapeHealthService', () => {
+  let scrapeHealthService
+  let mockSupabase
+  let mockBot
+
+  const week = (date, overrides = {}) => ({
+    week: date,
+    sessions: 40,
+    parser: 'structured',
+    http_status: 200,
+    latency_ms: 320,
+    attempts: 1,
+    skipped: 0,
+    error: null,
+    ...overrides
+  })
+
+  const previousRun = { weeks: [week('2025-09-08'), week('2025-09-15')] }
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockResolvedValue({ error: null }),
+      eq: jest.fn().mockReturnThis(),
+      order: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn().mockResolvedValue({ data: previousRun, error: null })
+    }
+    mockBot = {
+      telegram: {
+        sendMessage: jest.fn().mockResolvedValue(true)
+      }
+    }
+    scrapeHealthService = new ScrapeHealthService(mockSupabase, mockBot, { adminChatIds: ['111', '222'] })
+  })
+
+  describe('evaluate', () => {
+    test('should stay quiet for a normal run', () => {
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08', { sessions: 35 }), week('2025-09-15')], previousRun)
+      expect(alerts).toEqual([])
+    })
+
+    test('should flag a sharp drop against the previous run', () => {
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08', { sessions: 12 }), week('2025-09-15')], previousRun)
+      expect(alerts).toEqual(['Week of 2025-09-08: sessions dropped from 40 to 12'])
+    })
+
+    test('should flag the text fallback and zero sessions', () => {
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08', { sessions: 0, parser: 'text' })], null)
+      expect(alerts).toEqual([
+        'Scrape returned zero sessions',
+        'Week of 2025-09-08: structured data missing, fell back to text parsing'
+      ])
+    })
+
+    test('should not alert on a failed probe past the last published week', () => {
+      const probe = week('2025-09-22', { sessions: 0, http_status: 404, attempts: 3, error: 'HTTP 404', probe: true })
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08'), week('2025-09-15'), probe], previousRun)
+      expect(alerts).toEqual([])
+    })
+
+    test('should alert on a failed probe of a week the previous run had published', () => {
+      const probe = week('2025-09-15', { sessions: 0, http_status: 503, attempts: 3, error: 'HTTP 503', probe: true })
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08'), probe], previousRun)
+      expect(alerts).toEqual(['Week of 2025-09-15: fetch failed (HTTP 503, 3 attempts)'])
+    })
+
+    test('should not judge drops on small weeks', () => {
+      const alerts = scrapeHealthService.evaluate([week('2025-09-08', { sessions: 1 })], { weeks: [week('2025-09-08', { sessions: 6 })] })
+      expect(alerts).toEqual([])
+    })
+  })
+
+  describe('recordRun', () => {
+    test('should store a healthy run without alerting', async () => {
+      const run = await scrapeHealthService.recordRun({
+        venue: 'the-wave-bristol',
+        startedAt: '2025-09-08T06:00:00.000Z',
+        weeks: [week('2025-09-08', { skipped: 2 }), week('2025-09-15')]
+      })
+
+      expect(run).toMatchObject({ status: 'ok', sessions_total: 80, skipped_total: 2, parser_fallback: false })
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ venue: 'the-wave-bristol', status: 'ok' }))
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should alert every admin when a run degrades', async () => {
+      const run = await scrapeHealthService.recordRun({
+        venue: 'the-wave-bristol',
+        startedAt: '2025-09-08T06:00:00.000Z',
+        weeks: [week('2025-09-08', { parser: 'text' })]
+      })
+
+      expect(run.status).toBe('degraded')
+      expect(run.parser_fallback).toBe(true)
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledTimes(2)
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledWith(
+        '111',
+        expect.stringContaining('Scrape health alert'),
+        { parse_mode: 'HTML' }
+      )
+    })
+
+    test('should mark failed scrapes', async () => {
+      const run = await scrapeHealthService.recordRun({
+        venue: 'the-wave-bristol',
+        startedAt: '2025-09-08T06:00:00.000Z',
+        weeks: [week('2025-09-08', { sessions: 0, http_status: 503, attempts: 3, error: 'HTTP 503' })],
+        error: new Error('HTTP 503')
+      })
+
+      expect(run.status).toBe('failed')
+      expect(run.alerts).toEqual([
+        'Scrape failed: HTTP 503',
+        'Week of 2025-09-08: fetch failed (HTTP 503, 3 attempts)'
+      ])
+    })
+  })
+})
@@ -0,0 +1,63 @@
+const dayjs = require('dayjs')
+const sendSessionNotifications = require('../../services/jobs/sendSessionNotifications')
+const { sessionKey } = require('../../lib/session-record')
+
+describe('sendSessionNotifications', () => {
+  let mockSupabase
+  let mockBot
+  let scheduleRepository
+  let session
+
+  beforeEach(() => {
+    // A session 23 hours away: its 24h reminder fell due an hour ago
+    const start = dayjs().tz('Europe/London').add(23, 'hour')
+    session = {
+      venue: 'the-wave-bristol',
+      dateISO: start.format('YYYY-MM-DD'),
+      dateLabel: start.format('ddd D MMM'),
+      time: start.format('HH:mm'),
+      time24: start.format('HH:mm'),
+      session_name: 'Advanced (L)',
+      level: 'advanced',
+      side: 'Left',
+      spots_available: 4
+    }
+
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockReturnThis(),
+      delete: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockResolvedValue({
+        data: [{ id: 'user-1', telegram_id: 123, min_spots: 1, user_digest_filters: [{ timing: '24h' }] }],
+        error: null
+      }),
+      single: jest.fn().mockResolvedValue({ data: { id: 'claim-1' }, error: null })
+    }
+    mockBot = { telegram: { sendMessage: jest.fn().mockResolvedValue(true) } }
+    scheduleRepository = { getSessionsInRange: jest.fn().mockResolvedValue({ sessions: [session] }) }
+  })
+
+  test('should send an overdue reminder under the session key', async () => {
+    const result = await sendSessionNotifications({ supabase: mockSupabase, bot: mockBot, scheduleRepository })
+
+    expect(result.notificationsSent).toBe(1)
+    expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      session_id: sessionKey(session),
+      timing: '24h'
+    }))
+    expect(mockBot.telegram.sendMessage).toHaveBeenCalledWith(123, expect.stringContaining('24 hours reminder'), expect.any(Object))
+    expect(mockBot.telegram.sendMessage.mock.calls[0][2].reply_markup.inline_keyboard[0][0].callback_data)
+      .toBe(`session_why_${sessionKey(session)}`)
+  })
+
+  test('should not resend a reminder that was already sent', async () => {
+    mockSupabase.single.mockResolvedValue({ data: null, error: { code: '23505' } })
+
+    const result = await sendSessionNotifications({ supabase: mockSupabase, bot: mockBot, scheduleRepository })
+
+    expect(result.notificationsSent).toBe(0)
+    expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,187 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const SessionChangeService = require('../../services/sessionChangeService')
+const { sessionKey } = require('../../lib/session-record')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+describe('SessionChangeService', () => {
+  let service
+  const now = dayjs.tz('2025-09-11 08:00', 'Europe/London')
+
+  const scraped = (overrides = {}) => ({
+    dateISO: '2025-09-11',
+    time24: '15:00',
+    session_name: 'Advanced (L)',
+    level: 'advanced',
+    side: 'Left',
+    spots: 4,
+    spots_available: 4,
+    booking_url: 'https://ticketing.thewave.com/',
+    ...overrides
+  })
+
+  const KEY = 'twb-20250911-1500-l-530d0c'
+
+  const stored = (overrides = {}) => ({
+    id: KEY,
+    date: '2025-09-11',
+    start_time: '15:00:00',
+    session_name: 'Advanced (L)',
+    level: 'advanced',
+    side: 'L',
+    spots_available: 4,
+    is_active: true,
+    ...overrides
+  })
+
+  const types = (changes) => changes.map(c => c.change_type)
+
+  beforeEach(() => {
+    service = new SessionChangeService({})
+  })
+
+  describe('detectChanges', () => {
+    test('should record newly listed sessions', () => {
+      const { changes, deactivateIds } = service.detectChanges([], [scraped()], now)
+
+      expect(types(changes)).toEqual(['new'])
+      expect(changes[0]).toMatchObject({ session_id: KEY, old_spots: null, new_spots: 4 })
+      expect(changes[0].session.session_name).toBe('Advanced (L)')
+      expect(deactivateIds).toEqual([])
+    })
+
+    test('should report nothing when a session is unchanged', () => {
+      const { changes } = service.detectChanges([stored()], [scraped()], now)
+
+      expect(changes).toEqual([])
+    })
+
+    test('should record spots going up and down with old and new values', () => {
+      const up = service.detectChanges([stored({ spots_available: 0 })], [scraped({ spots_available: 3 })], now)
+      const down = service.detectChanges([stored({ spots_available: 5 })], [scraped({ spots_available: 2 })], now)
+
+      expect(up.changes[0]).toMatchObject({ change_type: 'spots_increased', old_spots: 0, new_spots: 3 })
+      expect(down.changes[0]).toMatchObject({ change_type: 'spots_decreased', old_spots: 5, new_spots: 2 })
+    })
+
+    test('should mark vanished future sessions as cancelled', () => {
+      const { changes, deactivateIds } = service.detectChanges([stored({ spots_available: 2 })], [], now)
+
+      expect(changes[0]).toMatchObject({ change_type: 'cancelled', old_spots: 2, new_spots: 0 })
+      expect(deactivateIds).toEqual([KEY])
+    })
+
+    test('should copy the session onto each change so history outlives the session row', () => {
+      const { changes } = service.detectChanges([stored({ spots_available: 2 })], [], now)
+
+      expect(changes[0]).toMatchObject({ session_id: KEY, session_date: '2025-09-11', start_time: '15:00', session_name: 'Advanced (L)' })
+    })
+
+    test('should not cancel sessions that have already started', () => {
+      const later = dayjs.tz('2025-09-11 15:30', 'Europe/London')
+      const { changes, deactivateIds } = service.detectChanges([stored()], [], later)
+
+      expect(changes).toEqual([])
+      expect(deactivateIds).toEqual([])
+    })
+
+    test('should record level changes for the same session', () => {
+      const { changes } = service.detectChanges([stored({ level: 'intermediate' })], [scraped()], now)
+
+      expect(changes[0]).toMatchObject({ change_type: 'level_changed', old_value: 'intermediate', new_value: 'advanced' })
+    })
+
+    test('should keep the identity of a session renamed in its slot', () => {
+      const renamed = scraped({ session_name: 'Advanced Plus (L)', level: 'advanced_plus' })
+      const { changes, rows, deactivateIds, aliases } = service.detectChanges([stored()], [renamed], now)
+
+      expect(types(changes)).toEqual(['name_changed', 'level_changed'])
+      expect(changes[0]).toMatchObject({ session_id: KEY, old_value: 'Advanced (L)', new_value: 'Advanced Plus (L)' })
+      expect(rows.map(row => row.id)).toEqual([KEY])
+      expect(deactivateIds).toEqual([])
+      expect(aliases).toEqual([{ alias_key: sessionKey(renamed), session_id: KEY, reason: 'renamed' }])
+    })
+
+    test('should keep the identity of a session moved to another time', () => {
+      const retimed = scraped({ time24: '16:00' })
+      const { changes, rows, aliases } = service.detectChanges([stored()], [retimed], now)
+
+      expect(changes).toEqual([expect.objectContaining({ change_type: 'time_changed', session_id: KEY, old_value: '15:00', new_value: '16:00' })])
+      expect(rows[0]).toMatchObject({ id: KEY, start_time: '16:00' })
+      expect(aliases).toEqual([{ alias_key: sessionKey(retimed), session_id: KEY, reason: 'retimed' }])
+    })
+
+    test('should map keys linked before to the stored session', () => {
+      const renamed = scraped({ session_name: 'Advanced Plus (L)', level: 'advanced_plus' })
+      const stillRenamed = stored({ session_name: 'Advanced Plus (L)', level: 'advanced_plus' })
+      const { changes, rows } = service.detectChanges([stillRenamed], [renamed], now, new Map([[sessionKey(renamed), KEY]]))
+
+      expect(changes).toEqual([])
+      expect(rows[0].id).toBe(KEY)
+    })
+
+    test('should record a previously cancelled session coming back', () => {
+      const { changes } = service.detectChanges([stored({ is_active: false })], [scraped()], now)
+
+      expect(types(changes)).toEqual(['reinstated'])
+    })
+  })
+
+  describe('syncSessions', () => {
+    let mockSupabase
+
+    beforeEach(() => {
+      mockSupabase = {
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        gte: jest.fn().mockReturnThis(),
+        lte: jest.fn().mockResolvedValue({ data: [stored()], error: null }),
+        upsert: jest.fn().mockResolvedValue({ error: null }),
+        update: jest.fn().mockReturnThis(),
+        in: jest.fn().mockResolvedValue({ error: null }),
+        insert: jest.fn().mockResolvedValue({ error: null })
+      }
+      service = new SessionChangeService(mockSupabase)
+    })
+
+    test('should never deactivate sessions when the scrape came back empty', async () => {
+      const result = await service.syncSessions([], { now })
+
+      expect(result).toEqual({ changes: [], upserted: 0, deactivated: 0 })
+      expect(mockSupabase.update).not.toHaveBeenCalled()
+      expect(mockSupabase.upsert).not.toHaveBeenCalled()
+    })
+
+    test('should upsert sessions and store changes without the scraper payload', async () => {
+      const result = await service.syncSessions([scraped({ spots_available: 1 })], { now })
+
+      expect(mockSupabase.upsert).toHaveBeenCalledWith(
+        [expect.not.objectContaining({ first_seen: expect.anything() })],
+        { onConflict: 'id' }
+      )
+      expect(mockSupabase.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ change_type: 'spots_decreased', old_spots: 4, new_spots: 1 })
+      ])
+      expect(mockSupabase.insert.mock.calls[0][0][0]).not.toHaveProperty('session')
+      expect(result.upserted).toBe(1)
+    })
+
+    test('should move watches of a retimed session to its new start', async () => {
+      await service.syncSessions([scraped({ time24: '16:00' })], { now })
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('session_watches')
+      expect(mockSupabase.update).toHaveBeenCalledWith({ expires_at: '2025-09-11T15:00:00.000Z' })
+      expect(mockSupabase.eq).toHaveBeenCalledWith('session_id', KEY)
+    })
+
+    test('should only compare against stored sessions of the scraped venue', async () => {
+      await service.syncSessions([scraped()], { now, venue: 'the-wave-bristol' })
+
+      expect(mockSupabase.eq).toHaveBeenCalledWith('venue', 'the-wave-bristol')
+    })
+  })
+})
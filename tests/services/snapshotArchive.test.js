@@ -0,0 +1,93 @@
+const fs = require('fs')
+const path = require('path')
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+const SnapshotArchive = require('../../services/snapshotArchive')
+const { WaveScheduleScraper } = require('../../lib/wave-scraper-final')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'the-wave-bristol', 'week-2025-09-08.html'), 'utf8')
+
+describe('SnapshotArchive', () => {
+  let archive
+  let mockSupabase
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      upsert: jest.fn().mockResolvedValue({ error: null }),
+      eq: jest.fn().mockReturnThis(),
+      maybeSingle: jest.fn()
+    }
+    archive = new SnapshotArchive(mockSupabase)
+  })
+
+  test('should store a compressed page once per content hash', async () => {
+    await archive.store({ venue: 'the-wave-bristol', week: '2025-09-08', body: html, httpStatus: 200 })
+
+    const [row, options] = mockSupabase.upsert.mock.calls[0]
+    expect(options).toEqual({ onConflict: 'venue,week,content_hash', ignoreDuplicates: true })
+    expect(row).toMatchObject({
+      venue: 'the-wave-bristol',
+      week: '2025-09-08',
+      http_status: 200,
+      content_hash: SnapshotArchive.contentHash(html),
+      size_bytes: Buffer.byteLength(html)
+    })
+    expect(row.content_gz.length).toBeLessThan(html.length)
+  })
+
+  test('should give back the page exactly as it was fetched', async () => {
+    await archive.store({ venue: 'the-wave-bristol', week: '2025-09-08', body: html })
+    const [row] = mockSupabase.upsert.mock.calls[0]
+    mockSupabase.maybeSingle.mockResolvedValue({ data: { id: 'snap-1', ...row }, error: null })
+
+    const snapshot = await archive.get('snap-1')
+
+    expect(snapshot.body).toBe(html)
+    expect(snapshot.content_gz).toBeUndefined()
+  })
+
+  test('should not fail the scrape when archiving fails', async () => {
+    mockSupabase.upsert.mockResolvedValue({ error: { message: 'relation does not exist' } })
+
+    await expect(archive.store({ venue: 'the-wave-bristol', week: '2025-09-08', body: html })).resolves.toBe(false)
+  })
+
+  test('should be fed every live page by the scraper', async () => {
+    const store = jest.fn().mockResolvedValue(true)
+    const scraper = new WaveScheduleScraper({ archive: { store } })
+    scraper._fetchWithRetries = jest.fn().mockResolvedValue(html)
+
+    await scraper.getSessionsInRange(6, dayjs.tz('2025-09-08', scraper.TIMEZONE))
+
+    expect(store).toHaveBeenCalledWith(expect.objectContaining({ venue: 'the-wave-bristol', week: '2025-09-08', body: html }))
+  })
+
+  describe('diffSessions', () => {
+    const session = (time24, overrides = {}) => ({
+      dateISO: '2025-09-08', time24, session_name: 'Advanced (L)', level: 'advanced', side: 'Left', spots_available: 3, ...overrides
+    })
+
+    test('should list added, removed and changed sessions', () => {
+      const before = [session('09:00'), session('10:00'), session('11:00')]
+      const after = [session('09:00'), session('10:00', { level: 'advanced_plus', spots_available: 0 }), session('12:00')]
+
+      const diff = SnapshotArchive.diffSessions(before, after)
+
+      expect(diff.added.map(s => s.time24)).toEqual(['12:00'])
+      expect(diff.removed.map(s => s.time24)).toEqual(['11:00'])
+      expect(diff.changed).toEqual([{
+        key: '2025-09-08 10:00 Advanced (L)',
+        changes: [
+          { field: 'level', from: 'advanced', to: 'advanced_plus' },
+          { field: 'spots_available', from: 3, to: 0 }
+        ]
+      }])
+    })
+  })
+})
@@ -0,0 +1,170 @@
+const WatchlistService = require('../../services/watchlistService')
+
+describe('WatchlistService', () => {
+  let watchlistService
+  let mockSupabase
+  let mockBot
+
+  const sessionRow = {
+    id: 'twb-20990913-0900-l-530d0c',
+    date: '2099-09-13',
+    start_time: '09:00:00',
+    session_name: 'Advanced (L)',
+    spots_available: 0,
+    book_url: 'https://ticketing.thewave.com/'
+  }
+
+  const watch = {
+    id: 'watch-1',
+    session_id: sessionRow.id,
+    profiles: { telegram_id: 123, notification_enabled: true },
+    sessions: sessionRow
+  }
+
+  beforeEach(() => {
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      insert: jest.fn().mockResolvedValue({ error: null }),
+      delete: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      in: jest.fn().mockReturnThis(),
+      gt: jest.fn().mockResolvedValue({ data: [watch], error: null }),
+      maybeSingle: jest.fn().mockResolvedValue({ data: null, error: null })
+    }
+    mockBot = {
+      telegram: {
+        sendMessage: jest.fn().mockResolvedValue(true)
+      }
+    }
+    watchlistService = new WatchlistService(mockSupabase, mockBot)
+  })
+
+  describe('resolveSession', () => {
+    test('should find the session by its key', async () => {
+      mockSupabase.maybeSingle.mockResolvedValueOnce({ data: sessionRow, error: null })
+
+      const result = await watchlistService.resolveSession(sessionRow.id)
+
+      expect(result).toBe(sessionRow)
+      expect(mockSupabase.eq).toHaveBeenCalledWith('id', sessionRow.id)
+    })
+
+    test('should follow the key of a renamed session to its stored row', async () => {
+      mockSupabase.maybeSingle
+        .mockResolvedValueOnce({ data: null, error: null })
+        .mockResolvedValueOnce({ data: { sessions: sessionRow }, error: null })
+
+      const result = await watchlistService.resolveSession('twb-20990913-0900-l-9b1e2f')
+
+      expect(result).toBe(sessionRow)
+      expect(mockSupabase.eq).toHaveBeenCalledWith('alias_key', 'twb-20990913-0900-l-9b1e2f')
+    })
+  })
+
+  describe('toggleWatch', () => {
+    test('should watch until the session starts', async () => {
+      const result = await watchlistService.toggleWatch('user-1', sessionRow)
+
+      expect(result.watching).toBe(true)
+      expect(mockSupabase.insert).toHaveBeenCalledWith({
+        user_id: 'user-1',
+        session_id: sessionRow.id,
+        expires_at: '2099-09-13T08:00:00.000Z'
+      })
+    })
+
+    test('should unwatch a session that is already watched', async () => {
+      mockSupabase.maybeSingle.mockResolvedValue({ data: { id: 'watch-1' }, error: null })
+
+      const result = await watchlistService.toggleWatch('user-1', sessionRow)
+
+      expect(result.watching).toBe(false)
+      expect(mockSupabase.delete).toHaveBeenCalled()
+      expect(mockSupabase.insert).not.toHaveBeenCalled()
+    })
+
+    test('should refuse sessions that have started', async () => {
+      await expect(watchlistService.toggleWatch('user-1', { ...sessionRow, date: '2000-01-01' }))
+        .rejects.toThrow('Session has already started')
+    })
+  })
+
+  describe('notifyWatchers', () => {
+    test('should ignore changes watchers do not care about', async () => {
+      const result = await watchlistService.notifyWatchers([
+        { session_id: sessionRow.id, change_type: 'name_changed' }
+      ])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockSupabase.from).not.toHaveBeenCalled()
+    })
+
+    test('should alert watchers about spot changes and cancellations', async () => {
+      const result = await watchlistService.notifyWatchers([
+        { id: 'change-1', session_id: sessionRow.id, change_type: 'spots_increased', old_spots: 0, new_spots: 2 },
+        { id: 'change-2', session_id: sessionRow.id, change_type: 'cancelled' }
+      ])
+
+      expect(result.alertsSent).toBe(2)
+      expect(mockSupabase.from).toHaveBeenCalledWith('watch_notifications')
+      expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({ watch_id: 'watch-1', change_id: 'change-1' }))
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledWith(
+        123,
+        expect.stringContaining('0 → 2'),
+        expect.objectContaining({ parse_mode: 'HTML' })
+      )
+      expect(mockBot.telegram.sendMessage).toHaveBeenCalledWith(
+        123,
+        expect.stringContaining('cancelled'),
+        expect.anything()
+      )
+    })
+
+    test('should not alert twice about a change that was already claimed', async () => {
+      mockSupabase.insert.mockResolvedValue({ error: { code: '23505' } })
+
+      const result = await watchlistService.notifyWatchers([
+        { id: 'change-1', session_id: sessionRow.id, change_type: 'spots_increased', old_spots: 0, new_spots: 2 }
+      ])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+
+    test('should release the claim when sending fails', async () => {
+      mockBot.telegram.sendMessage.mockRejectedValue(new Error('Forbidden: bot was blocked by the user'))
+
+      const result = await watchlistService.notifyWatchers([
+        { id: 'change-1', session_id: sessionRow.id, change_type: 'cancelled' }
+      ])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockSupabase.delete).toHaveBeenCalled()
+      expect(mockSupabase.eq).toHaveBeenCalledWith('change_id', 'change-1')
+    })
+
+    test('should link to the venue\'s booking page', () => {
+      const message = watchlistService.formatWatchAlert(
+        { change_type: 'spots_increased', old_spots: 0, new_spots: 2 },
+        { ...sessionRow, venue: 'the-wave-bristol', book_url: null }
+      )
+
+      expect(message).toContain('<a href="https://ticketing.thewave.com/">🏄‍♂️ <b>Book at The Wave</b></a>')
+    })
+
+    test('should skip watchers with notifications disabled', async () => {
+      mockSupabase.gt.mockResolvedValue({
+        data: [{ ...watch, profiles: { telegram_id: 123, notification_enabled: false } }],
+        error: null
+      })
+
+      const result = await watchlistService.notifyWatchers([
+        { id: 'change-1', session_id: sessionRow.id, change_type: 'spots_decreased', old_spots: 3, new_spots: 1 }
+      ])
+
+      expect(result.alertsSent).toBe(0)
+      expect(mockBot.telegram.sendMessage).not.toHaveBeenCalled()
+    })
+  })
+})
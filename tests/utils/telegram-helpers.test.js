@@ -2,6 +2,7 @@ const {
   toHTML,
   toMarkdown,
   checkRateLimit,
+  whyButtonRows,
   createSetupSession,
   isSetupExpired
 } = require('../../utils/telegram-helpers')
@@ -26,6 +27,23 @@ describe('Telegram Helpers', () => {
     })
   })
 
+  describe('whyButtonRows', () => {
+    const session = { venue: 'the-wave-bristol', dateISO: '2025-09-13', time24: '09:00', session_name: 'Advanced (L)', side: 'Left' }
+
+    test('should explain each session by its canonical key', () => {
+      const rows = whyButtonRows([session, { ...session, key: 'twb-20250913-1000-l-530d0c', time24: '10:00' }], { withDay: true, perRow: 2 })
+
+      expect(rows).toEqual([[
+        { text: '🔍 Why? Sat 09:00 Advanced (L)', callback_data: 'session_why_twb-20250913-0900-l-530d0c' },
+        { text: '🔍 Why? Sat 10:00 Advanced (L)', callback_data: 'session_why_twb-20250913-1000-l-530d0c' }
+      ]])
+    })
+
+    test('should cap the number of buttons', () => {
+      expect(whyButtonRows(Array(20).fill(session)).length).toBe(12)
+    })
+  })
+
   describe('toMarkdown', () => {
     test('should escape Markdown special characters', () => {
       expect(toMarkdown('*bold* text')).toBe('\\*bold\\* text')
@@ -3,6 +3,9 @@
  * Consolidates duplicate functionality from utils/helpers.js and lib/utils/telegram.ts
  */
 
+const dayjs = require('dayjs')
+const { sessionKey } = require('../lib/session-record')
+
 // HTML escaping for Telegram messages
 const toHTML = (s = '') => {
   if (s === null || s === undefined) return ''
@@ -100,6 +103,39 @@ function checkRateLimit(key, limitMs = RATE_LIMIT_MS) {
   return true
 }
 
+// Comma-separated chat IDs (e.g. ADMIN_CHAT_IDS) -> ['123', '456']
+const parseChatIds = (value) => (value || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean)
+
+function isAdminChat(chatId, adminChatIds = parseChatIds(process.env.ADMIN_CHAT_IDS)) {
+  return adminChatIds.includes(String(chatId))
+}
+
+// One "🔍 Why?" button per session (session_why_[key], answered by the sessions callback),
+// perRow to a row; withDay adds the weekday for lists spanning several days
+const MAX_WHY_BUTTONS = 12
+
+function whyButtonRows(sessions, { withDay = false, perRow = 1 } = {}) {
+  const buttons = sessions
+    .filter(session => session.key || (session.dateISO && session.time24))
+    .slice(0, MAX_WHY_BUTTONS)
+    .map(session => {
+      const day = withDay ? `${dayjs(session.dateISO).format('ddd')} ` : ''
+      return {
+        text: `🔍 Why? ${day}${session.time24} ${session.session_name}`,
+        callback_data: `session_why_${session.key || sessionKey(session)}`
+      }
+    })
+
+  const rows = []
+  for (let i = 0; i < buttons.length; i += perRow) {
+    rows.push(buttons.slice(i, i + perRow))
+  }
+  return rows
+}
+
 // Setup session management
 function createSetupSession(overrides = {}) {
   return {
@@ -127,6 +163,10 @@ module.exports = {
   safeEditMarkup,
   sendChunked,
   checkRateLimit,
+  parseChatIds,
+  isAdminChat,
+  whyButtonRows,
+  MAX_WHY_BUTTONS,
   createSetupSession,
   isSetupExpired
 }
\ No newline at end of file